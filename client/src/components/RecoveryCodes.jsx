@@ -0,0 +1,194 @@
+import React, { useState, useMemo } from "react";
+import axios from "axios";
+import { DEFAULT_CONFIG } from "../../../lib/types.js";
+import { createTranslator } from '../../../lib/i18n.js';
+
+const RecoveryCodes = ({
+  email,
+  
+  apiUrl = DEFAULT_CONFIG.apiBaseUrl + DEFAULT_CONFIG.endpoints.recoveryCodes,
+  httpMethod = "POST",
+  codes: initialCodes = null,
+  
+  onGenerate = () => {},
+  onError = () => {},
+  
+  locale = DEFAULT_CONFIG.defaultLocale,
+  messages,
+  
+  title,
+  description,
+  generateText,
+  regenerateText,
+  regenerateWarning,
+  generatingText,
+  downloadText,
+  copyText,
+  copiedText,
+  fileName = "recovery-codes.txt",
+  
+  className = "",
+  buttonClassName = "",
+  errorClassName = "",
+  
+  disabled = false,
+  theme = {}
+}) => {
+  const [codes, setCodes] = useState(initialCodes);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState("");
+  const [copied, setCopied] = useState(false);
+  
+  const defaultTheme = {
+    primaryColor: "#3B82F6",
+    successColor: "#10B981",
+    errorColor: "#EF4444",
+    borderRadius: "0.5rem",
+    spacing: "1rem",
+    fontSize: "1rem"
+  };
+  
+  const finalTheme = { ...defaultTheme, ...theme };
+  
+  const t = useMemo(() => createTranslator(locale, messages), [locale, messages]);
+  const text = (value, id) => (value === undefined ? t(id) : value);
+  const heading = text(title, "RECOVERY_TITLE");
+  
+  const handleGenerate = async () => {
+    setError("");
+    setCopied(false);
+    setLoading(true);
+    
+    try {
+      const response = await axios({
+        method: httpMethod,
+        url: apiUrl,
+        data: { email },
+        headers: { 'Accept-Language': locale },
+        timeout: 10000
+      });
+      
+      if (response.data.success) {
+        setCodes(response.data.data.codes);
+        onGenerate(response.data);
+      } else {
+        throw new Error(response.data.message || t("RECOVERY_GENERATE_FAILED"));
+      }
+    } catch (err) {
+      const errorMessage = err?.response?.data?.message || 
+                          err?.message || 
+                          t("RECOVERY_GENERATE_FAILED");
+      setError(errorMessage);
+      onError(err?.response?.data || { message: errorMessage });
+    } finally {
+      setLoading(false);
+    }
+  };
+  
+  const codesAsText = () => {
+    const header = email ? t("RECOVERY_FILE_HEADER", { title: heading, email }) : heading;
+    return `${header}\n\n${codes.join('\n')}\n`;
+  };
+  
+  const handleDownload = () => {
+    const blob = new Blob([codesAsText()], { type: 'text/plain' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    link.click();
+    URL.revokeObjectURL(url);
+  };
+  
+  const handleCopy = async () => {
+    try {
+      await navigator.clipboard.writeText(codesAsText());
+      setCopied(true);
+    } catch (err) {
+      setError(t("RECOVERY_COPY_FAILED"));
+    }
+  };
+  
+  const containerClasses = `otp-recovery-container ${className}`;
+  const buttonClasses = `otp-button ${buttonClassName} ${loading || disabled ? 'disabled' : ''}`;
+  const errorClasses = `otp-error ${errorClassName}`;
+  
+  const buttonStyle = {
+    backgroundColor: disabled || loading ? '#9CA3AF' : finalTheme.primaryColor,
+    borderRadius: finalTheme.borderRadius,
+    fontSize: finalTheme.fontSize,
+    padding: finalTheme.spacing
+  };
+  
+  const secondaryButtonStyle = {
+    borderColor: finalTheme.primaryColor,
+    color: finalTheme.primaryColor,
+    borderRadius: finalTheme.borderRadius,
+    fontSize: finalTheme.fontSize,
+    padding: finalTheme.spacing
+  };
+  
+  return (
+    <div className={containerClasses}>
+      {heading && <h3 className="text-lg font-semibold mb-2">{heading}</h3>}
+      <p className="text-sm text-gray-600 mb-4">{text(description, "RECOVERY_DESCRIPTION")}</p>
+      
+      {codes && codes.length > 0 && (
+        <div className="space-y-4 mb-4">
+          <ul className="otp-recovery-codes grid grid-cols-2 gap-2 font-mono text-center">
+            {codes.map((code) => (
+              <li key={code} className="bg-gray-100 rounded py-1">{code}</li>
+            ))}
+          </ul>
+          
+          <div className="flex gap-2">
+            <button
+              type="button"
+              className="flex-1 border"
+              style={secondaryButtonStyle}
+              onClick={handleDownload}
+            >
+              {text(downloadText, "RECOVERY_DOWNLOAD_BUTTON")}
+            </button>
+            <button
+              type="button"
+              className="flex-1 border"
+              style={secondaryButtonStyle}
+              onClick={handleCopy}
+            >
+              {copied ? text(copiedText, "RECOVERY_COPIED") : text(copyText, "RECOVERY_COPY_BUTTON")}
+            </button>
+          </div>
+        </div>
+      )}
+      
+      {codes && codes.length > 0 && (
+        <p className="text-xs text-gray-500 mb-2">{text(regenerateWarning, "RECOVERY_REGENERATE_WARNING")}</p>
+      )}
+      
+      <button
+        type="button"
+        className={buttonClasses}
+        style={buttonStyle}
+        onClick={handleGenerate}
+        disabled={loading || disabled}
+      >
+        {loading ? text(generatingText, "RECOVERY_GENERATE_LOADING") : codes ? text(regenerateText, "RECOVERY_REGENERATE_BUTTON") : text(generateText, "RECOVERY_GENERATE_BUTTON")}
+      </button>
+      
+      {error && (
+        <div className={errorClasses} style={{ color: finalTheme.errorColor }}>
+          {error}
+        </div>
+      )}
+    </div>
+  );
+};
+
+RecoveryCodes.defaultProps = {
+  className: "otp-recovery-form",
+  buttonClassName: "w-full bg-blue-600 hover:bg-blue-700 text-white font-semibold py-2 px-4 rounded-lg transition-colors duration-200 disabled:opacity-60",
+  errorClassName: "text-red-500 text-sm"
+};
+
+export default RecoveryCodes;
@@ -1,22 +1,38 @@
-import React, { useState, useEffect } from "react";
+import React, { useState, useEffect, useMemo, useRef } from "react";
 import axios from "axios";
-import { validateEmail } from "../../../lib/utils.js";
-import { DEFAULT_CONFIG, ERROR_MESSAGES } from "../../../lib/types.js";
+import { validateEmail, validatePhone } from "../../../lib/utils.js";
+import { DEFAULT_CONFIG, ERROR_CODES } from "../../../lib/types.js";
+import { createTranslator } from "../../../lib/i18n.js";
+import { PHONE_REGIONS } from "../../../lib/phone.js";
+
+const RETRYABLE_CODES = [ERROR_CODES.DELIVERY_FAILED, ERROR_CODES.INTERNAL_ERROR];
 
 const SendOtp = ({
   apiUrl = DEFAULT_CONFIG.apiBaseUrl + DEFAULT_CONFIG.endpoints.send,  httpMethod = "POST",
+  mode = "email",
+  purpose,
+  defaultCountry = "US",
+  countries = Object.keys(PHONE_REGIONS),
+  
+  deliveryStatusUrl = DEFAULT_CONFIG.apiBaseUrl + DEFAULT_CONFIG.endpoints.deliveryStatus,
+  deliveryPollInterval = 1000,
   
   onSuccess = () => {},
   onError = () => {},  onChange = () => {},
+  onDeliveryStatus = () => {},
   
-  label = "Email",
-  placeholder = "Enter your email address",
-  buttonText = "Send OTP",  loadingText = "Sending...",
+  locale = DEFAULT_CONFIG.defaultLocale,
+  messages,
+  
+  label,
+  placeholder,
+  buttonText,  loadingText,
   
   className = "",
   inputClassName = "",
   buttonClassName = "",
   errorClassName = "",  successClassName = "",
+  countryClassName = "",
   
   disabled = false,
   autoFocus = false,
@@ -27,16 +43,27 @@ const SendOtp = ({
   
   value: controlledValue,
   defaultValue = "",
-  name = "email",
-  id = "otp-email-input"
+  name = mode === "phone" ? "phone" : "email",
+  id = `otp-${mode}-input`
 }) => {
   const [input, setInput] = useState(controlledValue || defaultValue);
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState("");
   const [success, setSuccess] = useState("");  const [retryCount, setRetryCount] = useState(0);
+  const [country, setCountry] = useState(defaultCountry);
+  const [deliveryPending, setDeliveryPending] = useState(false);
+  const pollTimer = useRef(null);
   
   const isControlled = controlledValue !== undefined;  const inputValue = isControlled ? controlledValue : input;
   
+  const t = useMemo(() => createTranslator(locale, messages), [locale, messages]);
+  const text = (value, id) => (value === undefined ? t(id) : value);
+  const isPhone = mode === "phone";
+  const validate = (value) => {
+    if (customValidation) return customValidation(value);
+    return isPhone ? validatePhone(value, country, t) : validateEmail(value, t);
+  };
+  
   const defaultTheme = {
     primaryColor: "#3B82F6",
     successColor: "#10B981",
@@ -52,6 +79,40 @@ const SendOtp = ({
     onChange(inputValue);
   }, [inputValue, onChange]);
   
+  useEffect(() => () => clearTimeout(pollTimer.current), []);
+  
+  const pollDelivery = (id, message) => {
+    pollTimer.current = setTimeout(async () => {
+      try {
+        const response = await axios.get(`${deliveryStatusUrl}/${encodeURIComponent(id)}`, {
+          headers: { "Accept-Language": locale },
+          timeout: 10000
+        });
+        const delivery = response.data.data;
+        onDeliveryStatus(delivery);
+        
+        if (delivery.status === "delivered") {
+          setDeliveryPending(false);
+          setSuccess(message);
+        } else if (delivery.status === "failed") {
+          setDeliveryPending(false);
+          setSuccess("");
+          setError(t("SEND_FAILED"));
+          onError({ success: false, code: ERROR_CODES.DELIVERY_FAILED, message: t("SEND_FAILED"), data: delivery });
+        } else {
+          pollDelivery(id, message);
+        }
+      } catch (err) {
+        if (err?.response?.status === 404) {
+          setDeliveryPending(false);
+          setSuccess(message);
+          return;
+        }
+        pollDelivery(id, message);
+      }
+    }, deliveryPollInterval);
+  };
+  
   const handleInputChange = (e) => {
     const value = e.target.value;    if (!isControlled) {
       setInput(value);
@@ -65,42 +126,49 @@ const SendOtp = ({
   
   const handleBlur = () => {
     if (validateOnBlur && inputValue.trim()) {
-      const validation = customValidation 
-        ? customValidation(inputValue)
-        : validateEmail(inputValue);
-        
+      const validation = validate(inputValue);
       if (!validation.isValid) {
         setError(validation.error);
       }
     }
   };
   
-  const performSubmit = async (email, attempt = 1) => {
+  const performSubmit = async (identifier, attempt = 1) => {
     try {
       const response = await axios({
         method: httpMethod,
         url: apiUrl,
-        data: { email },
+        data: { [isPhone ? "phone" : "email"]: identifier, purpose },
+        headers: { "Accept-Language": locale },
         timeout: 10000
       });
       
       if (response.data.success) {
-        setSuccess(response.data.message || "OTP sent successfully!");
+        const delivery = response.data.data?.delivery;
+        const message = response.data.message || t("OTP_SENT");
+        if (delivery && delivery.status !== "delivered") {
+          setDeliveryPending(true);
+          setSuccess(t("DELIVERY_PENDING"));
+          pollDelivery(delivery.id, message);
+        } else {
+          setSuccess(message);
+        }
         if (clearOnSuccess && !isControlled) {
           setInput("");
         }
         setRetryCount(0);
         onSuccess(response.data);
       } else {
-        throw new Error(response.data.message || "Failed to send OTP");
+        throw new Error(response.data.message || t("SEND_FAILED"));
       }
     } catch (err) {      const errorMessage = err?.response?.data?.message || 
                           err?.message || 
-                          ERROR_MESSAGES.SEND_FAILED;
+                          t("SEND_FAILED");
+      const code = err?.response?.data?.code;
       
-      if (retryConfig.enabled && attempt < retryConfig.maxRetries) {
+      if (retryConfig.enabled && attempt < retryConfig.maxRetries && (!code || RETRYABLE_CODES.includes(code))) {
         setTimeout(() => {
-          performSubmit(email, attempt + 1);
+          performSubmit(identifier, attempt + 1);
         }, retryConfig.delay * attempt);
         setRetryCount(attempt);
         return;
@@ -116,19 +184,18 @@ const SendOtp = ({
     
     setError("");
     setSuccess("");
+    clearTimeout(pollTimer.current);
+    setDeliveryPending(false);
     
-    const email = inputValue.trim();
-    const validation = customValidation 
-      ? customValidation(email)
-      : validateEmail(email);
-      
+    const identifier = inputValue.trim();
+    const validation = validate(identifier);
     if (!validation.isValid) {
       setError(validation.error);
       return;
     }
     
     setLoading(true);
-    await performSubmit(email);
+    await performSubmit(isPhone && validation.value ? validation.value : identifier);
     setLoading(false);
   };
     
@@ -156,29 +223,53 @@ const SendOtp = ({
   return (
     <div className={containerClasses}>
       <form onSubmit={handleSubmit} className="space-y-4">
-        {label && (
+        {text(label, isPhone ? "PHONE_LABEL" : "EMAIL_LABEL") && (
           <label 
             className="block text-gray-700 font-medium mb-1" 
             htmlFor={id}
           >
-            {label}
+            {text(label, isPhone ? "PHONE_LABEL" : "EMAIL_LABEL")}
           </label>
         )}
         
-        <input
-          id={id}
-          name={name}
-          type="email"
-          className={inputClasses}
-          style={inputStyle}
-          placeholder={placeholder}
-          value={inputValue}
-          onChange={handleInputChange}
-          onBlur={handleBlur}
-          disabled={loading || disabled}
-          autoFocus={autoFocus}
-          autoComplete="email"
-          required        />
+        <div className={isPhone ? "flex gap-2" : undefined}>
+          {isPhone && (
+            <select
+              className={`otp-country ${countryClassName}`}
+              style={{ ...inputStyle, borderColor: finalTheme.primaryColor }}
+              value={country}
+              onChange={(e) => {
+                setCountry(e.target.value);
+                if (error) setError("");
+              }}
+              disabled={loading || disabled}
+              aria-label={t("COUNTRY_LABEL")}
+              autoComplete="tel-country-code"
+            >
+              {countries.filter((code) => PHONE_REGIONS[code]).map((code) => (
+                <option key={code} value={code}>
+                  {PHONE_REGIONS[code].name} (+{PHONE_REGIONS[code].callingCode})
+                </option>
+              ))}
+            </select>
+          )}
+          
+          <input
+            id={id}
+            name={name}
+            type={isPhone ? "tel" : "email"}
+            inputMode={isPhone ? "tel" : "email"}
+            className={inputClasses}
+            style={inputStyle}
+            placeholder={text(placeholder, isPhone ? "PHONE_PLACEHOLDER" : "EMAIL_PLACEHOLDER")}
+            value={inputValue}
+            onChange={handleInputChange}
+            onBlur={handleBlur}
+            disabled={loading || disabled}
+            autoFocus={autoFocus}
+            autoComplete={isPhone ? "tel-national" : "email"}
+            required          />
+        </div>
         
         {error && (
           <div className={errorClasses} style={{ color: finalTheme.errorColor }}>
@@ -187,14 +278,14 @@ const SendOtp = ({
         )}
         
         {success && (
-          <div className={successClasses} style={{ color: finalTheme.successColor }}>
+          <div className={successClasses} style={{ color: finalTheme.successColor }} aria-busy={deliveryPending}>
             {success}
           </div>
         )}
         
         {retryConfig.enabled && retryCount > 0 && (
           <div className="text-sm text-gray-600">
-            Retrying... (Attempt {retryCount + 1} of {retryConfig.maxRetries})
+            {t("SEND_RETRYING", { attempt: retryCount + 1, maxRetries: retryConfig.maxRetries })}
           </div>
         )}
         
@@ -204,7 +295,7 @@ const SendOtp = ({
           style={buttonStyle}
           disabled={loading || disabled}
         >
-          {loading ? loadingText : buttonText}
+          {loading ? text(loadingText, "SEND_LOADING") : text(buttonText, "SEND_BUTTON")}
         </button>
       </form>
     </div>
@@ -216,7 +307,8 @@ SendOtp.defaultProps = {
   inputClassName: "w-full px-4 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500",
   buttonClassName: "w-full bg-blue-600 hover:bg-blue-700 text-white font-semibold py-2 px-4 rounded-lg transition-colors duration-200 disabled:opacity-60",
   errorClassName: "text-red-500 text-sm",
-  successClassName: "text-green-600 text-sm"
+  successClassName: "text-green-600 text-sm",
+  countryClassName: "px-2 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
 };
 
 export default SendOtp;
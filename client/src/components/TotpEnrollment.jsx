@@ -0,0 +1,266 @@
+import React, { useState, useEffect, useMemo } from "react";
+import axios from "axios";
+import { validateOTP } from "../../../lib/utils.js";
+import { DEFAULT_CONFIG, ERROR_CODES } from "../../../lib/types.js";
+import { createTranslator } from '../../../lib/i18n.js';
+
+const TotpEnrollment = ({
+  email,
+  
+  apiUrl = DEFAULT_CONFIG.apiBaseUrl + DEFAULT_CONFIG.endpoints.totpEnroll,
+  confirmApiUrl,
+  httpMethod = "POST",
+  
+  onEnroll = () => {},
+  onSuccess = () => {},
+  onError = () => {},
+  
+  locale = DEFAULT_CONFIG.defaultLocale,
+  messages,
+  
+  startText,
+  startingText,
+  instructions,
+  secretLabel,
+  label,
+  placeholder,
+  buttonText,
+  loadingText,
+  
+  className = "",
+  inputClassName = "",
+  buttonClassName = "",
+  errorClassName = "",
+  successClassName = "",
+  
+  digits = 6,
+  autoStart = false,
+  disabled = false,
+  theme = {},
+  
+  id = "otp-totp-input"
+}) => {
+  const [enrollment, setEnrollment] = useState(null);
+  const [code, setCode] = useState("");
+  const [starting, setStarting] = useState(false);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState("");
+  const [success, setSuccess] = useState("");
+  
+  const defaultTheme = {
+    primaryColor: "#3B82F6",
+    successColor: "#10B981",
+    errorColor: "#EF4444",
+    borderRadius: "0.5rem",
+    spacing: "1rem",
+    fontSize: "1rem"
+  };
+  
+  const finalTheme = { ...defaultTheme, ...theme };
+  
+  const t = useMemo(() => createTranslator(locale, messages), [locale, messages]);
+  const text = (value, id, params) => (value === undefined ? t(id, params) : value);
+  const headers = { 'Accept-Language': locale };
+  
+  const getErrorMessage = (err, fallback) => {
+    return err?.response?.data?.message || err?.message || fallback;
+  };
+  
+  const startEnrollment = async () => {
+    setError("");
+    setSuccess("");
+    setStarting(true);
+    
+    try {
+      const response = await axios({
+        method: httpMethod,
+        url: apiUrl,
+        data: { email },
+        headers,
+        timeout: 10000
+      });
+      
+      if (response.data.success) {
+        setEnrollment(response.data.data);
+        onEnroll(response.data);
+      } else {
+        throw new Error(response.data.message || t("TOTP_ENROLL_FAILED"));
+      }
+    } catch (err) {
+      const errorMessage = getErrorMessage(err, t("TOTP_ENROLL_FAILED"));
+      setError(errorMessage);
+      onError(err?.response?.data || { message: errorMessage });
+    } finally {
+      setStarting(false);
+    }
+  };
+  
+  useEffect(() => {
+    if (autoStart && !enrollment) {
+      startEnrollment();
+    }
+  }, [autoStart]);
+  
+  const handleInputChange = (e) => {
+    const value = e.target.value.replace(/\D/g, '').slice(0, digits);
+    setCode(value);
+    if (error) setError("");
+  };
+  
+  const handleSubmit = async (e) => {
+    if (e) e.preventDefault();
+    
+    setError("");
+    setSuccess("");
+    
+    const validation = validateOTP(code, digits, t);
+    if (!validation.isValid) {
+      setError(validation.error);
+      return;
+    }
+    
+    setLoading(true);
+    
+    try {
+      const response = await axios({
+        method: httpMethod,
+        url: confirmApiUrl || apiUrl.replace('/enroll', '/confirm'),
+        data: { email, otp: code },
+        headers,
+        timeout: 10000
+      });
+      
+      if (response.data.success) {
+        setSuccess(response.data.message || t("TOTP_ENABLED"));
+        setCode("");
+        onSuccess(response.data);
+      } else {
+        throw new Error(response.data.message || t("TOTP_CONFIRM_FAILED"));
+      }
+    } catch (err) {
+      const errorMessage = getErrorMessage(err, t("TOTP_CONFIRM_FAILED"));
+      const errorCode = err?.response?.data?.code;
+      if (errorCode === ERROR_CODES.TOTP_NO_PENDING || errorCode === ERROR_CODES.TOTP_ALREADY_ENABLED) {
+        setEnrollment(null);
+      }
+      setCode("");
+      setError(errorMessage);
+      onError(err?.response?.data || { message: errorMessage });
+    } finally {
+      setLoading(false);
+    }
+  };
+  
+  const containerClasses = `otp-totp-container ${className}`;
+  const inputClasses = `otp-input ${inputClassName} ${error ? 'error' : ''} ${success ? 'success' : ''}`;
+  const buttonClasses = `otp-button ${buttonClassName} ${loading || starting || disabled ? 'disabled' : ''}`;
+  const errorClasses = `otp-error ${errorClassName}`;
+  const successClasses = `otp-success ${successClassName}`;
+  
+  const inputStyle = {
+    borderColor: error ? finalTheme.errorColor : 
+                success ? finalTheme.successColor : 
+                finalTheme.primaryColor,
+    borderRadius: finalTheme.borderRadius,
+    fontSize: finalTheme.fontSize,
+    padding: finalTheme.spacing,
+    textAlign: 'center',
+    letterSpacing: '0.1em'
+  };
+  
+  const buttonStyle = {
+    backgroundColor: disabled || loading || starting ? '#9CA3AF' : finalTheme.primaryColor,
+    borderRadius: finalTheme.borderRadius,
+    fontSize: finalTheme.fontSize,
+    padding: finalTheme.spacing
+  };
+  
+  return (
+    <div className={containerClasses}>
+      {!enrollment ? (
+        <button
+          type="button"
+          className={buttonClasses}
+          style={buttonStyle}
+          onClick={startEnrollment}
+          disabled={starting || disabled}
+        >
+          {starting ? text(startingText, "TOTP_START_LOADING") : text(startText, "TOTP_START_BUTTON")}
+        </button>
+      ) : (
+        <form onSubmit={handleSubmit} className="space-y-4">
+          <p className="text-sm text-gray-600 text-center">{text(instructions, "TOTP_INSTRUCTIONS", { digits })}</p>
+          
+          <div
+            className="otp-totp-qr mx-auto"
+            style={{ width: 200, height: 200 }}
+            dangerouslySetInnerHTML={{ __html: enrollment.qrCode }}
+          />
+          
+          <div className="text-center">
+            <p className="text-xs text-gray-500">{text(secretLabel, "TOTP_SECRET_LABEL")}</p>
+            <code className="otp-totp-secret font-mono text-sm break-all">{enrollment.secret}</code>
+          </div>
+          
+          {text(label, "TOTP_CODE_LABEL") && (
+            <label 
+              className="block text-gray-700 font-medium mb-1" 
+              htmlFor={id}
+            >
+              {text(label, "TOTP_CODE_LABEL")}
+            </label>
+          )}
+          
+          <input
+            id={id}
+            type="text"
+            inputMode="numeric"
+            pattern="[0-9]*"
+            className={inputClasses}
+            style={inputStyle}
+            placeholder={text(placeholder, "TOTP_CODE_PLACEHOLDER", { digits })}
+            value={code}
+            onChange={handleInputChange}
+            disabled={loading || disabled || Boolean(success)}
+            maxLength={digits}
+            autoComplete="one-time-code"
+            required
+          />
+          
+          {success && (
+            <div className={successClasses} style={{ color: finalTheme.successColor }}>
+              {success}
+            </div>
+          )}
+          
+          {!success && (
+            <button
+              type="submit"
+              className={buttonClasses}
+              style={buttonStyle}
+              disabled={loading || disabled}
+            >
+              {loading ? text(loadingText, "TOTP_CONFIRM_LOADING") : text(buttonText, "TOTP_CONFIRM_BUTTON")}
+            </button>
+          )}
+        </form>
+      )}
+      
+      {error && (
+        <div className={errorClasses} style={{ color: finalTheme.errorColor }}>
+          {error}
+        </div>
+      )}
+    </div>
+  );
+};
+
+TotpEnrollment.defaultProps = {
+  className: "otp-totp-form",
+  inputClassName: "w-full px-4 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500",
+  buttonClassName: "w-full bg-blue-600 hover:bg-blue-700 text-white font-semibold py-2 px-4 rounded-lg transition-colors duration-200 disabled:opacity-60",
+  errorClassName: "text-red-500 text-sm",
+  successClassName: "text-green-600 text-sm"
+};
+
+export default TotpEnrollment;
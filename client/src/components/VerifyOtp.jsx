@@ -1,24 +1,30 @@
-import React, { useState, useEffect, useRef } from 'react';
+import React, { useState, useEffect, useRef, useMemo } from 'react';
 import axios from 'axios';
-import { validateOTP, formatTimeRemaining } from '../../../lib/utils.js';
-import { DEFAULT_CONFIG, ERROR_MESSAGES } from '../../../lib/types.js';
+import { validateOTP, formatTimeRemaining, formatOTP, normalizeOTP, resolveOtpFormat } from '../../../lib/utils.js';
+import { DEFAULT_CONFIG, ERROR_CODES } from '../../../lib/types.js';
+import { createTranslator } from '../../../lib/i18n.js';
 
 const VerifyOtp = ({
   email,
+  phone,
   
   apiUrl = DEFAULT_CONFIG.apiBaseUrl + DEFAULT_CONFIG.endpoints.verify,
   resendApiUrl,  httpMethod = "POST",
+  purpose,
   
   onSuccess = () => {},
   onError = () => {},
   onChange = () => {},
   onResend = () => {},  onExpiry = () => {},
   
-  label = "OTP",
-  placeholder = "Enter the OTP you received",
-  buttonText = "Verify OTP",
-  loadingText = "Verifying...",
-  resendText = "Resend OTP",  resendingText = "Resending...",
+  locale = DEFAULT_CONFIG.defaultLocale,
+  messages,
+  
+  label,
+  placeholder,
+  buttonText,
+  loadingText,
+  resendText,  resendingText,
   
   className = "",
   inputClassName = "",
@@ -29,7 +35,9 @@ const VerifyOtp = ({
   autoFocus = true,
   clearOnSuccess = true,
   showResend = true,
-  resendCooldown = 30,  maxLength = 6,
+  resendCooldown = 30,  resendAvailableAt,
+  maxLength = 6,
+  otpFormat = DEFAULT_CONFIG.otpFormat,
   
   showTimer = true,
   timerDuration = 5 * 60 * 1000,  
@@ -42,7 +50,7 @@ const VerifyOtp = ({
   defaultValue = "",
   name = "otp",  id = "otp-verify-input",
   
-  ariaLabel = "Enter verification code"
+  ariaLabel
 }) => {
   const [otp, setOtp] = useState(controlledValue || defaultValue);
   const [loading, setLoading] = useState(false);
@@ -52,12 +60,24 @@ const VerifyOtp = ({
   const [timeRemaining, setTimeRemaining] = useState(timerDuration);
   const [canResend, setCanResend] = useState(false);
   const [resendCooldownTime, setResendCooldownTime] = useState(0);
+  const [locked, setLocked] = useState(false);
   
   const inputRef = useRef(null);
   const timerRef = useRef(null);  const resendTimerRef = useRef(null);
+  const lockTimerRef = useRef(null);
   
   const isControlled = controlledValue !== undefined;  const otpValue = isControlled ? controlledValue : otp;
   
+  const t = useMemo(() => createTranslator(locale, messages), [locale, messages]);
+  const text = (value, id) => (value === undefined ? t(id) : value);
+  const headers = { 'Accept-Language': locale };
+  const contact = phone || email;
+  const recipient = phone ? { phone } : { email };
+  const format = useMemo(() => resolveOtpFormat(otpFormat), [otpFormat]);
+  const inputMaxLength = format.groupSize
+    ? maxLength + Math.ceil(maxLength / format.groupSize - 1) * format.separator.length
+    : maxLength;
+  
   const defaultTheme = {
     primaryColor: "#3B82F6",
     successColor: "#10B981",
@@ -112,21 +132,64 @@ const VerifyOtp = ({
       inputRef.current.focus();
     }
   }, [autoFocus]);
+  
+  useEffect(() => () => clearTimeout(lockTimerRef.current), []);
+  
+  const startResendCooldown = (seconds) => {
+    setCanResend(seconds <= 0);
+    setResendCooldownTime(Math.max(seconds, 0));
+  };
+  
   useEffect(() => {
-    if (autoSubmit && otpValue.length === maxLength) {
+    if (resendAvailableAt) {
+      startResendCooldown(Math.ceil((resendAvailableAt - Date.now()) / 1000));
+    }
+  }, [resendAvailableAt]);
+  
+  const handleVerifyError = (err) => {
+    const data = err?.response?.data;
+    const errorMessage = data?.message || 
+                        err?.message || 
+                        t("VERIFY_FAILED");
+    
+    switch (data?.code) {
+      case ERROR_CODES.OTP_EXPIRED:
+      case ERROR_CODES.OTP_NOT_FOUND:
+        setTimeRemaining(0);
+        setResendCooldownTime(0);
+        setCanResend(true);
+        break;
+      case ERROR_CODES.LOCKED:
+        setLocked(true);
+        clearTimeout(lockTimerRef.current);
+        lockTimerRef.current = setTimeout(() => setLocked(false), (data.data?.retryAfter || 0) * 1000);
+        break;
+      case ERROR_CODES.OTP_INVALID:
+        if (!isControlled) setOtp("");
+        inputRef.current?.focus();
+        break;
+      default:
+        break;
+    }
+    
+    setError(errorMessage);
+    onError(data || { message: errorMessage });
+  };
+  useEffect(() => {
+    if (autoSubmit && !locked && normalizeOTP(otpValue, otpFormat).length === maxLength) {
       const submitForm = async () => {
         const otpCode = otpValue.trim();
         const validation = customValidation 
           ? customValidation(otpCode)
-          : validateOTP(otpCode, maxLength);
+          : validateOTP(otpCode, maxLength, t, otpFormat);
           
         if (!validation.isValid) {
           setError(validation.error);
           return;
         }
         
-        if (!email) {
-          setError("Email is required for verification");
+        if (!contact) {
+          setError(t("EMAIL_REQUIRED_FOR_VERIFY"));
           return;
         }
         
@@ -136,25 +199,22 @@ const VerifyOtp = ({
           const response = await axios({
             method: httpMethod,
             url: apiUrl,
-            data: { email, otp: otpCode },
+            data: { ...recipient, otp: otpCode, purpose },
+            headers,
             timeout: 10000
           });
           
           if (response.data.success) {
-            setSuccess(response.data.message || "OTP verified successfully!");
+            setSuccess(response.data.message || t("OTP_VERIFIED"));
             if (clearOnSuccess && !isControlled) {
               setOtp("");
             }
             onSuccess(response.data);
           } else {
-            throw new Error(response.data.message || "Failed to verify OTP");
+            throw new Error(response.data.message || t("VERIFY_FAILED"));
           }
         } catch (err) {
-          const errorMessage = err?.response?.data?.message || 
-                              err?.message || 
-                              ERROR_MESSAGES.VERIFY_FAILED;
-          setError(errorMessage);
-          onError(err?.response?.data || { message: errorMessage });
+          handleVerifyError(err);
         } finally {
           setLoading(false);
         }
@@ -162,16 +222,18 @@ const VerifyOtp = ({
       
       submitForm();
     }
-  }, [otpValue, autoSubmit, maxLength, customValidation, email, httpMethod, apiUrl, clearOnSuccess, isControlled, onSuccess, onError]);
+  }, [otpValue, autoSubmit, locked, maxLength, otpFormat, purpose, customValidation, contact, httpMethod, apiUrl, clearOnSuccess, isControlled, onSuccess, onError, t]);
     const handleInputChange = (e) => {
     let value = e.target.value;
     
     if (formatInput) {
-      value = value.replace(/\D/g, '');
-    }
-    
-    if (value.length > maxLength) {
-      value = value.slice(0, maxLength);
+      const code = [...normalizeOTP(value, otpFormat)]
+        .filter((char) => format.characters.includes(char))
+        .join('')
+        .slice(0, maxLength);
+      value = formatOTP(code, otpFormat);
+    } else if (value.length > inputMaxLength) {
+      value = value.slice(0, inputMaxLength);
     }
     
     if (!isControlled) {
@@ -191,15 +253,15 @@ const VerifyOtp = ({
     const otpCode = otpValue.trim();
     const validation = customValidation 
       ? customValidation(otpCode)
-      : validateOTP(otpCode, maxLength);
+      : validateOTP(otpCode, maxLength, t, otpFormat);
       
     if (!validation.isValid) {
       setError(validation.error);
       return;
     }
     
-    if (!email) {
-      setError("Email is required for verification");
+    if (!contact) {
+      setError(t("EMAIL_REQUIRED_FOR_VERIFY"));
       return;
     }
     
@@ -209,25 +271,22 @@ const VerifyOtp = ({
       const response = await axios({
         method: httpMethod,
         url: apiUrl,
-        data: { email, otp: otpCode },
+        data: { ...recipient, otp: otpCode, purpose },
+        headers,
         timeout: 10000
       });
       
       if (response.data.success) {
-        setSuccess(response.data.message || "OTP verified successfully!");
+        setSuccess(response.data.message || t("OTP_VERIFIED"));
         if (clearOnSuccess && !isControlled) {
           setOtp("");
         }
         onSuccess(response.data);
       } else {
-        throw new Error(response.data.message || "Failed to verify OTP");
+        throw new Error(response.data.message || t("VERIFY_FAILED"));
       }
     } catch (err) {
-      const errorMessage = err?.response?.data?.message || 
-                          err?.message || 
-                          ERROR_MESSAGES.VERIFY_FAILED;
-      setError(errorMessage);
-      onError(err?.response?.data || { message: errorMessage });
+      handleVerifyError(err);
     } finally {
       setLoading(false);
     }
@@ -237,33 +296,40 @@ const VerifyOtp = ({
     if (!canResend && resendCooldownTime > 0) return;
     
     setResending(true);
-    setCanResend(false);
-    setResendCooldownTime(resendCooldown);
+    startResendCooldown(resendCooldown);
     
     try {
-      const url = resendApiUrl || apiUrl.replace('/verify', '/send');
-      const response = await axios.post(url, { email });
+      const url = resendApiUrl || apiUrl.replace('/verify', '/resend');
+      const response = await axios.post(url, { ...recipient, purpose }, { headers });
       
-      if (response.data.success) {        setSuccess("OTP resent successfully!");
+      if (response.data.success) {        setSuccess(response.data.message || t("OTP_RESENT"));
         setTimeRemaining(timerDuration);
+        if (response.data.data?.resendAvailableAt) {
+          startResendCooldown(Math.ceil((response.data.data.resendAvailableAt - Date.now()) / 1000));
+        }
         onResend(response.data);
       } else {
-        throw new Error(response.data.message || "Failed to resend OTP");
+        throw new Error(response.data.message || t("RESEND_FAILED"));
       }
     } catch (err) {
-      const errorMessage = err?.response?.data?.message || 
+      const data = err?.response?.data;
+      const errorMessage = data?.message || 
                           err?.message || 
-                          "Failed to resend OTP";
+                          t("RESEND_FAILED");
       setError(errorMessage);
-      setCanResend(true);
-      setResendCooldownTime(0);
+      
+      if (data?.code === ERROR_CODES.RESEND_COOLDOWN || data?.code === ERROR_CODES.RESEND_LIMIT_REACHED) {
+        startResendCooldown(data.data?.retryAfter || 0);
+      } else {
+        startResendCooldown(0);
+      }
     } finally {
       setResending(false);
     }  };
   
   const containerClasses = `otp-verify-container ${className}`;
   const inputClasses = `otp-input ${inputClassName} ${error ? 'error' : ''} ${success ? 'success' : ''}`;
-  const buttonClasses = `otp-button ${buttonClassName} ${loading || disabled ? 'disabled' : ''}`;
+  const buttonClasses = `otp-button ${buttonClassName} ${loading || disabled || locked ? 'disabled' : ''}`;
   const errorClasses = `otp-error ${errorClassName}`;  const successClasses = `otp-success ${successClassName}`;
   
   const inputStyle = {
@@ -278,36 +344,36 @@ const VerifyOtp = ({
   };
   
   const buttonStyle = {
-    backgroundColor: disabled || loading ? '#9CA3AF' : finalTheme.primaryColor,
+    backgroundColor: disabled || loading || locked ? '#9CA3AF' : finalTheme.primaryColor,
     borderRadius: finalTheme.borderRadius,
     fontSize: finalTheme.fontSize,
     padding: finalTheme.spacing
   };
     return (
     <div className={containerClasses}>
-      {email && (
+      {contact && (
         <p className="mb-2 text-gray-600 text-center">
-          Verifying for: <strong>{email}</strong>
+          {t("VERIFYING_FOR")} <strong>{contact}</strong>
         </p>      )}
       
       {showTimer && (
         <div className="mb-4 text-center">
           <p className="text-sm text-gray-600">
-            Time remaining: 
+            {t("TIME_REMAINING")}
             <span className={`ml-1 font-mono ${timeRemaining < 60000 ? 'text-red-500' : 'text-blue-600'}`}>
-              {formatTimeRemaining(Date.now() + timeRemaining)}
+              {formatTimeRemaining(Date.now() + timeRemaining, t("TIMER_EXPIRED"))}
             </span>
           </p>
         </div>
       )}
       
       <form onSubmit={handleSubmit} className="space-y-4">
-        {label && (
+        {text(label, "OTP_LABEL") && (
           <label 
             className="block text-gray-700 font-medium mb-1" 
             htmlFor={id}
           >
-            {label}
+            {text(label, "OTP_LABEL")}
           </label>
         )}
         
@@ -316,17 +382,18 @@ const VerifyOtp = ({
           id={id}
           name={name}
           type="text"
-          inputMode="numeric"
-          pattern="[0-9]*"
+          inputMode={format.numeric ? "numeric" : "text"}
+          pattern={format.numeric && !format.groupSize ? "[0-9]*" : undefined}
+          autoCapitalize={format.numeric ? undefined : "characters"}
           className={inputClasses}
           style={inputStyle}
-          placeholder={placeholder}
+          placeholder={text(placeholder, "OTP_PLACEHOLDER")}
           value={otpValue}
           onChange={handleInputChange}
-          disabled={loading || disabled}
-          maxLength={maxLength}
+          disabled={loading || disabled || locked}
+          maxLength={inputMaxLength}
           autoComplete="one-time-code"
-          aria-label={ariaLabel}
+          aria-label={text(ariaLabel, "OTP_ARIA_LABEL")}
           required        />
         
         {error && (
@@ -344,9 +411,9 @@ const VerifyOtp = ({
           type="submit"
           className={buttonClasses}
           style={buttonStyle}
-          disabled={loading || disabled}
+          disabled={loading || disabled || locked}
         >
-          {loading ? loadingText : buttonText}        </button>
+          {loading ? text(loadingText, "VERIFY_LOADING") : text(buttonText, "VERIFY_BUTTON")}        </button>
         
         {showResend && (
           <div className="text-center">
@@ -357,11 +424,11 @@ const VerifyOtp = ({
                 disabled={resending}
                 className="text-sm text-blue-600 hover:text-blue-800 underline disabled:opacity-50"
               >
-                {resending ? resendingText : resendText}
+                {resending ? text(resendingText, "RESEND_LOADING") : text(resendText, "RESEND_BUTTON")}
               </button>
             ) : (
               <p className="text-sm text-gray-500">
-                Resend OTP in {resendCooldownTime}s
+                {t("RESEND_COUNTDOWN", { seconds: resendCooldownTime })}
               </p>
             )}
           </div>
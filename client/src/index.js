@@ -1,12 +1,24 @@
 export { default as SendOtp } from './components/SendOtp.jsx';
 export { default as VerifyOtp } from './components/VerifyOtp.jsx';
+export { default as TotpEnrollment } from './components/TotpEnrollment.jsx';
+export { default as RecoveryCodes } from './components/RecoveryCodes.jsx';
 
 export {
   generateOTP,
+  formatOTP,
+  normalizeOTP,
+  resolveOtpFormat,
   validateEmail,
+  validatePhone,
+  validateIdentifier,
+  detectIdentifierType,
+  normalizeIdentifier,
+  normalizeEmail,
   validateOTP,
   formatTimeRemaining,
   createResponse,
+  createErrorResponse,
+  getResponseStatus,
   handleApiError,
   sanitizeEmail,
   createEmailTemplate,
@@ -14,15 +26,35 @@ export {
 } from '../../lib/utils.js';
 
 export {
+  OTP_EVENTS,
+  OTP_PURPOSES,
   DEFAULT_CONFIG,
+  OTP_ALPHABETS,
   VALIDATION,
   ERROR_MESSAGES,
+  ERROR_CODES,
+  ERROR_STATUS,
   SUCCESS_MESSAGES
 } from '../../lib/types.js';
 
+export {
+  MESSAGES,
+  DEFAULT_LOCALE,
+  createTranslator,
+  formatMessage,
+  parseAcceptLanguage,
+  resolveLocale
+} from '../../lib/i18n.js';
+
+export { PHONE_REGIONS, parsePhoneNumber } from '../../lib/phone.js';
+
 export { otpMiddleware, createOtpRoutes, rateLimitMiddleware } from '../../server/middleware/otp-middleware.js';
 
 export * from './components/SendOtp.jsx';
 export * from './components/VerifyOtp.jsx';
+export * from './components/TotpEnrollment.jsx';
+export * from './components/RecoveryCodes.jsx';
 export * from '../../lib/utils.js';
 export * from '../../lib/types.js';
+export * from '../../lib/i18n.js';
+export * from '../../lib/phone.js';
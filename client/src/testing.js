@@ -0,0 +1,152 @@
+import axios from 'axios';
+import { createResponse, createErrorResponse, getResponseStatus, detectIdentifierType } from '../../lib/utils.js';
+import { DEFAULT_CONFIG, ERROR_CODES } from '../../lib/types.js';
+import { createTranslator } from '../../lib/i18n.js';
+
+const ENDPOINTS = {
+  send: ['/send', DEFAULT_CONFIG.endpoints.send],
+  resend: ['/resend', DEFAULT_CONFIG.endpoints.resend],
+  verify: ['/verify', DEFAULT_CONFIG.endpoints.verify],
+  delivery: [DEFAULT_CONFIG.endpoints.deliveryStatus]
+};
+
+const parseData = (data) => {
+  if (typeof data !== 'string') return data || {};
+  try {
+    return JSON.parse(data);
+  } catch (error) {
+    return {};
+  }
+};
+
+const matchEndpoint = (url = '') => {
+  const path = url.replace(/^[a-z]+:\/\/[^/]+/i, '').split('?')[0];
+  for (const [name, suffixes] of Object.entries(ENDPOINTS)) {
+    if (name === 'delivery') {
+      const match = suffixes.map((suffix) => path.match(new RegExp(`${suffix}/([^/]+)$`))).find(Boolean);
+      if (match) return { name, id: decodeURIComponent(match[1]) };
+    } else if (suffixes.some((suffix) => path.endsWith(suffix))) {
+      return { name };
+    }
+  }
+  return null;
+};
+
+export function createMockOtpApi(options = {}) {
+  const { code = '123456', maxAttempts = 5, delayMs = 0, deliveryStatus = 'delivered' } = options;
+  const t = createTranslator(options.locale);
+  const overrides = new Map();
+  const requests = [];
+  const attempts = new Map();
+  const locked = new Set();
+
+  const recipientOf = (body) => {
+    const identifier = body.identifier || body.phone || body.email;
+    const identifierType = body.identifierType || (body.phone ? 'phone' : detectIdentifierType(identifier));
+    return { [identifierType]: identifier, identifier, identifierType };
+  };
+
+  // Like the server, a lockout burns the code: every request for that identifier is refused until reset().
+  const lockedResponse = () => createErrorResponse(ERROR_CODES.LOCKED, t('LOCKED', { minutes: 15 }), { retryAfter: 900, attemptsRemaining: 0 });
+
+  const handlers = {
+    send: (body) => locked.has(recipientOf(body).identifier)
+      ? lockedResponse()
+      : createResponse(true, t('OTP_SENT'), {
+          ...recipientOf(body),
+          purpose: body.purpose || 'default',
+          ...(deliveryStatus !== 'delivered' && { delivery: { id: 'mock-delivery', status: 'queued' } })
+        }),
+
+    resend: (body) => locked.has(recipientOf(body).identifier)
+      ? lockedResponse()
+      : createResponse(true, t('OTP_RESENT'), { ...recipientOf(body), purpose: body.purpose || 'default' }),
+
+    verify: (body) => {
+      const recipient = recipientOf(body);
+      if (locked.has(recipient.identifier)) {
+        return lockedResponse();
+      }
+      if (String(body.otp) === String(code)) {
+        attempts.delete(recipient.identifier);
+        return createResponse(true, t('OTP_VERIFIED'), { ...recipient, purpose: body.purpose || 'default', token: 'mock-verification-token' });
+      }
+
+      const used = (attempts.get(recipient.identifier) || 0) + 1;
+      attempts.set(recipient.identifier, used);
+      const attemptsRemaining = Math.max(maxAttempts - used, 0);
+      if (attemptsRemaining === 0) {
+        locked.add(recipient.identifier);
+        return lockedResponse();
+      }
+      return createErrorResponse(ERROR_CODES.OTP_INVALID, t('INVALID_OTP_ATTEMPTS', { count: attemptsRemaining }), { attemptsRemaining });
+    },
+
+    delivery: (body, { id }) => createResponse(true, t('DELIVERY_STATUS'), { id, status: deliveryStatus, attempts: 1 })
+  };
+
+  const adapter = async (config) => {
+    const endpoint = matchEndpoint(config.url);
+    const body = parseData(config.data);
+    requests.push({ endpoint: endpoint?.name || null, method: (config.method || 'get').toUpperCase(), url: config.url, body });
+
+    if (delayMs > 0) {
+      await new Promise((resolve) => setTimeout(resolve, delayMs));
+    }
+
+    const override = endpoint && overrides.get(endpoint.name);
+    const result = override
+      ? (typeof override === 'function' ? await override(body, config) : override)
+      : endpoint
+        ? handlers[endpoint.name](body, endpoint)
+        : createErrorResponse(ERROR_CODES.NOT_FOUND, 'Endpoint not found');
+    const status = getResponseStatus(result);
+    const response = { data: result, status, statusText: String(status), headers: {}, config, request: {} };
+
+    if (config.validateStatus && !config.validateStatus(status)) {
+      throw new axios.AxiosError(result.message, axios.AxiosError.ERR_BAD_REQUEST, config, {}, response);
+    }
+    return response;
+  };
+
+  return {
+    adapter,
+    requests,
+
+    install(instance = axios) {
+      const previous = instance.defaults.adapter;
+      instance.defaults.adapter = adapter;
+      return () => {
+        instance.defaults.adapter = previous;
+      };
+    },
+
+    respondWith(endpoint, response) {
+      overrides.set(endpoint, response);
+    },
+
+    requestsTo(endpoint) {
+      return requests.filter((request) => request.endpoint === endpoint);
+    },
+
+    reset() {
+      overrides.clear();
+      attempts.clear();
+      locked.clear();
+      requests.length = 0;
+    }
+  };
+}
+
+export const getOtpComponentProps = (baseUrl) => ({
+  sendOtp: {
+    apiUrl: `${baseUrl}/send`,
+    deliveryStatusUrl: `${baseUrl}${DEFAULT_CONFIG.endpoints.deliveryStatus}`
+  },
+  verifyOtp: {
+    apiUrl: `${baseUrl}/verify`,
+    resendApiUrl: `${baseUrl}/resend`
+  }
+});
+
+export { createTestServer, createTestClock, createFakeTransport } from '../../server/testing/index.js';
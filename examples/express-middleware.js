@@ -1,6 +1,7 @@
 
 import express from 'express';
 import { otpMiddleware, createOtpRoutes } from '../server/middleware/otp-middleware.js';
+import { getResponseStatus } from '../lib/utils.js';
 
 const app = express();
 
@@ -11,13 +12,32 @@ app.use('/auth', otpMiddleware({
     user: process.env.EMAIL,
     pass: process.env.PASSWORD
   },
-  otpConfig: {
-    length: 6,
-    expiryMinutes: 5
-  },
+  otpLength: 6,
+  expiryMinutes: 5,
   rateLimit: {
-    maxAttempts: 5,
-    windowMs: 15 * 60 * 1000 
+    send: [{ key: 'identifier', limit: 5, windowMs: 15 * 60 * 1000 }]
+  },
+  events: {
+    'otp.sent': (event) => LoginAttempt.create({
+      email: event.identifier,
+      type: 'otp_sent',
+      purpose: event.purpose,
+      ip: event.ip,
+      timestamp: new Date(event.timestamp)
+    }),
+    'otp.verified': (event) => LoginAttempt.create({
+      email: event.identifier,
+      type: `${event.purpose}_success`,
+      ip: event.ip,
+      timestamp: new Date(event.timestamp)
+    }),
+    'otp.verify_failed': (event) => LoginAttempt.create({
+      email: event.identifier,
+      type: `${event.purpose}_failed`,
+      reason: event.reason,
+      ip: event.ip,
+      timestamp: new Date(event.timestamp)
+    })
   }
 }));
 
@@ -36,20 +56,12 @@ app.post('/api/login/send-otp', async (req, res) => {
     }
     
     
-    const otpResult = await req.sendOtp(email);
+    const otpResult = await req.sendOtp(email, { purpose: 'login' });
     
     if (otpResult.success) {
-      
-      await LoginAttempt.create({
-        userId: user.id,
-        type: 'otp_sent',
-        ip: req.ip,
-        timestamp: new Date()
-      });
-      
       res.json(otpResult);
     } else {
-      res.status(400).json(otpResult);
+      res.status(getResponseStatus(otpResult)).json(otpResult);
     }
   } catch (error) {
     res.status(500).json({
@@ -64,7 +76,7 @@ app.post('/api/login/verify-otp', async (req, res) => {
   
   try {
     
-    const verifyResult = await req.verifyOtp(email, otp);
+    const verifyResult = await req.verifyOtp(email, otp, { purpose: 'login' });
     
     if (verifyResult.success) {
       
@@ -75,14 +87,6 @@ app.post('/api/login/verify-otp', async (req, res) => {
         { expiresIn: '7d' }
       );
       
-      
-      await LoginAttempt.create({
-        userId: user.id,
-        type: 'login_success',
-        ip: req.ip,
-        timestamp: new Date()
-      });
-      
       res.json({
         success: true,
         message: 'Login successful',
@@ -96,7 +100,7 @@ app.post('/api/login/verify-otp', async (req, res) => {
         }
       });
     } else {
-      res.status(400).json(verifyResult);
+      res.status(getResponseStatus(verifyResult)).json(verifyResult);
     }
   } catch (error) {
     res.status(500).json({
@@ -120,7 +124,7 @@ app.post('/api/forgot-password/send-otp', async (req, res) => {
       });
     }
     
-    const otpResult = await req.sendOtp(email);
+    const otpResult = await req.sendOtp(email, { purpose: 'password_reset' });
     res.json({
       success: true,
       message: 'If this email exists, you will receive an OTP'
@@ -137,7 +141,7 @@ app.post('/api/forgot-password/verify-and-reset', async (req, res) => {
   const { email, otp, newPassword } = req.body;
   
   try {
-    const verifyResult = await req.verifyOtp(email, otp);
+    const verifyResult = await req.verifyOtp(email, otp, { purpose: 'password_reset' });
     
     if (verifyResult.success) {
       
@@ -154,7 +158,7 @@ app.post('/api/forgot-password/verify-and-reset', async (req, res) => {
         message: 'Password reset successful'
       });
     } else {
-      res.status(400).json(verifyResult);
+      res.status(getResponseStatus(verifyResult)).json(verifyResult);
     }
   } catch (error) {
     res.status(500).json({
@@ -168,7 +172,7 @@ app.post('/api/forgot-password/verify-and-reset', async (req, res) => {
 app.post('/api/enable-2fa', authenticateUser, async (req, res) => {
   try {
     const user = req.user;
-    const otpResult = await req.sendOtp(user.email);
+    const otpResult = await req.sendOtp(user.email, { purpose: 'two_factor' });
     
     if (otpResult.success) {
       res.json({
@@ -176,7 +180,7 @@ app.post('/api/enable-2fa', authenticateUser, async (req, res) => {
         message: 'OTP sent to your email for 2FA setup'
       });
     } else {
-      res.status(400).json(otpResult);
+      res.status(getResponseStatus(otpResult)).json(otpResult);
     }
   } catch (error) {
     res.status(500).json({
@@ -191,7 +195,7 @@ app.post('/api/confirm-2fa', authenticateUser, async (req, res) => {
   const user = req.user;
   
   try {
-    const verifyResult = await req.verifyOtp(user.email, otp);
+    const verifyResult = await req.verifyOtp(user.email, otp, { purpose: 'two_factor' });
     
     if (verifyResult.success) {
       
@@ -205,7 +209,7 @@ app.post('/api/confirm-2fa', authenticateUser, async (req, res) => {
         message: '2FA enabled successfully'
       });
     } else {
-      res.status(400).json(verifyResult);
+      res.status(getResponseStatus(verifyResult)).json(verifyResult);
     }
   } catch (error) {
     res.status(500).json({
@@ -39,7 +39,7 @@ export default function VerifyOtpPage() {
   const handleVerifySuccess = (data) => {
     console.log('OTP verified:', data);
     
-    localStorage.setItem('authenticated', 'true');
+    sessionStorage.setItem('verificationToken', data.data.token);
     router.push('/dashboard');
   };
   
@@ -0,0 +1,54 @@
+import en from './locales/en.js';
+import es from './locales/es.js';
+import fr from './locales/fr.js';
+import de from './locales/de.js';
+
+export const DEFAULT_LOCALE = 'en';
+
+export const MESSAGES = { en, es, fr, de };
+
+export const formatMessage = (message, params = {}) => {
+  return message.replace(/\{(\w+)\}/g, (match, name) => (params[name] ?? match));
+};
+
+export const parseAcceptLanguage = (header) => {
+  if (!header) return [];
+
+  return header
+    .split(',')
+    .map((part) => {
+      const [tag, ...params] = part.trim().split(';');
+      const quality = params.find((param) => param.trim().startsWith('q='));
+      return { tag: tag.trim(), q: quality ? parseFloat(quality.split('=')[1]) : 1 };
+    })
+    .filter(({ tag, q }) => tag && tag !== '*' && q > 0)
+    .sort((a, b) => b.q - a.q)
+    .map(({ tag }) => tag);
+};
+
+export const resolveLocale = (candidates, available = Object.keys(MESSAGES), fallback = DEFAULT_LOCALE) => {
+  const locales = available.map((locale) => locale.toLowerCase());
+
+  for (const candidate of [].concat(candidates).filter((value) => value && typeof value === 'string')) {
+    const requested = candidate.toLowerCase();
+    const match = locales.indexOf(requested) !== -1
+      ? locales.indexOf(requested)
+      : locales.indexOf(requested.split('-')[0]);
+    if (match !== -1) return available[match];
+  }
+
+  return fallback;
+};
+
+export const createTranslator = (locale = DEFAULT_LOCALE, overrides = {}) => {
+  const base = locale.split('-')[0];
+  const bundles = [overrides, MESSAGES[locale], MESSAGES[base], MESSAGES[DEFAULT_LOCALE]].filter(Boolean);
+  const lookup = (id) => bundles.find((bundle) => bundle[id] !== undefined)?.[id];
+
+  const t = (id, params) => {
+    const message = (params?.count === 1 && lookup(`${id}_ONE`)) || lookup(id);
+    return message === undefined ? id : formatMessage(message, params);
+  };
+  t.locale = locale;
+  return t;
+};
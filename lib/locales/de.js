@@ -0,0 +1,119 @@
+export default {
+  EMAIL_REQUIRED: 'E-Mail-Adresse ist erforderlich',
+  INVALID_EMAIL: 'Bitte gib eine gültige E-Mail-Adresse ein',
+  EMAIL_NOT_ALLOWED: 'Diese E-Mail-Adresse ist hier nicht zulässig.',
+  EMAIL_DISPOSABLE: 'Wegwerf-E-Mail-Adressen werden nicht akzeptiert.',
+  PHONE_REQUIRED: 'Telefonnummer ist erforderlich',
+  INVALID_PHONE: 'Bitte gib eine gültige Telefonnummer ein',
+  IDENTIFIER_REQUIRED: 'E-Mail-Adresse oder Telefonnummer ist erforderlich',
+  IDENTIFIER_TYPE_UNSUPPORTED: 'Diese Art von Kontakt wird hier nicht akzeptiert',
+  OTP_REQUIRED: 'Code ist erforderlich',
+  INVALID_OTP: 'Bitte gib einen gültigen {length}-stelligen Code ein',
+  INVALID_OTP_CHARACTERS: 'Bitte gib einen gültigen {length}-stelligen Code aus Buchstaben und Ziffern ein',
+  EMAIL_AND_OTP_REQUIRED: 'E-Mail-Adresse und Code sind erforderlich',
+  INVALID_PURPOSE: 'Unbekannter Verwendungszweck',
+  INVALID_CHANNEL: 'Unbekannter Versandkanal',
+
+  OTP_SENT: 'Code erfolgreich gesendet!',
+  LINK_SENT: 'Bestätigungslink erfolgreich gesendet!',
+  SEND_FAILED: 'Code konnte nicht gesendet werden. Bitte versuche es später erneut.',
+  MAGIC_LINK_DISABLED: 'Magic Links sind nicht konfiguriert.',
+  RATE_LIMITED: 'Zu viele Versuche. Versuche es in {minutes} Minuten erneut.',
+  LOCKED: 'Zu viele Fehlversuche. Versuche es in {minutes} Minuten erneut.',
+  RESEND_COOLDOWN: 'Bitte warte {seconds} Sekunden, bevor du einen weiteren Code anforderst.',
+  RESEND_LIMIT_REACHED: 'Maximale Anzahl erneuter Sendungen erreicht. Fordere einen neuen Code an, sobald dieser abgelaufen ist.',
+
+  OTP_VERIFIED: 'Code erfolgreich bestätigt!',
+  OTP_NOT_FOUND: 'Für diese E-Mail-Adresse wurde kein Code gefunden. Bitte fordere einen neuen an.',
+  OTP_EXPIRED: 'Der Code ist abgelaufen. Bitte fordere einen neuen an.',
+  INVALID_OTP_ATTEMPTS: 'Ungültiger Code. Noch {count} Versuche.',
+  INVALID_OTP_ATTEMPTS_ONE: 'Ungültiger Code. Noch {count} Versuch.',
+  VERIFY_FAILED: 'Code konnte nicht bestätigt werden. Bitte versuche es erneut.',
+
+  EMAIL_VERIFIED: 'E-Mail-Adresse erfolgreich bestätigt!',
+  PHONE_VERIFIED: 'Telefonnummer erfolgreich bestätigt!',
+  LINK_INVALID: 'Dieser Link ist ungültig.',
+  LINK_EXPIRED: 'Dieser Link ist abgelaufen. Bitte fordere einen neuen an.',
+  LINK_USED: 'Dieser Link wurde bereits verwendet oder durch einen neueren ersetzt.',
+  LINK_LOCKED: 'Zu viele Fehlversuche. Bitte versuche es später erneut.',
+  LINK_VERIFY_FAILED: 'Link konnte nicht bestätigt werden. Bitte versuche es erneut.',
+  LINK_CONFIRM_TITLE: 'Anmeldung bestätigen',
+  LINK_CONFIRM_MESSAGE: 'Fahre fort, um die Bestätigung deines Kontos abzuschließen.',
+  LINK_CONFIRM_BUTTON: 'Weiter',
+
+  TOTP_SCAN_QR: 'Scanne den QR-Code mit deiner Authenticator-App.',
+  TOTP_ALREADY_ENABLED: 'Die Authenticator-App ist für diese E-Mail-Adresse bereits aktiviert.',
+  TOTP_NO_PENDING: 'Für diese E-Mail-Adresse ist keine Authenticator-Einrichtung ausstehend.',
+  TOTP_NOT_ENABLED: 'Die Authenticator-App ist für diese E-Mail-Adresse nicht aktiviert.',
+  TOTP_INVALID_CODE: 'Ungültiger Authenticator-Code. Bitte versuche es erneut.',
+  TOTP_CODE_USED: 'Dieser Authenticator-Code wurde bereits verwendet. Warte auf den nächsten Code.',
+  TOTP_ENABLED: 'Authenticator-App erfolgreich aktiviert!',
+  TOTP_VERIFIED: 'Authenticator-Code erfolgreich bestätigt!',
+  TOTP_DISABLED: 'Authenticator-App deaktiviert.',
+  TOTP_ENROLL_FAILED: 'Authenticator-App konnte nicht eingerichtet werden. Bitte versuche es erneut.',
+  TOTP_CONFIRM_FAILED: 'Authenticator-App konnte nicht bestätigt werden. Bitte versuche es erneut.',
+  TOTP_VERIFY_FAILED: 'Authenticator-Code konnte nicht bestätigt werden. Bitte versuche es erneut.',
+  TOTP_DISABLE_FAILED: 'Authenticator-App konnte nicht deaktiviert werden. Bitte versuche es erneut.',
+
+  RECOVERY_CODES_GENERATED: 'Wiederherstellungscodes erstellt. Bewahre sie sicher auf; sie werden nicht erneut angezeigt.',
+  RECOVERY_CODES_NOT_SET_UP: 'Für diese E-Mail-Adresse sind keine Wiederherstellungscodes eingerichtet.',
+  RECOVERY_CODE_INVALID: 'Ungültiger oder bereits verwendeter Wiederherstellungscode.',
+  RECOVERY_CODE_ACCEPTED: 'Wiederherstellungscode akzeptiert.',
+  RECOVERY_CODES_REVOKED: 'Wiederherstellungscodes widerrufen.',
+  RECOVERY_CODE_STATUS: 'Status der Wiederherstellungscodes',
+  RECOVERY_GENERATE_FAILED: 'Wiederherstellungscodes konnten nicht erstellt werden. Bitte versuche es erneut.',
+  RECOVERY_VERIFY_FAILED: 'Wiederherstellungscode konnte nicht bestätigt werden. Bitte versuche es erneut.',
+  RECOVERY_REVOKE_FAILED: 'Wiederherstellungscodes konnten nicht widerrufen werden. Bitte versuche es erneut.',
+
+  VERIFICATION_REQUIRED: 'Bestätigung erforderlich',
+  VERIFICATION_TOKEN_INVALID: 'Ungültiges Bestätigungstoken',
+  VERIFICATION_TOKEN_EXPIRED: 'Das Bestätigungstoken ist abgelaufen',
+  VERIFICATION_WRONG_PURPOSE: 'Das Bestätigungstoken wurde für einen anderen Zweck ausgestellt',
+  VERIFICATION_TOO_OLD: 'Die Bestätigung ist zu alt. Bitte bestätige erneut.',
+
+  EMAIL_LABEL: 'E-Mail',
+  EMAIL_PLACEHOLDER: 'Gib deine E-Mail-Adresse ein',
+  PHONE_LABEL: 'Telefonnummer',
+  PHONE_PLACEHOLDER: 'Gib deine Telefonnummer ein',
+  COUNTRY_LABEL: 'Land',
+  SEND_BUTTON: 'Code senden',
+  SEND_LOADING: 'Wird gesendet...',
+  SEND_RETRYING: 'Neuer Versuch... (Versuch {attempt} von {maxRetries})',
+  OTP_LABEL: 'Code',
+  OTP_PLACEHOLDER: 'Gib den erhaltenen Code ein',
+  OTP_ARIA_LABEL: 'Bestätigungscode eingeben',
+  VERIFY_BUTTON: 'Code bestätigen',
+  VERIFY_LOADING: 'Wird bestätigt...',
+  VERIFYING_FOR: 'Bestätigung für:',
+  EMAIL_REQUIRED_FOR_VERIFY: 'Für die Bestätigung ist eine E-Mail-Adresse erforderlich',
+  TIME_REMAINING: 'Verbleibende Zeit:',
+  TIMER_EXPIRED: 'Abgelaufen',
+  RESEND_BUTTON: 'Code erneut senden',
+  RESEND_LOADING: 'Wird erneut gesendet...',
+  RESEND_COUNTDOWN: 'Code erneut senden in {seconds} s',
+  OTP_RESENT: 'Code erfolgreich erneut gesendet!',
+  RESEND_FAILED: 'Code konnte nicht erneut gesendet werden',
+  DELIVERY_PENDING: 'Dein Code wird noch gesendet...',
+  DELIVERY_STATUS: 'Zustellstatus',
+  DELIVERY_NOT_FOUND: 'Zustellung nicht gefunden',
+
+  TOTP_START_BUTTON: 'Authenticator-App einrichten',
+  TOTP_START_LOADING: 'Wird vorbereitet...',
+  TOTP_INSTRUCTIONS: 'Scanne diesen QR-Code mit deiner Authenticator-App und gib dann den {digits}-stelligen Code ein, den sie anzeigt.',
+  TOTP_SECRET_LABEL: 'Scannen nicht möglich? Gib diesen Schlüssel manuell ein:',
+  TOTP_CODE_LABEL: 'Authenticator-Code',
+  TOTP_CODE_PLACEHOLDER: 'Gib den {digits}-stelligen Code ein',
+  TOTP_CONFIRM_BUTTON: 'Bestätigen',
+  TOTP_CONFIRM_LOADING: 'Wird bestätigt...',
+  RECOVERY_TITLE: 'Wiederherstellungscodes',
+  RECOVERY_DESCRIPTION: 'Jeder Code kann einmal zur Anmeldung verwendet werden, falls du den Zugriff auf deine E-Mail verlierst. Bewahre sie sicher auf; sie werden nicht erneut angezeigt.',
+  RECOVERY_GENERATE_BUTTON: 'Wiederherstellungscodes erstellen',
+  RECOVERY_REGENERATE_BUTTON: 'Neue Codes erstellen',
+  RECOVERY_REGENERATE_WARNING: 'Wenn du neue Codes erstellst, werden alle bisherigen ungültig.',
+  RECOVERY_GENERATE_LOADING: 'Wird erstellt...',
+  RECOVERY_DOWNLOAD_BUTTON: 'Herunterladen',
+  RECOVERY_COPY_BUTTON: 'Kopieren',
+  RECOVERY_COPIED: 'Kopiert!',
+  RECOVERY_COPY_FAILED: 'Kopieren in die Zwischenablage fehlgeschlagen',
+  RECOVERY_FILE_HEADER: '{title} für {email}'
+};
@@ -0,0 +1,119 @@
+export default {
+  EMAIL_REQUIRED: 'Email is required',
+  INVALID_EMAIL: 'Please enter a valid email address',
+  EMAIL_NOT_ALLOWED: 'This email address is not allowed here.',
+  EMAIL_DISPOSABLE: 'Disposable email addresses are not accepted.',
+  PHONE_REQUIRED: 'Phone number is required',
+  INVALID_PHONE: 'Please enter a valid phone number',
+  IDENTIFIER_REQUIRED: 'Email or phone number is required',
+  IDENTIFIER_TYPE_UNSUPPORTED: 'This type of contact is not accepted here',
+  OTP_REQUIRED: 'OTP is required',
+  INVALID_OTP: 'Please enter a valid {length}-digit OTP',
+  INVALID_OTP_CHARACTERS: 'Please enter a valid {length}-character code',
+  EMAIL_AND_OTP_REQUIRED: 'Email and OTP are required',
+  INVALID_PURPOSE: 'Unknown OTP purpose',
+  INVALID_CHANNEL: 'Unknown delivery channel',
+
+  OTP_SENT: 'OTP sent successfully!',
+  LINK_SENT: 'Verification link sent successfully!',
+  SEND_FAILED: 'Failed to send OTP. Please try again later.',
+  MAGIC_LINK_DISABLED: 'Magic links are not configured.',
+  RATE_LIMITED: 'Too many attempts. Try again after {minutes} minutes.',
+  LOCKED: 'Too many failed attempts. Try again after {minutes} minutes.',
+  RESEND_COOLDOWN: 'Please wait {seconds} seconds before requesting another code.',
+  RESEND_LIMIT_REACHED: 'Resend limit reached. Request a new code once this one expires.',
+
+  OTP_VERIFIED: 'OTP verified successfully!',
+  OTP_NOT_FOUND: 'OTP not found for this email. Please request a new OTP.',
+  OTP_EXPIRED: 'OTP has expired. Please request a new OTP.',
+  INVALID_OTP_ATTEMPTS: 'Invalid OTP. {count} attempts remaining.',
+  INVALID_OTP_ATTEMPTS_ONE: 'Invalid OTP. {count} attempt remaining.',
+  VERIFY_FAILED: 'Failed to verify OTP. Please try again.',
+
+  EMAIL_VERIFIED: 'Email verified successfully!',
+  PHONE_VERIFIED: 'Phone number verified successfully!',
+  LINK_INVALID: 'This link is invalid.',
+  LINK_EXPIRED: 'This link has expired. Please request a new one.',
+  LINK_USED: 'This link has already been used or replaced by a newer one.',
+  LINK_LOCKED: 'Too many failed attempts. Please try again later.',
+  LINK_VERIFY_FAILED: 'Failed to verify link. Please try again.',
+  LINK_CONFIRM_TITLE: 'Confirm sign-in',
+  LINK_CONFIRM_MESSAGE: 'Continue to finish verifying your account.',
+  LINK_CONFIRM_BUTTON: 'Continue',
+
+  TOTP_SCAN_QR: 'Scan the QR code with your authenticator app.',
+  TOTP_ALREADY_ENABLED: 'Authenticator app is already enabled for this email.',
+  TOTP_NO_PENDING: 'No pending authenticator enrollment for this email.',
+  TOTP_NOT_ENABLED: 'Authenticator app is not enabled for this email.',
+  TOTP_INVALID_CODE: 'Invalid authenticator code. Please try again.',
+  TOTP_CODE_USED: 'This authenticator code has already been used. Wait for the next code.',
+  TOTP_ENABLED: 'Authenticator app enabled successfully!',
+  TOTP_VERIFIED: 'Authenticator code verified successfully!',
+  TOTP_DISABLED: 'Authenticator app disabled.',
+  TOTP_ENROLL_FAILED: 'Failed to enroll authenticator app. Please try again.',
+  TOTP_CONFIRM_FAILED: 'Failed to confirm authenticator app. Please try again.',
+  TOTP_VERIFY_FAILED: 'Failed to verify authenticator code. Please try again.',
+  TOTP_DISABLE_FAILED: 'Failed to disable authenticator app. Please try again.',
+
+  RECOVERY_CODES_GENERATED: 'Recovery codes generated. Store them somewhere safe; they will not be shown again.',
+  RECOVERY_CODES_NOT_SET_UP: 'No recovery codes are set up for this email.',
+  RECOVERY_CODE_INVALID: 'Invalid or already used recovery code.',
+  RECOVERY_CODE_ACCEPTED: 'Recovery code accepted.',
+  RECOVERY_CODES_REVOKED: 'Recovery codes revoked.',
+  RECOVERY_CODE_STATUS: 'Recovery code status',
+  RECOVERY_GENERATE_FAILED: 'Failed to generate recovery codes. Please try again.',
+  RECOVERY_VERIFY_FAILED: 'Failed to verify recovery code. Please try again.',
+  RECOVERY_REVOKE_FAILED: 'Failed to revoke recovery codes. Please try again.',
+
+  VERIFICATION_REQUIRED: 'Verification is required',
+  VERIFICATION_TOKEN_INVALID: 'Invalid verification token',
+  VERIFICATION_TOKEN_EXPIRED: 'Verification token has expired',
+  VERIFICATION_WRONG_PURPOSE: 'Verification token was issued for a different purpose',
+  VERIFICATION_TOO_OLD: 'Verification is too old. Please verify again.',
+
+  EMAIL_LABEL: 'Email',
+  EMAIL_PLACEHOLDER: 'Enter your email address',
+  PHONE_LABEL: 'Phone number',
+  PHONE_PLACEHOLDER: 'Enter your phone number',
+  COUNTRY_LABEL: 'Country',
+  SEND_BUTTON: 'Send OTP',
+  SEND_LOADING: 'Sending...',
+  SEND_RETRYING: 'Retrying... (Attempt {attempt} of {maxRetries})',
+  OTP_LABEL: 'OTP',
+  OTP_PLACEHOLDER: 'Enter the OTP you received',
+  OTP_ARIA_LABEL: 'Enter verification code',
+  VERIFY_BUTTON: 'Verify OTP',
+  VERIFY_LOADING: 'Verifying...',
+  VERIFYING_FOR: 'Verifying for:',
+  EMAIL_REQUIRED_FOR_VERIFY: 'Email is required for verification',
+  TIME_REMAINING: 'Time remaining:',
+  TIMER_EXPIRED: 'Expired',
+  RESEND_BUTTON: 'Resend OTP',
+  RESEND_LOADING: 'Resending...',
+  RESEND_COUNTDOWN: 'Resend OTP in {seconds}s',
+  OTP_RESENT: 'OTP resent successfully!',
+  RESEND_FAILED: 'Failed to resend OTP',
+  DELIVERY_PENDING: 'Still sending your code...',
+  DELIVERY_STATUS: 'Delivery status',
+  DELIVERY_NOT_FOUND: 'Delivery not found',
+
+  TOTP_START_BUTTON: 'Set up authenticator app',
+  TOTP_START_LOADING: 'Preparing...',
+  TOTP_INSTRUCTIONS: 'Scan this QR code with your authenticator app, then enter the {digits}-digit code it shows.',
+  TOTP_SECRET_LABEL: "Can't scan? Enter this key manually:",
+  TOTP_CODE_LABEL: 'Authenticator code',
+  TOTP_CODE_PLACEHOLDER: 'Enter the {digits}-digit code',
+  TOTP_CONFIRM_BUTTON: 'Confirm',
+  TOTP_CONFIRM_LOADING: 'Confirming...',
+  RECOVERY_TITLE: 'Recovery codes',
+  RECOVERY_DESCRIPTION: 'Each code can be used once to sign in if you lose access to your email. Store them somewhere safe; they will not be shown again.',
+  RECOVERY_GENERATE_BUTTON: 'Generate recovery codes',
+  RECOVERY_REGENERATE_BUTTON: 'Generate new codes',
+  RECOVERY_REGENERATE_WARNING: 'Generating new codes invalidates all existing ones.',
+  RECOVERY_GENERATE_LOADING: 'Generating...',
+  RECOVERY_DOWNLOAD_BUTTON: 'Download',
+  RECOVERY_COPY_BUTTON: 'Copy',
+  RECOVERY_COPIED: 'Copied!',
+  RECOVERY_COPY_FAILED: 'Could not copy to clipboard',
+  RECOVERY_FILE_HEADER: '{title} for {email}'
+};
@@ -0,0 +1,119 @@
+export default {
+  EMAIL_REQUIRED: 'El correo electrónico es obligatorio',
+  INVALID_EMAIL: 'Introduce una dirección de correo electrónico válida',
+  EMAIL_NOT_ALLOWED: 'Esta dirección de correo no está permitida aquí.',
+  EMAIL_DISPOSABLE: 'No se aceptan direcciones de correo desechables.',
+  PHONE_REQUIRED: 'El número de teléfono es obligatorio',
+  INVALID_PHONE: 'Introduce un número de teléfono válido',
+  IDENTIFIER_REQUIRED: 'El correo electrónico o el teléfono es obligatorio',
+  IDENTIFIER_TYPE_UNSUPPORTED: 'Este tipo de contacto no se admite aquí',
+  OTP_REQUIRED: 'El código es obligatorio',
+  INVALID_OTP: 'Introduce un código válido de {length} dígitos',
+  INVALID_OTP_CHARACTERS: 'Introduce un código válido de {length} caracteres',
+  EMAIL_AND_OTP_REQUIRED: 'El correo electrónico y el código son obligatorios',
+  INVALID_PURPOSE: 'Propósito de código desconocido',
+  INVALID_CHANNEL: 'Canal de envío desconocido',
+
+  OTP_SENT: '¡Código enviado correctamente!',
+  LINK_SENT: '¡Enlace de verificación enviado correctamente!',
+  SEND_FAILED: 'No se pudo enviar el código. Inténtalo de nuevo más tarde.',
+  MAGIC_LINK_DISABLED: 'Los enlaces mágicos no están configurados.',
+  RATE_LIMITED: 'Demasiados intentos. Inténtalo de nuevo en {minutes} minutos.',
+  LOCKED: 'Demasiados intentos fallidos. Inténtalo de nuevo en {minutes} minutos.',
+  RESEND_COOLDOWN: 'Espera {seconds} segundos antes de solicitar otro código.',
+  RESEND_LIMIT_REACHED: 'Has alcanzado el límite de reenvíos. Solicita un código nuevo cuando este caduque.',
+
+  OTP_VERIFIED: '¡Código verificado correctamente!',
+  OTP_NOT_FOUND: 'No se encontró ningún código para este correo. Solicita uno nuevo.',
+  OTP_EXPIRED: 'El código ha caducado. Solicita uno nuevo.',
+  INVALID_OTP_ATTEMPTS: 'Código incorrecto. Quedan {count} intentos.',
+  INVALID_OTP_ATTEMPTS_ONE: 'Código incorrecto. Queda {count} intento.',
+  VERIFY_FAILED: 'No se pudo verificar el código. Inténtalo de nuevo.',
+
+  EMAIL_VERIFIED: '¡Correo electrónico verificado correctamente!',
+  PHONE_VERIFIED: '¡Número de teléfono verificado correctamente!',
+  LINK_INVALID: 'Este enlace no es válido.',
+  LINK_EXPIRED: 'Este enlace ha caducado. Solicita uno nuevo.',
+  LINK_USED: 'Este enlace ya se ha utilizado o ha sido sustituido por uno más reciente.',
+  LINK_LOCKED: 'Demasiados intentos fallidos. Inténtalo de nuevo más tarde.',
+  LINK_VERIFY_FAILED: 'No se pudo verificar el enlace. Inténtalo de nuevo.',
+  LINK_CONFIRM_TITLE: 'Confirmar inicio de sesión',
+  LINK_CONFIRM_MESSAGE: 'Continúa para terminar de verificar tu cuenta.',
+  LINK_CONFIRM_BUTTON: 'Continuar',
+
+  TOTP_SCAN_QR: 'Escanea el código QR con tu aplicación de autenticación.',
+  TOTP_ALREADY_ENABLED: 'La aplicación de autenticación ya está activada para este correo.',
+  TOTP_NO_PENDING: 'No hay ninguna activación de autenticador pendiente para este correo.',
+  TOTP_NOT_ENABLED: 'La aplicación de autenticación no está activada para este correo.',
+  TOTP_INVALID_CODE: 'Código de autenticador incorrecto. Inténtalo de nuevo.',
+  TOTP_CODE_USED: 'Este código de autenticador ya se ha utilizado. Espera al siguiente código.',
+  TOTP_ENABLED: '¡Aplicación de autenticación activada correctamente!',
+  TOTP_VERIFIED: '¡Código de autenticador verificado correctamente!',
+  TOTP_DISABLED: 'Aplicación de autenticación desactivada.',
+  TOTP_ENROLL_FAILED: 'No se pudo registrar la aplicación de autenticación. Inténtalo de nuevo.',
+  TOTP_CONFIRM_FAILED: 'No se pudo confirmar la aplicación de autenticación. Inténtalo de nuevo.',
+  TOTP_VERIFY_FAILED: 'No se pudo verificar el código de autenticador. Inténtalo de nuevo.',
+  TOTP_DISABLE_FAILED: 'No se pudo desactivar la aplicación de autenticación. Inténtalo de nuevo.',
+
+  RECOVERY_CODES_GENERATED: 'Códigos de recuperación generados. Guárdalos en un lugar seguro; no se volverán a mostrar.',
+  RECOVERY_CODES_NOT_SET_UP: 'No hay códigos de recuperación configurados para este correo.',
+  RECOVERY_CODE_INVALID: 'Código de recuperación no válido o ya utilizado.',
+  RECOVERY_CODE_ACCEPTED: 'Código de recuperación aceptado.',
+  RECOVERY_CODES_REVOKED: 'Códigos de recuperación revocados.',
+  RECOVERY_CODE_STATUS: 'Estado de los códigos de recuperación',
+  RECOVERY_GENERATE_FAILED: 'No se pudieron generar los códigos de recuperación. Inténtalo de nuevo.',
+  RECOVERY_VERIFY_FAILED: 'No se pudo verificar el código de recuperación. Inténtalo de nuevo.',
+  RECOVERY_REVOKE_FAILED: 'No se pudieron revocar los códigos de recuperación. Inténtalo de nuevo.',
+
+  VERIFICATION_REQUIRED: 'Se requiere verificación',
+  VERIFICATION_TOKEN_INVALID: 'Token de verificación no válido',
+  VERIFICATION_TOKEN_EXPIRED: 'El token de verificación ha caducado',
+  VERIFICATION_WRONG_PURPOSE: 'El token de verificación se emitió para otro propósito',
+  VERIFICATION_TOO_OLD: 'La verificación es demasiado antigua. Vuelve a verificar.',
+
+  EMAIL_LABEL: 'Correo electrónico',
+  EMAIL_PLACEHOLDER: 'Introduce tu dirección de correo electrónico',
+  PHONE_LABEL: 'Número de teléfono',
+  PHONE_PLACEHOLDER: 'Introduce tu número de teléfono',
+  COUNTRY_LABEL: 'País',
+  SEND_BUTTON: 'Enviar código',
+  SEND_LOADING: 'Enviando...',
+  SEND_RETRYING: 'Reintentando... (intento {attempt} de {maxRetries})',
+  OTP_LABEL: 'Código',
+  OTP_PLACEHOLDER: 'Introduce el código que has recibido',
+  OTP_ARIA_LABEL: 'Introduce el código de verificación',
+  VERIFY_BUTTON: 'Verificar código',
+  VERIFY_LOADING: 'Verificando...',
+  VERIFYING_FOR: 'Verificando:',
+  EMAIL_REQUIRED_FOR_VERIFY: 'Se necesita el correo electrónico para la verificación',
+  TIME_REMAINING: 'Tiempo restante:',
+  TIMER_EXPIRED: 'Caducado',
+  RESEND_BUTTON: 'Reenviar código',
+  RESEND_LOADING: 'Reenviando...',
+  RESEND_COUNTDOWN: 'Reenviar código en {seconds} s',
+  OTP_RESENT: '¡Código reenviado correctamente!',
+  RESEND_FAILED: 'No se pudo reenviar el código',
+  DELIVERY_PENDING: 'Seguimos enviando tu código...',
+  DELIVERY_STATUS: 'Estado de la entrega',
+  DELIVERY_NOT_FOUND: 'Entrega no encontrada',
+
+  TOTP_START_BUTTON: 'Configurar aplicación de autenticación',
+  TOTP_START_LOADING: 'Preparando...',
+  TOTP_INSTRUCTIONS: 'Escanea este código QR con tu aplicación de autenticación y escribe el código de {digits} dígitos que muestra.',
+  TOTP_SECRET_LABEL: '¿No puedes escanearlo? Introduce esta clave manualmente:',
+  TOTP_CODE_LABEL: 'Código de autenticación',
+  TOTP_CODE_PLACEHOLDER: 'Introduce el código de {digits} dígitos',
+  TOTP_CONFIRM_BUTTON: 'Confirmar',
+  TOTP_CONFIRM_LOADING: 'Confirmando...',
+  RECOVERY_TITLE: 'Códigos de recuperación',
+  RECOVERY_DESCRIPTION: 'Cada código sirve una vez para iniciar sesión si pierdes el acceso a tu correo. Guárdalos en un lugar seguro; no se volverán a mostrar.',
+  RECOVERY_GENERATE_BUTTON: 'Generar códigos de recuperación',
+  RECOVERY_REGENERATE_BUTTON: 'Generar códigos nuevos',
+  RECOVERY_REGENERATE_WARNING: 'Al generar códigos nuevos se invalidan todos los anteriores.',
+  RECOVERY_GENERATE_LOADING: 'Generando...',
+  RECOVERY_DOWNLOAD_BUTTON: 'Descargar',
+  RECOVERY_COPY_BUTTON: 'Copiar',
+  RECOVERY_COPIED: '¡Copiado!',
+  RECOVERY_COPY_FAILED: 'No se pudo copiar al portapapeles',
+  RECOVERY_FILE_HEADER: '{title} de {email}'
+};
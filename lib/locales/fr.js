@@ -0,0 +1,119 @@
+export default {
+  EMAIL_REQUIRED: "L'adresse e-mail est obligatoire",
+  INVALID_EMAIL: 'Veuillez saisir une adresse e-mail valide',
+  EMAIL_NOT_ALLOWED: "Cette adresse e-mail n'est pas autorisée ici.",
+  EMAIL_DISPOSABLE: 'Les adresses e-mail jetables ne sont pas acceptées.',
+  PHONE_REQUIRED: 'Le numéro de téléphone est obligatoire',
+  INVALID_PHONE: 'Veuillez saisir un numéro de téléphone valide',
+  IDENTIFIER_REQUIRED: "L'adresse e-mail ou le numéro de téléphone est obligatoire",
+  IDENTIFIER_TYPE_UNSUPPORTED: "Ce type de contact n'est pas accepté ici",
+  OTP_REQUIRED: 'Le code est obligatoire',
+  INVALID_OTP: 'Veuillez saisir un code valide à {length} chiffres',
+  INVALID_OTP_CHARACTERS: 'Veuillez saisir un code valide à {length} caractères',
+  EMAIL_AND_OTP_REQUIRED: "L'adresse e-mail et le code sont obligatoires",
+  INVALID_PURPOSE: 'Objet du code inconnu',
+  INVALID_CHANNEL: "Canal d'envoi inconnu",
+
+  OTP_SENT: 'Code envoyé avec succès !',
+  LINK_SENT: 'Lien de vérification envoyé avec succès !',
+  SEND_FAILED: "Impossible d'envoyer le code. Veuillez réessayer plus tard.",
+  MAGIC_LINK_DISABLED: 'Les liens magiques ne sont pas configurés.',
+  RATE_LIMITED: 'Trop de tentatives. Réessayez dans {minutes} minutes.',
+  LOCKED: 'Trop de tentatives échouées. Réessayez dans {minutes} minutes.',
+  RESEND_COOLDOWN: 'Veuillez patienter {seconds} secondes avant de demander un autre code.',
+  RESEND_LIMIT_REACHED: 'Limite de renvois atteinte. Demandez un nouveau code lorsque celui-ci aura expiré.',
+
+  OTP_VERIFIED: 'Code vérifié avec succès !',
+  OTP_NOT_FOUND: 'Aucun code trouvé pour cette adresse e-mail. Veuillez en demander un nouveau.',
+  OTP_EXPIRED: 'Le code a expiré. Veuillez en demander un nouveau.',
+  INVALID_OTP_ATTEMPTS: 'Code incorrect. Il reste {count} tentatives.',
+  INVALID_OTP_ATTEMPTS_ONE: 'Code incorrect. Il reste {count} tentative.',
+  VERIFY_FAILED: 'Impossible de vérifier le code. Veuillez réessayer.',
+
+  EMAIL_VERIFIED: 'Adresse e-mail vérifiée avec succès !',
+  PHONE_VERIFIED: 'Numéro de téléphone vérifié avec succès !',
+  LINK_INVALID: "Ce lien n'est pas valide.",
+  LINK_EXPIRED: 'Ce lien a expiré. Veuillez en demander un nouveau.',
+  LINK_USED: 'Ce lien a déjà été utilisé ou remplacé par un lien plus récent.',
+  LINK_LOCKED: 'Trop de tentatives échouées. Veuillez réessayer plus tard.',
+  LINK_VERIFY_FAILED: 'Impossible de vérifier le lien. Veuillez réessayer.',
+  LINK_CONFIRM_TITLE: 'Confirmer la connexion',
+  LINK_CONFIRM_MESSAGE: 'Continuez pour terminer la vérification de votre compte.',
+  LINK_CONFIRM_BUTTON: 'Continuer',
+
+  TOTP_SCAN_QR: "Scannez le QR code avec votre application d'authentification.",
+  TOTP_ALREADY_ENABLED: "L'application d'authentification est déjà activée pour cette adresse e-mail.",
+  TOTP_NO_PENDING: "Aucune activation d'authentificateur en attente pour cette adresse e-mail.",
+  TOTP_NOT_ENABLED: "L'application d'authentification n'est pas activée pour cette adresse e-mail.",
+  TOTP_INVALID_CODE: "Code d'authentification incorrect. Veuillez réessayer.",
+  TOTP_CODE_USED: "Ce code d'authentification a déjà été utilisé. Attendez le code suivant.",
+  TOTP_ENABLED: "Application d'authentification activée avec succès !",
+  TOTP_VERIFIED: "Code d'authentification vérifié avec succès !",
+  TOTP_DISABLED: "Application d'authentification désactivée.",
+  TOTP_ENROLL_FAILED: "Impossible d'enregistrer l'application d'authentification. Veuillez réessayer.",
+  TOTP_CONFIRM_FAILED: "Impossible de confirmer l'application d'authentification. Veuillez réessayer.",
+  TOTP_VERIFY_FAILED: "Impossible de vérifier le code d'authentification. Veuillez réessayer.",
+  TOTP_DISABLE_FAILED: "Impossible de désactiver l'application d'authentification. Veuillez réessayer.",
+
+  RECOVERY_CODES_GENERATED: 'Codes de récupération générés. Conservez-les en lieu sûr ; ils ne seront plus affichés.',
+  RECOVERY_CODES_NOT_SET_UP: "Aucun code de récupération n'est configuré pour cette adresse e-mail.",
+  RECOVERY_CODE_INVALID: 'Code de récupération invalide ou déjà utilisé.',
+  RECOVERY_CODE_ACCEPTED: 'Code de récupération accepté.',
+  RECOVERY_CODES_REVOKED: 'Codes de récupération révoqués.',
+  RECOVERY_CODE_STATUS: 'État des codes de récupération',
+  RECOVERY_GENERATE_FAILED: 'Impossible de générer les codes de récupération. Veuillez réessayer.',
+  RECOVERY_VERIFY_FAILED: 'Impossible de vérifier le code de récupération. Veuillez réessayer.',
+  RECOVERY_REVOKE_FAILED: 'Impossible de révoquer les codes de récupération. Veuillez réessayer.',
+
+  VERIFICATION_REQUIRED: 'Une vérification est requise',
+  VERIFICATION_TOKEN_INVALID: 'Jeton de vérification invalide',
+  VERIFICATION_TOKEN_EXPIRED: 'Le jeton de vérification a expiré',
+  VERIFICATION_WRONG_PURPOSE: 'Le jeton de vérification a été émis pour un autre objet',
+  VERIFICATION_TOO_OLD: 'La vérification est trop ancienne. Veuillez vous vérifier à nouveau.',
+
+  EMAIL_LABEL: 'Adresse e-mail',
+  EMAIL_PLACEHOLDER: 'Saisissez votre adresse e-mail',
+  PHONE_LABEL: 'Numéro de téléphone',
+  PHONE_PLACEHOLDER: 'Saisissez votre numéro de téléphone',
+  COUNTRY_LABEL: 'Pays',
+  SEND_BUTTON: 'Envoyer le code',
+  SEND_LOADING: 'Envoi...',
+  SEND_RETRYING: 'Nouvelle tentative... (tentative {attempt} sur {maxRetries})',
+  OTP_LABEL: 'Code',
+  OTP_PLACEHOLDER: 'Saisissez le code reçu',
+  OTP_ARIA_LABEL: 'Saisissez le code de vérification',
+  VERIFY_BUTTON: 'Vérifier le code',
+  VERIFY_LOADING: 'Vérification...',
+  VERIFYING_FOR: 'Vérification pour :',
+  EMAIL_REQUIRED_FOR_VERIFY: "L'adresse e-mail est requise pour la vérification",
+  TIME_REMAINING: 'Temps restant :',
+  TIMER_EXPIRED: 'Expiré',
+  RESEND_BUTTON: 'Renvoyer le code',
+  RESEND_LOADING: 'Renvoi...',
+  RESEND_COUNTDOWN: 'Renvoyer le code dans {seconds} s',
+  OTP_RESENT: 'Code renvoyé avec succès !',
+  RESEND_FAILED: "Impossible de renvoyer le code",
+  DELIVERY_PENDING: 'Envoi de votre code en cours...',
+  DELIVERY_STATUS: "État de l'envoi",
+  DELIVERY_NOT_FOUND: 'Envoi introuvable',
+
+  TOTP_START_BUTTON: "Configurer une application d'authentification",
+  TOTP_START_LOADING: 'Préparation...',
+  TOTP_INSTRUCTIONS: "Scannez ce QR code avec votre application d'authentification, puis saisissez le code à {digits} chiffres qu'elle affiche.",
+  TOTP_SECRET_LABEL: 'Impossible de scanner ? Saisissez cette clé manuellement :',
+  TOTP_CODE_LABEL: "Code d'authentification",
+  TOTP_CODE_PLACEHOLDER: 'Saisissez le code à {digits} chiffres',
+  TOTP_CONFIRM_BUTTON: 'Confirmer',
+  TOTP_CONFIRM_LOADING: 'Confirmation...',
+  RECOVERY_TITLE: 'Codes de récupération',
+  RECOVERY_DESCRIPTION: "Chaque code permet de vous connecter une fois si vous perdez l'accès à votre e-mail. Conservez-les en lieu sûr ; ils ne seront plus affichés.",
+  RECOVERY_GENERATE_BUTTON: 'Générer des codes de récupération',
+  RECOVERY_REGENERATE_BUTTON: 'Générer de nouveaux codes',
+  RECOVERY_REGENERATE_WARNING: 'Générer de nouveaux codes invalide tous les codes existants.',
+  RECOVERY_GENERATE_LOADING: 'Génération...',
+  RECOVERY_DOWNLOAD_BUTTON: 'Télécharger',
+  RECOVERY_COPY_BUTTON: 'Copier',
+  RECOVERY_COPIED: 'Copié !',
+  RECOVERY_COPY_FAILED: 'Impossible de copier dans le presse-papiers',
+  RECOVERY_FILE_HEADER: '{title} pour {email}'
+};
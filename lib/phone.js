@@ -0,0 +1,88 @@
+export const PHONE_REGIONS = {
+  US: { name: 'United States', callingCode: '1', trunkPrefix: '1', nationalLength: [10, 10] },
+  CA: { name: 'Canada', callingCode: '1', trunkPrefix: '1', nationalLength: [10, 10] },
+  MX: { name: 'Mexico', callingCode: '52', trunkPrefix: null, nationalLength: [10, 10] },
+  BR: { name: 'Brazil', callingCode: '55', trunkPrefix: '0', nationalLength: [10, 11] },
+  AR: { name: 'Argentina', callingCode: '54', trunkPrefix: '0', nationalLength: [10, 11] },
+  GB: { name: 'United Kingdom', callingCode: '44', trunkPrefix: '0', nationalLength: [9, 10] },
+  IE: { name: 'Ireland', callingCode: '353', trunkPrefix: '0', nationalLength: [7, 9] },
+  FR: { name: 'France', callingCode: '33', trunkPrefix: '0', nationalLength: [9, 9] },
+  DE: { name: 'Germany', callingCode: '49', trunkPrefix: '0', nationalLength: [6, 13] },
+  ES: { name: 'Spain', callingCode: '34', trunkPrefix: null, nationalLength: [9, 9] },
+  PT: { name: 'Portugal', callingCode: '351', trunkPrefix: null, nationalLength: [9, 9] },
+  IT: { name: 'Italy', callingCode: '39', trunkPrefix: null, nationalLength: [6, 11] },
+  NL: { name: 'Netherlands', callingCode: '31', trunkPrefix: '0', nationalLength: [9, 9] },
+  BE: { name: 'Belgium', callingCode: '32', trunkPrefix: '0', nationalLength: [8, 9] },
+  CH: { name: 'Switzerland', callingCode: '41', trunkPrefix: '0', nationalLength: [9, 9] },
+  AT: { name: 'Austria', callingCode: '43', trunkPrefix: '0', nationalLength: [4, 13] },
+  SE: { name: 'Sweden', callingCode: '46', trunkPrefix: '0', nationalLength: [7, 9] },
+  NO: { name: 'Norway', callingCode: '47', trunkPrefix: null, nationalLength: [8, 8] },
+  DK: { name: 'Denmark', callingCode: '45', trunkPrefix: null, nationalLength: [8, 8] },
+  PL: { name: 'Poland', callingCode: '48', trunkPrefix: null, nationalLength: [9, 9] },
+  TR: { name: 'Turkey', callingCode: '90', trunkPrefix: '0', nationalLength: [10, 10] },
+  RU: { name: 'Russia', callingCode: '7', trunkPrefix: '8', nationalLength: [10, 10] },
+  IL: { name: 'Israel', callingCode: '972', trunkPrefix: '0', nationalLength: [8, 9] },
+  AE: { name: 'United Arab Emirates', callingCode: '971', trunkPrefix: '0', nationalLength: [8, 9] },
+  ZA: { name: 'South Africa', callingCode: '27', trunkPrefix: '0', nationalLength: [9, 9] },
+  NG: { name: 'Nigeria', callingCode: '234', trunkPrefix: '0', nationalLength: [8, 10] },
+  KE: { name: 'Kenya', callingCode: '254', trunkPrefix: '0', nationalLength: [9, 9] },
+  IN: { name: 'India', callingCode: '91', trunkPrefix: '0', nationalLength: [10, 10] },
+  CN: { name: 'China', callingCode: '86', trunkPrefix: '0', nationalLength: [10, 11] },
+  JP: { name: 'Japan', callingCode: '81', trunkPrefix: '0', nationalLength: [9, 10] },
+  KR: { name: 'South Korea', callingCode: '82', trunkPrefix: '0', nationalLength: [8, 10] },
+  SG: { name: 'Singapore', callingCode: '65', trunkPrefix: null, nationalLength: [8, 8] },
+  HK: { name: 'Hong Kong', callingCode: '852', trunkPrefix: null, nationalLength: [8, 8] },
+  AU: { name: 'Australia', callingCode: '61', trunkPrefix: '0', nationalLength: [9, 9] },
+  NZ: { name: 'New Zealand', callingCode: '64', trunkPrefix: '0', nationalLength: [8, 10] }
+};
+
+const E164_PATTERN = /^\+[1-9]\d{7,14}$/;
+
+const findRegion = (digits) => {
+  let match = null;
+  for (const [code, region] of Object.entries(PHONE_REGIONS)) {
+    if (digits.startsWith(region.callingCode) && (!match || region.callingCode.length > match[1].callingCode.length)) {
+      match = [code, region];
+    }
+  }
+  return match;
+};
+
+const fitsRegion = (region, nationalNumber) => {
+  const [min, max] = region.nationalLength;
+  return nationalNumber.length >= min && nationalNumber.length <= max;
+};
+
+export const parsePhoneNumber = (input, defaultRegion = null) => {
+  const cleaned = String(input ?? '').trim().replace(/[\s().\-/]/g, '');
+  if (!/^(\+|00)?\d+$/.test(cleaned)) {
+    return null;
+  }
+
+  if (cleaned.startsWith('+') || cleaned.startsWith('00')) {
+    const digits = cleaned.replace(/^(\+|00)/, '');
+    const [code, region] = findRegion(digits) || [];
+    const nationalNumber = region ? digits.slice(region.callingCode.length) : digits;
+    if (!E164_PATTERN.test(`+${digits}`) || (region && !fitsRegion(region, nationalNumber))) {
+      return null;
+    }
+    return { e164: `+${digits}`, region: code || null, callingCode: region?.callingCode || null, nationalNumber };
+  }
+
+  const code = defaultRegion?.toUpperCase();
+  const region = Object.hasOwn(PHONE_REGIONS, code || '') ? PHONE_REGIONS[code] : null;
+  if (!region) {
+    return null;
+  }
+
+  let nationalNumber = cleaned;
+  if (region.trunkPrefix && cleaned.startsWith(region.trunkPrefix) && fitsRegion(region, cleaned.slice(region.trunkPrefix.length))) {
+    nationalNumber = cleaned.slice(region.trunkPrefix.length);
+  }
+
+  const e164 = `+${region.callingCode}${nationalNumber}`;
+  if (!fitsRegion(region, nationalNumber) || !E164_PATTERN.test(e164)) {
+    return null;
+  }
+  return { e164, region: code, callingCode: region.callingCode, nationalNumber };
+};
@@ -1,11 +1,162 @@
+export const OTP_PURPOSES = {
+  DEFAULT: 'default',
+  LOGIN: 'login',
+  PASSWORD_RESET: 'password_reset',
+  TWO_FACTOR: 'two_factor',
+  EMAIL_CHANGE: 'email_change'
+};
+
+export const OTP_EVENTS = {
+  SENT: 'otp.sent',
+  SEND_FAILED: 'otp.send_failed',
+  VERIFIED: 'otp.verified',
+  VERIFY_FAILED: 'otp.verify_failed',
+  EXPIRED: 'otp.expired',
+  RATE_LIMITED: 'otp.rate_limited',
+  LOCKED: 'otp.locked',
+  DELIVERY_RETRY: 'otp.delivery_retry'
+};
+
+export const OTP_ALPHABETS = {
+  numeric: '0123456789',
+  alphanumeric: 'ABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789',
+  unambiguous: 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789'
+};
+
 export const DEFAULT_CONFIG = {
   otpLength: 6,
+  otpFormat: {
+    alphabet: 'numeric',
+    groupSize: 0,
+    separator: '-'
+  },
   expiryMinutes: 5,
+  maxAttempts: 5,
+  acceptPlaintextOtps: false,
+  defaultChannel: 'email',
+  identifiers: {
+    types: ['email'],
+    defaultRegion: null,
+    defaultChannels: {
+      phone: 'sms'
+    }
+  },
+  emailPolicy: {
+    allowDomains: [],
+    denyDomains: [],
+    blockDisposable: false,
+    disposableDomains: [],
+    foldPlusAddressing: false
+  },
+  defaultLocale: 'en',
+  locale: null,
+  brand: {
+    appName: 'OTP Verification System',
+    logoUrl: null,
+    primaryColor: '#667eea',
+    secondaryColor: '#764ba2',
+    footer: null
+  },
+  purposes: {
+    [OTP_PURPOSES.LOGIN]: {
+      template: { subject: 'Your login code' }
+    },
+    [OTP_PURPOSES.PASSWORD_RESET]: {
+      template: { subject: 'Your password reset code' }
+    },
+    [OTP_PURPOSES.TWO_FACTOR]: {
+      template: { subject: 'Your two-factor authentication code' }
+    },
+    [OTP_PURPOSES.EMAIL_CHANGE]: {
+      template: { subject: 'Confirm your new email address' }
+    }
+  },
+  verificationToken: {
+    ttlSeconds: 10 * 60,
+    issuer: 'otp-verification-system'
+  },
+  magicLink: {
+    url: null,
+    path: '/magic-link',
+    successUrl: null,
+    failureUrl: null,
+    includeCode: false
+  },
+  recoveryCodes: {
+    count: 10,
+    length: 10
+  },
+  totp: {
+    issuer: 'OTP Verification System',
+    digits: 6,
+    period: 30,
+    algorithm: 'SHA1',
+    window: 1,
+    enrollmentTtlMs: 10 * 60 * 1000
+  },
+  audit: {
+    sink: 'memory',
+    sinkOptions: {},
+    path: '/audit',
+    maxQueryLimit: 1000
+  },
+  metrics: {
+    path: '/metrics'
+  },
+  rateLimit: {
+    trustProxy: false,
+    send: [
+      { key: 'identifier', algorithm: 'sliding-window', limit: 5, windowMs: 15 * 60 * 1000 },
+      { key: 'ip', algorithm: 'token-bucket', capacity: 20, refillPerSecond: 1 / 60 },
+      { key: 'global', algorithm: 'token-bucket', capacity: 1000, refillPerSecond: 10 }
+    ],
+    verify: [
+      { key: 'ip+identifier', algorithm: 'sliding-window', limit: 10, windowMs: 15 * 60 * 1000 },
+      { key: 'ip', algorithm: 'token-bucket', capacity: 50, refillPerSecond: 1 / 6 }
+    ]
+  },
+  devOutbox: {
+    path: '/dev/outbox',
+    maxMessages: 50
+  },
+  sweeper: {
+    intervalMs: 60 * 1000
+  },
+  delivery: {
+    mode: 'inline',
+    maxAttempts: 5,
+    baseDelayMs: 1000,
+    multiplier: 2,
+    maxDelayMs: 60 * 1000,
+    jitter: 0.5,
+    concurrency: 4,
+    leaseMs: 60 * 1000,
+    statusTtlSeconds: 24 * 60 * 60,
+    deadLetterTtlSeconds: 7 * 24 * 60 * 60
+  },
+  resend: {
+    cooldownSeconds: 30,
+    maxResends: 3,
+    policy: 'rotate',
+    graceSeconds: 0
+  },
+  lockout: {
+    durationMs: 15 * 60 * 1000,
+    multiplier: 2,
+    maxDurationMs: 24 * 60 * 60 * 1000,
+    resetAfterMs: 24 * 60 * 60 * 1000
+  },
   emailService: 'gmail',
   apiBaseUrl: 'http://localhost:3300',
   endpoints: {
     send: '/sentotp',
-    verify: '/verifyotp'
+    resend: '/resendotp',
+    verify: '/verifyotp',
+    totpEnroll: '/totp/enroll',
+    totpConfirm: '/totp/confirm',
+    totpVerify: '/totp/verify',
+    recoveryCodes: '/recovery-codes',
+    deliveryStatus: '/delivery'
   }
 };
 
@@ -21,6 +172,9 @@ export const ERROR_MESSAGES = {
   OTP_NOT_FOUND: 'OTP not found. Please request a new one',
   EMAIL_REQUIRED: 'Email is required',
   OTP_REQUIRED: 'OTP is required',
+  INVALID_PURPOSE: 'Unknown OTP purpose',
+  INVALID_CHANNEL: 'Unknown delivery channel',
+  VERIFICATION_REQUIRED: 'Verification is required',
   SEND_FAILED: 'Failed to send OTP. Please try again',
   VERIFY_FAILED: 'Failed to verify OTP. Please try again'
 };
@@ -29,3 +183,79 @@ export const SUCCESS_MESSAGES = {
   OTP_SENT: 'OTP sent successfully!',
   OTP_VERIFIED: 'OTP verified successfully!'
 };
+
+export const ERROR_CODES = {
+  INVALID_REQUEST: 'INVALID_REQUEST',
+  EMAIL_INVALID: 'EMAIL_INVALID',
+  EMAIL_NOT_ALLOWED: 'EMAIL_NOT_ALLOWED',
+  PHONE_INVALID: 'PHONE_INVALID',
+  IDENTIFIER_TYPE_UNSUPPORTED: 'IDENTIFIER_TYPE_UNSUPPORTED',
+  OTP_FORMAT_INVALID: 'OTP_FORMAT_INVALID',
+  PURPOSE_INVALID: 'PURPOSE_INVALID',
+  CHANNEL_INVALID: 'CHANNEL_INVALID',
+  MAGIC_LINK_DISABLED: 'MAGIC_LINK_DISABLED',
+  RATE_LIMITED: 'RATE_LIMITED',
+  RESEND_COOLDOWN: 'RESEND_COOLDOWN',
+  RESEND_LIMIT_REACHED: 'RESEND_LIMIT_REACHED',
+  LOCKED: 'LOCKED',
+  DELIVERY_FAILED: 'DELIVERY_FAILED',
+  OTP_NOT_FOUND: 'OTP_NOT_FOUND',
+  OTP_EXPIRED: 'OTP_EXPIRED',
+  OTP_INVALID: 'OTP_INVALID',
+  RECOVERY_CODE_INVALID: 'RECOVERY_CODE_INVALID',
+  RECOVERY_CODES_NOT_SET_UP: 'RECOVERY_CODES_NOT_SET_UP',
+  LINK_INVALID: 'LINK_INVALID',
+  LINK_EXPIRED: 'LINK_EXPIRED',
+  LINK_USED: 'LINK_USED',
+  TOTP_ALREADY_ENABLED: 'TOTP_ALREADY_ENABLED',
+  TOTP_NOT_ENABLED: 'TOTP_NOT_ENABLED',
+  TOTP_NO_PENDING: 'TOTP_NO_PENDING',
+  TOTP_INVALID: 'TOTP_INVALID',
+  TOTP_REUSED: 'TOTP_REUSED',
+  VERIFICATION_REQUIRED: 'VERIFICATION_REQUIRED',
+  VERIFICATION_TOKEN_INVALID: 'VERIFICATION_TOKEN_INVALID',
+  VERIFICATION_TOKEN_EXPIRED: 'VERIFICATION_TOKEN_EXPIRED',
+  VERIFICATION_WRONG_PURPOSE: 'VERIFICATION_WRONG_PURPOSE',
+  VERIFICATION_TOO_OLD: 'VERIFICATION_TOO_OLD',
+  FORBIDDEN: 'FORBIDDEN',
+  NOT_FOUND: 'NOT_FOUND',
+  INTERNAL_ERROR: 'INTERNAL_ERROR'
+};
+
+export const ERROR_STATUS = {
+  [ERROR_CODES.INVALID_REQUEST]: 400,
+  [ERROR_CODES.EMAIL_INVALID]: 422,
+  [ERROR_CODES.EMAIL_NOT_ALLOWED]: 422,
+  [ERROR_CODES.PHONE_INVALID]: 422,
+  [ERROR_CODES.IDENTIFIER_TYPE_UNSUPPORTED]: 422,
+  [ERROR_CODES.OTP_FORMAT_INVALID]: 422,
+  [ERROR_CODES.PURPOSE_INVALID]: 422,
+  [ERROR_CODES.CHANNEL_INVALID]: 422,
+  [ERROR_CODES.MAGIC_LINK_DISABLED]: 501,
+  [ERROR_CODES.RATE_LIMITED]: 429,
+  [ERROR_CODES.RESEND_COOLDOWN]: 429,
+  [ERROR_CODES.RESEND_LIMIT_REACHED]: 429,
+  [ERROR_CODES.LOCKED]: 429,
+  [ERROR_CODES.DELIVERY_FAILED]: 502,
+  [ERROR_CODES.OTP_NOT_FOUND]: 404,
+  [ERROR_CODES.OTP_EXPIRED]: 410,
+  [ERROR_CODES.OTP_INVALID]: 422,
+  [ERROR_CODES.RECOVERY_CODE_INVALID]: 422,
+  [ERROR_CODES.RECOVERY_CODES_NOT_SET_UP]: 404,
+  [ERROR_CODES.LINK_INVALID]: 400,
+  [ERROR_CODES.LINK_EXPIRED]: 410,
+  [ERROR_CODES.LINK_USED]: 410,
+  [ERROR_CODES.TOTP_ALREADY_ENABLED]: 409,
+  [ERROR_CODES.TOTP_NOT_ENABLED]: 404,
+  [ERROR_CODES.TOTP_NO_PENDING]: 404,
+  [ERROR_CODES.TOTP_INVALID]: 422,
+  [ERROR_CODES.TOTP_REUSED]: 422,
+  [ERROR_CODES.VERIFICATION_REQUIRED]: 401,
+  [ERROR_CODES.VERIFICATION_TOKEN_INVALID]: 401,
+  [ERROR_CODES.VERIFICATION_TOKEN_EXPIRED]: 401,
+  [ERROR_CODES.VERIFICATION_WRONG_PURPOSE]: 403,
+  [ERROR_CODES.VERIFICATION_TOO_OLD]: 401,
+  [ERROR_CODES.FORBIDDEN]: 403,
+  [ERROR_CODES.NOT_FOUND]: 404,
+  [ERROR_CODES.INTERNAL_ERROR]: 500
+};
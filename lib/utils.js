@@ -1,43 +1,136 @@
-import { VALIDATION, ERROR_MESSAGES } from './types.js';
+import { VALIDATION, ERROR_MESSAGES, ERROR_STATUS, DEFAULT_CONFIG, OTP_ALPHABETS } from './types.js';
+import { createTranslator } from './i18n.js';
+import { parsePhoneNumber } from './phone.js';
 
-export const generateOTP = (length = 6) => {
-  const min = Math.pow(10, length - 1);
-  const max = Math.pow(10, length) - 1;
-  return Math.floor(Math.random() * (max - min + 1) + min).toString();
+const defaultTranslator = createTranslator();
+
+const secureRandomInt = (max) => {
+  const limit = Math.floor(0x100000000 / max) * max;
+  const buffer = new Uint32Array(1);
+  do {
+    globalThis.crypto.getRandomValues(buffer);
+  } while (buffer[0] >= limit);
+  return buffer[0] % max;
+};
+
+const foldCase = (value, characters) => {
+  if (characters === characters.toUpperCase()) return value.toUpperCase();
+  if (characters === characters.toLowerCase()) return value.toLowerCase();
+  return value;
+};
+
+export const resolveOtpFormat = (format = {}) => {
+  const { alphabet, groupSize, separator } = { ...DEFAULT_CONFIG.otpFormat, ...format };
+  const characters = Object.hasOwn(OTP_ALPHABETS, alphabet) ? OTP_ALPHABETS[alphabet] : alphabet;
+  return { characters, groupSize, separator, numeric: /^\d+$/.test(characters) };
+};
+
+export const formatOTP = (code, format) => {
+  const { groupSize, separator } = resolveOtpFormat(format);
+  if (!groupSize) return code;
+  
+  const groups = [];
+  for (let i = 0; i < code.length; i += groupSize) {
+    groups.push(code.slice(i, i + groupSize));
+  }
+  return groups.join(separator);
+};
+
+export const normalizeOTP = (otp, format) => {
+  const { characters, separator } = resolveOtpFormat(format);
+  const compact = String(otp ?? '').replace(/\s/g, '').split(separator).join('');
+  return foldCase(compact, characters);
+};
+
+export const generateOTP = (length = 6, format, randomInt = secureRandomInt) => {
+  const { characters } = resolveOtpFormat(format);
+  let code = '';
+  for (let i = 0; i < length; i++) {
+    code += characters[randomInt(characters.length)];
+  }
+  return formatOTP(code, format);
 };
 
-export const validateEmail = (email) => {
-  if (!email || !email.trim()) {
-    return { isValid: false, error: ERROR_MESSAGES.EMAIL_REQUIRED };
+export const validateEmail = (email, t = defaultTranslator) => {
+  if (email === undefined || email === null || !String(email).trim()) {
+    return { isValid: false, error: t('EMAIL_REQUIRED') };
   }
   
-  if (!VALIDATION.email.test(email.trim())) {
-    return { isValid: false, error: ERROR_MESSAGES.INVALID_EMAIL };
+  if (typeof email !== 'string' || !VALIDATION.email.test(email.trim())) {
+    return { isValid: false, error: t('INVALID_EMAIL') };
   }
   
   return { isValid: true };
 };
 
-export const validateOTP = (otp, expectedLength = 6) => {
-  if (!otp || !otp.trim()) {
-    return { isValid: false, error: ERROR_MESSAGES.OTP_REQUIRED };
+export const validatePhone = (phone, defaultRegion = null, t = defaultTranslator) => {
+  if (!phone || !String(phone).trim()) {
+    return { isValid: false, error: t('PHONE_REQUIRED') };
+  }
+  
+  const parsed = parsePhoneNumber(phone, defaultRegion);
+  if (!parsed) {
+    return { isValid: false, error: t('INVALID_PHONE') };
+  }
+  
+  return { isValid: true, value: parsed.e164 };
+};
+
+export const detectIdentifierType = (identifier) => {
+  return String(identifier ?? '').includes('@') ? 'email' : 'phone';
+};
+
+export const normalizeEmail = (email, options = {}) => {
+  const value = sanitizeEmail(email);
+  const at = value.lastIndexOf('@');
+  if (!options.foldPlusAddressing || at < 0) {
+    return value;
+  }
+  
+  const local = value.slice(0, at).split('+')[0];
+  return local ? `${local}${value.slice(at)}` : value;
+};
+
+export const validateIdentifier = (identifier, options = {}, t = defaultTranslator) => {
+  const { type = detectIdentifierType(identifier), defaultRegion = null } = options;
+  
+  if (type === 'phone') {
+    const validation = validatePhone(identifier, defaultRegion, t);
+    return validation.isValid ? { ...validation, type, address: validation.value } : { ...validation, type };
+  }
+  
+  const validation = validateEmail(identifier, t);
+  return validation.isValid
+    ? { ...validation, type, value: normalizeEmail(identifier, options), address: identifier.trim() }
+    : { ...validation, type };
+};
+
+export const normalizeIdentifier = (identifier, options = {}) => {
+  const validation = validateIdentifier(identifier, options);
+  return validation.isValid ? validation.value : sanitizeEmail(identifier);
+};
+
+export const validateOTP = (otp, expectedLength = 6, t = defaultTranslator, format) => {
+  if (otp === undefined || otp === null || !String(otp).trim()) {
+    return { isValid: false, error: t('OTP_REQUIRED') };
   }
   
-  const pattern = new RegExp(`^\\d{${expectedLength}}$`);
-  if (!pattern.test(otp.trim())) {
-    return { isValid: false, error: ERROR_MESSAGES.INVALID_OTP };
+  const { characters, numeric } = resolveOtpFormat(format);
+  const code = normalizeOTP(otp, format);
+  if (!['string', 'number'].includes(typeof otp) || code.length !== expectedLength || [...code].some((char) => !characters.includes(char))) {
+    return { isValid: false, error: t(numeric ? 'INVALID_OTP' : 'INVALID_OTP_CHARACTERS', { length: expectedLength }) };
   }
   
   return { isValid: true };
 };
 
-export const formatTimeRemaining = (expiryTime) => {
+export const formatTimeRemaining = (expiryTime, expiredText = 'Expired') => {
   const now = Date.now();
   const remaining = Math.max(0, expiryTime - now);
   const minutes = Math.floor(remaining / (1000 * 60));
   const seconds = Math.floor((remaining % (1000 * 60)) / 1000);
   
-  if (remaining === 0) return 'Expired';
+  if (remaining === 0) return expiredText;
   return `${minutes}:${seconds.toString().padStart(2, '0')}`;
 };
 
@@ -47,6 +140,17 @@ export const createResponse = (success, message, data = null) => {
   return response;
 };
 
+export const createErrorResponse = (code, message, data = null) => {
+  const response = { success: false, code, message };
+  if (data) response.data = data;
+  return response;
+};
+
+export const getResponseStatus = (result) => {
+  if (result.success) return 200;
+  return ERROR_STATUS[result.code] || 400;
+};
+
 export const handleApiError = (error) => {
   if (error.response?.data) {
     return error.response.data;
@@ -59,39 +163,51 @@ export const sanitizeEmail = (email) => {
   return email ? email.toString().trim().toLowerCase() : '';
 };
 
-export const createEmailTemplate = (otp, expiryMinutes = 5, customTemplate = {}) => {
+export const createEmailTemplate = (otp, expiryMinutes = 5, customTemplate = {}, link = null) => {
+  const codeHtml = otp ? `
+          <p style="font-size: 16px; line-height: 1.5;">${link ? 'Or enter this' : 'Your'} One-Time Password (OTP)${link ? '' : ' is'}:</p>
+          <div style="text-align: center; margin: 30px 0;">
+            <span style="display: inline-block; background: #667eea; color: white; font-size: 32px; font-weight: bold; padding: 15px 30px; border-radius: 8px; letter-spacing: 5px;">${otp}</span>
+          </div>` : '';
+  const linkHtml = link ? `
+          <p style="font-size: 16px; line-height: 1.5;">Click the button below to verify your email address:</p>
+          <div style="text-align: center; margin: 30px 0;">
+            <a href="${link}" style="display: inline-block; background: #667eea; color: white; font-size: 18px; font-weight: bold; padding: 15px 30px; border-radius: 8px; text-decoration: none;">Verify my email</a>
+          </div>
+          <p style="font-size: 12px; color: #666; word-break: break-all;">If the button does not work, copy this link into your browser:<br>${link}</p>` : '';
+
+  const codeText = otp ? `${link ? 'Or enter this' : 'Your'} One-Time Password (OTP)${link ? '' : ' is'}: ${otp}\n\n` : '';
+  const linkText = link ? `Open this link to verify your email address:\n${link}\n\n` : '';
+  const validity = link && !otp ? 'This link is valid' : link ? 'This link and code are valid' : 'This OTP is valid';
+
   const defaultTemplate = {
-    subject: 'Your OTP Code',
+    subject: link && !otp ? 'Your sign-in link' : 'Your OTP Code',
     html: `
       <div style="font-family: Arial, sans-serif; color: #333; max-width: 600px; margin: 0 auto;">
         <div style="background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); padding: 20px; text-align: center;">
-          <h1 style="color: white; margin: 0;">Verification Code</h1>
+          <h1 style="color: white; margin: 0;">Verification ${link && !otp ? 'Link' : 'Code'}</h1>
         </div>
         <div style="padding: 30px; background: #f9f9f9;">
-          <h2 style="color: #333;">Hello!</h2>
-          <p style="font-size: 16px; line-height: 1.5;">Your One-Time Password (OTP) is:</p>
-          <div style="text-align: center; margin: 30px 0;">
-            <span style="display: inline-block; background: #667eea; color: white; font-size: 32px; font-weight: bold; padding: 15px 30px; border-radius: 8px; letter-spacing: 5px;">${otp}</span>
-          </div>
+          <h2 style="color: #333;">Hello!</h2>${linkHtml}${codeHtml}
           <p style="font-size: 14px; color: #666;">
-            This OTP is valid for <strong>${expiryMinutes} minutes</strong>.
+            ${validity} for <strong>${expiryMinutes} minutes</strong>${link ? ' and can be used only once' : ''}.
           </p>
           <p style="font-size: 14px; color: #d32f2f; margin-top: 20px;">
-            🔒 <strong>Security Notice:</strong> Do not share this code with anyone.
+            🔒 <strong>Security Notice:</strong> Do not share this ${link && !otp ? 'link' : 'code'} with anyone.
           </p>
         </div>
         <div style="background: #333; color: #999; padding: 15px; text-align: center; font-size: 12px;">
-          If you did not request this code, please ignore this email.
+          If you did not request this ${link && !otp ? 'link' : 'code'}, please ignore this email.
         </div>
       </div>
     `,
-    text: `Hello!\n\nYour One-Time Password (OTP) is: ${otp}\n\nThis OTP is valid for ${expiryMinutes} minutes.\n\n🔒 Security Notice: Do not share this code with anyone.\n\nIf you did not request this code, please ignore this email.`
+    text: `Hello!\n\n${linkText}${codeText}${validity} for ${expiryMinutes} minutes${link ? ' and can be used only once' : ''}.\n\n🔒 Security Notice: Do not share this ${link && !otp ? 'link' : 'code'} with anyone.\n\nIf you did not request this ${link && !otp ? 'link' : 'code'}, please ignore this email.`
   };
   
   return { ...defaultTemplate, ...customTemplate };
 };
 
-export const checkRateLimit = (store, key, maxAttempts = 5, windowMs = 15 * 60 * 1000) => {
+export const checkRateLimit = (store, key, maxAttempts = 5, windowMs = 15 * 60 * 1000, t = defaultTranslator) => {
   const now = Date.now();
   const record = store.get(key) || { attempts: 0, resetTime: now + windowMs };
   
@@ -104,7 +220,7 @@ export const checkRateLimit = (store, key, maxAttempts = 5, windowMs = 15 * 60 *
     return { 
       allowed: false, 
       resetTime: record.resetTime,
-      error: `Too many attempts. Try again after ${Math.ceil((record.resetTime - now) / 1000 / 60)} minutes.`
+      error: t('RATE_LIMITED', { minutes: Math.ceil((record.resetTime - now) / 1000 / 60) })
     };
   }
   
@@ -0,0 +1,93 @@
+import { promises as fs } from 'fs';
+import path from 'path';
+import { selectAuditEntries } from './filter.js';
+
+export function createFileAuditSink(options = {}) {
+  const filePath = path.resolve(options.path || 'otp-audit.log');
+  const maxBytes = options.maxBytes || 10 * 1024 * 1024;
+  const maxFiles = Math.max(options.maxFiles ?? 5, 1);
+  let queue = Promise.resolve();
+  let size = null;
+
+  const rotatedPath = (index) => `${filePath}.${index}`;
+
+  const getSize = async () => {
+    if (size === null) {
+      try {
+        size = (await fs.stat(filePath)).size;
+      } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+        size = 0;
+      }
+    }
+    return size;
+  };
+
+  const rotate = async () => {
+    await fs.rm(rotatedPath(maxFiles), { force: true });
+    for (let index = maxFiles - 1; index >= 1; index--) {
+      await fs.rename(rotatedPath(index), rotatedPath(index + 1)).catch((error) => {
+        if (error.code !== 'ENOENT') throw error;
+      });
+    }
+    await fs.rename(filePath, rotatedPath(1));
+    size = 0;
+  };
+
+  const readLines = async (file) => {
+    try {
+      const contents = await fs.readFile(file, 'utf8');
+      return contents.split('\n').filter(Boolean).flatMap((line) => {
+        try {
+          return [JSON.parse(line)];
+        } catch {
+          return [];
+        }
+      });
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+  };
+
+  const enqueue = (operation) => {
+    const run = queue.then(operation);
+    queue = run.catch(() => {});
+    return run;
+  };
+
+  return {
+    write(entry) {
+      return enqueue(async () => {
+        const line = `${JSON.stringify(entry)}\n`;
+        const bytes = Buffer.byteLength(line);
+
+        await fs.mkdir(path.dirname(filePath), { recursive: true });
+        if (await getSize() > 0 && size + bytes > maxBytes) {
+          await rotate();
+        }
+        await fs.appendFile(filePath, line);
+        size += bytes;
+      });
+    },
+
+    query(filter) {
+      return enqueue(async () => {
+        const files = [filePath];
+        for (let index = 1; index <= maxFiles; index++) {
+          files.push(rotatedPath(index));
+        }
+
+        const entries = [];
+        for (const file of files) {
+          entries.push(...await readLines(file));
+        }
+        return selectAuditEntries(entries, filter);
+      });
+    },
+
+    async close() {
+      await queue;
+    }
+  };
+}
@@ -0,0 +1,27 @@
+const toTime = (value) => {
+  if (value === undefined || value === null || value === '') return null;
+  const time = typeof value === 'number' ? value : Date.parse(value);
+  return Number.isNaN(time) ? null : time;
+};
+
+export const matchesAuditFilter = (entry, filter = {}) => {
+  const from = toTime(filter.from);
+  const to = toTime(filter.to);
+  const timestamp = Date.parse(entry.timestamp);
+
+  if (filter.identifierHash && entry.identifierHash !== filter.identifierHash) return false;
+  if (filter.outcome && entry.outcome !== filter.outcome) return false;
+  if (filter.action && entry.action !== filter.action) return false;
+  if (filter.purpose && entry.purpose !== filter.purpose) return false;
+  if (from !== null && timestamp < from) return false;
+  if (to !== null && timestamp > to) return false;
+  return true;
+};
+
+export const selectAuditEntries = (entries, filter = {}) => {
+  const limit = filter.limit || 100;
+  return entries
+    .filter((entry) => matchesAuditFilter(entry, filter))
+    .sort((a, b) => Date.parse(b.timestamp) - Date.parse(a.timestamp))
+    .slice(0, limit);
+};
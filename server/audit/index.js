@@ -0,0 +1,38 @@
+import { createMemoryAuditSink } from './memory-sink.js';
+import { createFileAuditSink } from './file-sink.js';
+
+const SINK_FACTORIES = {
+  memory: createMemoryAuditSink,
+  file: createFileAuditSink
+};
+
+export const isAuditSink = (sink) => {
+  return Boolean(sink) && typeof sink.write === 'function';
+};
+
+export const createAuditSink = (sink = 'memory', sinkOptions = {}) => {
+  if (isAuditSink(sink)) {
+    return sink;
+  }
+
+  const factory = SINK_FACTORIES[sink];
+  if (!factory) {
+    throw new Error(`Unknown audit sink "${sink}". Use one of: ${Object.keys(SINK_FACTORIES).join(', ')}, or pass a sink object.`);
+  }
+
+  return factory(sinkOptions);
+};
+
+export const maskIdentifier = (identifier) => {
+  if (!identifier) return null;
+
+  const value = String(identifier);
+  const at = value.lastIndexOf('@');
+  if (at > 0) {
+    return `${value[0]}***${value.slice(at)}`;
+  }
+
+  return value.length > 4 ? `***${value.slice(-4)}` : '***';
+};
+
+export { createMemoryAuditSink, createFileAuditSink };
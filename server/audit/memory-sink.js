@@ -0,0 +1,23 @@
+import { selectAuditEntries } from './filter.js';
+
+export function createMemoryAuditSink(options = {}) {
+  const { maxEntries = 10000 } = options;
+  const entries = [];
+
+  return {
+    async write(entry) {
+      entries.push(entry);
+      if (entries.length > maxEntries) {
+        entries.splice(0, entries.length - maxEntries);
+      }
+    },
+
+    async query(filter) {
+      return selectAuditEntries(entries, filter);
+    },
+
+    async close() {
+      entries.length = 0;
+    }
+  };
+}
@@ -0,0 +1,193 @@
+import { DEFAULT_CONFIG } from '../../lib/types.js';
+import { OPTIONS_SCHEMA, isPlainObject, shape, validateOptions } from './schema.js';
+
+const ENV_OPTIONS = [
+  ['OTP_SECRET', 'otpSecret', String],
+  ['OTP_LENGTH', 'otpLength', Number],
+  ['OTP_EXPIRY_MINUTES', 'expiryMinutes', Number],
+  ['OTP_MAX_ATTEMPTS', 'maxAttempts', Number],
+  ['OTP_STORE', 'store', String],
+  ['OTP_DEFAULT_CHANNEL', 'defaultChannel', String],
+  ['OTP_DEFAULT_LOCALE', 'defaultLocale', String],
+  ['OTP_DEFAULT_REGION', 'identifiers.defaultRegion', String],
+  ['OTP_DELIVERY_MODE', 'delivery.mode', String]
+];
+
+const UNFROZEN_KEYS = new Set(['store', 'channels', 'sink', 'client', 'clock']);
+
+const SYSTEM_CLOCK = { now: () => Date.now() };
+
+const warnedDeprecations = new Set();
+
+const warnDeprecated = (option, replacement) => {
+  if (warnedDeprecations.has(option)) return;
+  warnedDeprecations.add(option);
+  console.warn(`OTP option "${option}" is deprecated and will be removed in a future release. Use ${replacement} instead.`);
+};
+
+const legacyRateLimit = ({ maxAttempts = 5, windowMs = 15 * 60 * 1000 }) => ({
+  send: [{ key: 'identifier', algorithm: 'sliding-window', limit: maxAttempts, windowMs }],
+  verify: []
+});
+
+const LEGACY_SCHEMA = {
+  otpConfig: shape({
+    length: () => [],
+    otpLength: () => [],
+    expiryMinutes: () => [],
+    maxAttempts: () => []
+  }),
+  rateLimitConfig: shape({
+    maxAttempts: () => [],
+    windowMs: () => []
+  })
+};
+
+const applyLegacyOptions = (options) => {
+  const { otpConfig, rateLimitConfig, ...rest } = options;
+  const issues = [];
+
+  if (otpConfig !== undefined) {
+    warnDeprecated('otpConfig', 'top-level otpLength, expiryMinutes and maxAttempts');
+    issues.push(...LEGACY_SCHEMA.otpConfig(otpConfig, 'otpConfig'));
+    if (isPlainObject(otpConfig)) {
+      rest.otpLength ??= otpConfig.otpLength ?? otpConfig.length;
+      rest.expiryMinutes ??= otpConfig.expiryMinutes;
+      rest.maxAttempts ??= otpConfig.maxAttempts;
+    }
+  }
+
+  if (rateLimitConfig !== undefined) {
+    warnDeprecated('rateLimitConfig', 'rateLimit: { send, verify }');
+    issues.push(...LEGACY_SCHEMA.rateLimitConfig(rateLimitConfig, 'rateLimitConfig'));
+    if (isPlainObject(rateLimitConfig)) {
+      rest.rateLimit ??= legacyRateLimit(rateLimitConfig);
+    }
+  }
+
+  if (isPlainObject(rest.rateLimit) && ('maxAttempts' in rest.rateLimit || 'windowMs' in rest.rateLimit)) {
+    warnDeprecated('rateLimit.maxAttempts', 'rateLimit: { send, verify }');
+    rest.rateLimit = legacyRateLimit(rest.rateLimit);
+  }
+
+  return { options: rest, issues };
+};
+
+const readEnvDefaults = (env) => {
+  const defaults = {};
+  const issues = [];
+
+  for (const [name, option, parse] of ENV_OPTIONS) {
+    if (env[name] === undefined || env[name] === '') continue;
+
+    const value = parse(env[name]);
+    const [root, field] = option.split('.');
+    if (field) {
+      issues.push(...OPTIONS_SCHEMA[root]({ [field]: value }, root).map((message) => message.replace(option, name)));
+      defaults[root] = { ...defaults[root], [field]: value };
+    } else {
+      issues.push(...OPTIONS_SCHEMA[option](value, name));
+      defaults[option] = value;
+    }
+  }
+
+  return { defaults, issues };
+};
+
+const mergePurposes = (defaults, overrides = {}) => {
+  const merged = { ...defaults };
+  for (const [name, settings] of Object.entries(overrides)) {
+    merged[name] = {
+      ...defaults[name],
+      ...settings,
+      template: { ...defaults[name]?.template, ...settings.template }
+    };
+  }
+  return merged;
+};
+
+const withDefaults = (defaults, value) => ({ ...defaults, ...(isPlainObject(value) ? value : {}) });
+
+const deepFreeze = (value) => {
+  if (!value || typeof value !== 'object' || Object.isFrozen(value)) {
+    return value;
+  }
+
+  for (const [key, item] of Object.entries(value)) {
+    if (!UNFROZEN_KEYS.has(key)) deepFreeze(item);
+  }
+  return Object.freeze(value);
+};
+
+export function resolveConfig(input = {}, env = process.env) {
+  if (!isPlainObject(input)) {
+    throw new Error('Invalid OTP configuration: options must be an object.');
+  }
+
+  const { options, issues: legacyIssues } = applyLegacyOptions(input);
+  const { defaults: envDefaults, issues: envIssues } = readEnvDefaults(env);
+  const issues = [...legacyIssues, ...validateOptions(options), ...envIssues];
+  if (options.totp && !options.totp.identify) {
+    issues.push('totp.identify is required: it must return the signed-in user allowed to enroll, never a value from the request body');
+  }
+  if (options.recoveryCodes && !options.recoveryCodes.identify) {
+    issues.push('recoveryCodes.identify is required: it must return the signed-in user allowed to manage recovery codes, never a value from the request body');
+  }
+  if (options.devOutbox && env.NODE_ENV === 'production') {
+    issues.push('devOutbox must not be enabled when NODE_ENV is "production"');
+  }
+  if (issues.length) {
+    throw new Error(`Invalid OTP configuration:\n  - ${issues.join('\n  - ')}`);
+  }
+  if (options.acceptPlaintextOtps) {
+    console.warn('OTP option "acceptPlaintextOtps" accepts codes stored in plaintext by older versions. Remove it once those codes have expired.');
+  }
+
+  const defaults = structuredClone(DEFAULT_CONFIG);
+  const pick = (key) => options[key] ?? envDefaults[key] ?? defaults[key];
+  const store = pick('store') ?? 'memory';
+  const storeOptions = { ...options.storeOptions };
+  if (store === 'redis' && env.REDIS_URL && !storeOptions.url && !storeOptions.host && !storeOptions.client) {
+    storeOptions.url = env.REDIS_URL;
+  }
+
+  return deepFreeze({
+    emailConfig: { ...options.emailConfig },
+    store,
+    storeOptions,
+    otpLength: pick('otpLength'),
+    otpFormat: withDefaults(defaults.otpFormat, options.otpFormat),
+    expiryMinutes: pick('expiryMinutes'),
+    maxAttempts: pick('maxAttempts'),
+    acceptPlaintextOtps: pick('acceptPlaintextOtps'),
+    otpSecret: pick('otpSecret') ?? null,
+    defaultChannel: pick('defaultChannel'),
+    identifiers: {
+      ...withDefaults({ ...defaults.identifiers, ...envDefaults.identifiers }, options.identifiers),
+      defaultChannels: withDefaults(defaults.identifiers.defaultChannels, options.identifiers?.defaultChannels)
+    },
+    emailPolicy: withDefaults(defaults.emailPolicy, options.emailPolicy),
+    channels: { ...options.channels },
+    purposes: mergePurposes(defaults.purposes, options.purposes),
+    defaultLocale: pick('defaultLocale'),
+    locale: pick('locale'),
+    messages: { ...options.messages },
+    templates: { ...options.templates },
+    brand: withDefaults(defaults.brand, options.brand),
+    verificationToken: withDefaults(defaults.verificationToken, options.verificationToken),
+    magicLink: withDefaults(defaults.magicLink, options.magicLink),
+    totp: { ...withDefaults(defaults.totp, options.totp), enabled: Boolean(options.totp) },
+    recoveryCodes: { ...withDefaults(defaults.recoveryCodes, options.recoveryCodes), enabled: Boolean(options.recoveryCodes) },
+    events: { ...options.events },
+    audit: options.audit ? withDefaults(defaults.audit, options.audit) : null,
+    metrics: options.metrics ? withDefaults(defaults.metrics, options.metrics) : null,
+    rateLimit: options.rateLimit ? withDefaults(defaults.rateLimit, options.rateLimit) : null,
+    delivery: withDefaults({ ...defaults.delivery, ...envDefaults.delivery }, options.delivery),
+    resend: withDefaults(defaults.resend, options.resend),
+    devOutbox: options.devOutbox ? withDefaults(defaults.devOutbox, options.devOutbox) : null,
+    sweeper: withDefaults(defaults.sweeper, options.sweeper),
+    lockout: withDefaults(defaults.lockout, options.lockout),
+    enableCleanupRoute: Boolean(options.enableCleanupRoute),
+    clock: options.clock || SYSTEM_CLOCK
+  });
+}
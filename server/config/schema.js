@@ -0,0 +1,253 @@
+import { OTP_ALPHABETS, OTP_EVENTS } from '../../lib/types.js';
+import { PHONE_REGIONS } from '../../lib/phone.js';
+import { isStore } from '../stores/index.js';
+
+export const isPlainObject = (value) => {
+  return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+};
+
+const issue = (path, message) => [`${path} ${message}`];
+
+const integer = (min, max) => (value, path) => {
+  return Number.isInteger(value) && value >= min && value <= max
+    ? []
+    : issue(path, `must be an integer between ${min} and ${max}`);
+};
+
+const positive = () => (value, path) => {
+  return typeof value === 'number' && Number.isFinite(value) && value > 0 ? [] : issue(path, 'must be a positive number');
+};
+
+const nonNegative = () => (value, path) => {
+  return typeof value === 'number' && Number.isFinite(value) && value >= 0 ? [] : issue(path, 'must be zero or a positive number');
+};
+
+const string = () => (value, path) => {
+  return typeof value === 'string' && value.length > 0 ? [] : issue(path, 'must be a non-empty string');
+};
+
+const boolean = () => (value, path) => {
+  return typeof value === 'boolean' ? [] : issue(path, 'must be true or false');
+};
+
+const func = () => (value, path) => {
+  return typeof value === 'function' ? [] : issue(path, 'must be a function');
+};
+
+const object = () => (value, path) => {
+  return isPlainObject(value) ? [] : issue(path, 'must be an object');
+};
+
+const oneOf = (...choices) => (value, path) => {
+  return choices.includes(value) ? [] : issue(path, `must be one of: ${choices.join(', ')}`);
+};
+
+const nullable = (validate) => (value, path) => {
+  return value === null ? [] : validate(value, path);
+};
+
+const arrayOf = (validate) => (value, path) => {
+  if (!Array.isArray(value)) return issue(path, 'must be an array');
+  return value.flatMap((item, index) => validate(item, `${path}[${index}]`));
+};
+
+const mapOf = (validate) => (value, path) => {
+  if (!isPlainObject(value)) return issue(path, 'must be an object');
+  return Object.entries(value).flatMap(([key, item]) => validate(item, `${path}.${key}`));
+};
+
+const toggle = (validate) => (value, path) => {
+  return typeof value === 'boolean' ? [] : validate(value, path);
+};
+
+export const shape = (fields) => (value, path = '') => {
+  if (!isPlainObject(value)) return issue(path || 'options', 'must be an object');
+
+  return Object.entries(value).flatMap(([key, item]) => {
+    const itemPath = path ? `${path}.${key}` : key;
+    if (!Object.hasOwn(fields, key)) return [`Unknown option "${itemPath}"`];
+    return item === undefined ? [] : fields[key](item, itemPath);
+  });
+};
+
+const template = shape({
+  subject: string(),
+  html: string(),
+  text: string()
+});
+
+const rateLimitRule = shape({
+  name: string(),
+  key: oneOf('ip', 'identifier', 'ip+identifier', 'global'),
+  algorithm: oneOf('sliding-window', 'token-bucket'),
+  limit: integer(1, 1e6),
+  windowMs: positive(),
+  capacity: integer(1, 1e6),
+  refillPerSecond: positive()
+});
+
+const trustProxy = (value, path) => {
+  if (typeof value === 'boolean' || typeof value === 'function') return [];
+  if (typeof value === 'number') return integer(0, 100)(value, path);
+  if (Array.isArray(value)) return arrayOf(string())(value, path);
+  return issue(path, 'must be a boolean, a hop count, a list of proxy addresses or a function');
+};
+
+const store = (value, path) => {
+  if (typeof value === 'string') return oneOf('memory', 'file', 'redis')(value, path);
+  return isStore(value) ? [] : issue(path, 'must be "memory", "file", "redis" or an object with get, set, delete, expire and scan');
+};
+
+const alphabet = (value, path) => {
+  if (Object.hasOwn(OTP_ALPHABETS, value)) return [];
+  return typeof value === 'string' && new Set(value).size === value.length && value.length >= 2
+    ? []
+    : issue(path, `must be one of: ${Object.keys(OTP_ALPHABETS).join(', ')}, or a string of at least 2 distinct characters`);
+};
+
+const region = (value, path) => {
+  return typeof value === 'string' && Object.hasOwn(PHONE_REGIONS, value.toUpperCase())
+    ? []
+    : issue(path, `must be a supported region code (${Object.keys(PHONE_REGIONS).join(', ')})`);
+};
+
+const otpFormat = shape({
+  alphabet,
+  groupSize: integer(0, 10),
+  separator: string()
+});
+
+const channel = (value, path) => {
+  return isPlainObject(value) ? [] : issue(path, 'must be a transport object or a channel definition');
+};
+
+export const OPTIONS_SCHEMA = {
+  emailConfig: shape({
+    service: string(),
+    user: nullable(string()),
+    pass: nullable(string()),
+    host: string(),
+    port: integer(1, 65535),
+    secure: boolean(),
+    from: string()
+  }),
+  store,
+  storeOptions: object(),
+  otpLength: integer(4, 10),
+  otpFormat,
+  expiryMinutes: positive(),
+  maxAttempts: integer(1, 100),
+  acceptPlaintextOtps: boolean(),
+  otpSecret: string(),
+  defaultChannel: string(),
+  identifiers: shape({
+    types: (value, path) => (Array.isArray(value) && value.length === 0
+      ? issue(path, 'must list at least one identifier type')
+      : arrayOf(oneOf('email', 'phone'))(value, path)),
+    defaultRegion: nullable(region),
+    defaultChannels: shape({ email: nullable(string()), phone: nullable(string()) })
+  }),
+  emailPolicy: shape({
+    allowDomains: arrayOf(string()),
+    denyDomains: arrayOf(string()),
+    blockDisposable: boolean(),
+    disposableDomains: arrayOf(string()),
+    foldPlusAddressing: boolean()
+  }),
+  channels: mapOf(channel),
+  purposes: mapOf(shape({
+    otpLength: integer(4, 10),
+    otpFormat,
+    expiryMinutes: positive(),
+    template
+  })),
+  defaultLocale: string(),
+  locale: nullable(string()),
+  messages: mapOf(mapOf(string())),
+  templates: mapOf(mapOf(template)),
+  brand: shape({
+    appName: string(),
+    logoUrl: nullable(string()),
+    primaryColor: string(),
+    secondaryColor: string(),
+    footer: nullable(string())
+  }),
+  verificationToken: shape({
+    keys: arrayOf(shape({ id: string(), secret: string() })),
+    ttlSeconds: positive(),
+    issuer: string()
+  }),
+  magicLink: shape({
+    url: nullable(string()),
+    path: string(),
+    successUrl: nullable(string()),
+    failureUrl: nullable(string()),
+    includeCode: boolean()
+  }),
+  totp: toggle(shape({
+    issuer: string(),
+    digits: integer(6, 8),
+    period: integer(10, 300),
+    algorithm: oneOf('SHA1', 'SHA256', 'SHA512'),
+    window: integer(0, 10),
+    enrollmentTtlMs: positive(),
+    identify: func()
+  })),
+  recoveryCodes: toggle(shape({
+    count: integer(1, 100),
+    length: integer(6, 32),
+    identify: func()
+  })),
+  events: shape(Object.fromEntries(['*', ...Object.values(OTP_EVENTS)].map((type) => [type, func()]))),
+  audit: toggle(shape({
+    sink: (value, path) => (typeof value === 'string' ? oneOf('memory', 'file')(value, path) : object()(value, path)),
+    sinkOptions: object(),
+    path: string(),
+    maxQueryLimit: integer(1, 100000),
+    authorize: func()
+  })),
+  metrics: toggle(shape({
+    path: string(),
+    authorize: func()
+  })),
+  rateLimit: toggle(shape({
+    trustProxy,
+    send: arrayOf(rateLimitRule),
+    verify: arrayOf(rateLimitRule)
+  })),
+  resend: shape({
+    cooldownSeconds: nonNegative(),
+    maxResends: integer(0, 100),
+    policy: oneOf('reuse', 'rotate'),
+    graceSeconds: nonNegative()
+  }),
+  delivery: shape({
+    mode: oneOf('inline', 'outbox'),
+    maxAttempts: integer(1, 100),
+    baseDelayMs: nonNegative(),
+    multiplier: (value, path) => (typeof value === 'number' && value >= 1 ? [] : issue(path, 'must be a number of at least 1')),
+    maxDelayMs: nonNegative(),
+    jitter: (value, path) => (typeof value === 'number' && value >= 0 && value <= 1 ? [] : issue(path, 'must be a number between 0 and 1')),
+    concurrency: integer(1, 1000),
+    leaseMs: positive(),
+    statusTtlSeconds: positive(),
+    deadLetterTtlSeconds: positive()
+  }),
+  devOutbox: toggle(shape({
+    path: string(),
+    maxMessages: integer(1, 10000)
+  })),
+  sweeper: shape({
+    intervalMs: nonNegative()
+  }),
+  lockout: shape({
+    durationMs: positive(),
+    multiplier: (value, path) => (typeof value === 'number' && value >= 1 ? [] : issue(path, 'must be a number of at least 1')),
+    maxDurationMs: positive(),
+    resetAfterMs: positive()
+  }),
+  enableCleanupRoute: boolean(),
+  clock: (value, path) => (value && typeof value.now === 'function' ? [] : issue(path, 'must be an object with a now() method'))
+};
+
+export const validateOptions = shape(OPTIONS_SCHEMA);
@@ -2,17 +2,16 @@ import { configDotenv } from 'dotenv';
 import express from 'express';
 import bodyParser from 'body-parser';
 import cors from 'cors';
-import { createOtpRoutes, rateLimitMiddleware } from './middleware/otp-middleware.js';
+import { createOtpRoutes } from './middleware/otp-middleware.js';
+import { ERROR_CODES } from '../lib/types.js';
 
 const app = express();
 configDotenv();
+const isDevelopment = process.env.NODE_ENV === 'development';
 
 app.use(bodyParser.json());
 app.use(cors());
 
-app.use('/sentotp', rateLimitMiddleware({ maxAttempts: 5, windowMs: 15 * 60 * 1000 }));
-app.use('/verifyotp', rateLimitMiddleware({ maxAttempts: 10, windowMs: 15 * 60 * 1000 }));
-
 const otpRoutes = createOtpRoutes({
   emailConfig: {
     service: 'gmail',
@@ -21,21 +20,39 @@ const otpRoutes = createOtpRoutes({
   },
   otpLength: 6,
   expiryMinutes: 5,
-  enableCleanupRoute: process.env.NODE_ENV === 'development'
+  enableCleanupRoute: isDevelopment,
+  devOutbox: isDevelopment,
+  metrics: process.env.ENABLE_METRICS === 'true',
+  rateLimit: {
+    trustProxy: process.env.TRUST_PROXY === 'true',
+    send: [
+      { key: 'identifier', algorithm: 'sliding-window', limit: 5, windowMs: 15 * 60 * 1000 },
+      { key: 'ip', algorithm: 'token-bucket', capacity: 10, refillPerSecond: 1 / 90 }
+    ],
+    verify: [
+      { key: 'ip+identifier', algorithm: 'sliding-window', limit: 10, windowMs: 15 * 60 * 1000 },
+      { key: 'ip', algorithm: 'token-bucket', capacity: 30, refillPerSecond: 1 / 30 }
+    ]
+  }
 });
 
-app.use('/', otpRoutes);
-
 app.post('/sentotp', (req, res, next) => {
   req.url = '/send';
   next();
 });
 
+app.post('/resendotp', (req, res, next) => {
+  req.url = '/resend';
+  next();
+});
+
 app.post('/verifyotp', (req, res, next) => {
   req.url = '/verify';
   next();
 });
 
+app.use('/', otpRoutes);
+
 app.get('/health', (req, res) => {
   res.json({ 
     status: 'OK', 
@@ -48,6 +65,7 @@ app.use((error, req, res, next) => {
   console.error('Server error:', error);
   res.status(500).json({
     success: false,
+    code: ERROR_CODES.INTERNAL_ERROR,
     message: 'Internal server error'
   });
 });
@@ -55,13 +73,26 @@ app.use((error, req, res, next) => {
 app.use('*', (req, res) => {
   res.status(404).json({
     success: false,
+    code: ERROR_CODES.NOT_FOUND,
     message: 'Endpoint not found'
   });
 });
 
 const port = process.env.PORT || 3300;
-app.listen(port, () => {
+const server = app.listen(port, () => {
   console.log(`🚀 OTP Verification Server running on http://localhost:${port}`);
-  console.log(`📧 Email service: ${process.env.EMAIL ? 'Configured' : 'Not configured'}`);
+  console.log(isDevelopment
+    ? `📬 Dev outbox: messages are captured at http://localhost:${port}/dev/outbox`
+    : `📧 Email service: ${process.env.EMAIL ? 'Configured' : 'Not configured'}`);
   console.log(`🔒 CORS: ${process.env.NODE_ENV === 'production' ? 'Restricted' : 'Open'}`);
 });
+
+const shutdown = () => {
+  server.close(async () => {
+    await otpRoutes.close();
+    process.exit(0);
+  });
+};
+
+process.on('SIGTERM', shutdown);
+process.on('SIGINT', shutdown);
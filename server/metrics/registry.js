@@ -0,0 +1,101 @@
+const DEFAULT_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+const escapeLabel = (value) => {
+  return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+};
+
+const formatLabels = (labels) => {
+  const pairs = Object.entries(labels).map(([name, value]) => `${name}="${escapeLabel(value)}"`);
+  return pairs.length ? `{${pairs.join(',')}}` : '';
+};
+
+const pickLabels = (labelNames, labels = {}) => {
+  return Object.fromEntries(labelNames.map((name) => [name, labels[name] ?? '']));
+};
+
+export function createMetricsRegistry() {
+  const metrics = [];
+
+  const register = (metric) => {
+    metrics.push(metric);
+    return metric;
+  };
+
+  const createSeries = (labelNames, initial) => {
+    const series = new Map();
+
+    const get = (labels) => {
+      const picked = pickLabels(labelNames, labels);
+      const key = JSON.stringify(picked);
+      if (!series.has(key)) {
+        series.set(key, { labels: picked, value: initial() });
+      }
+      return series.get(key);
+    };
+
+    if (!labelNames.length) get();
+    return { get, values: () => [...series.values()] };
+  };
+
+  return {
+    counter(name, help, labelNames = []) {
+      const series = createSeries(labelNames, () => 0);
+
+      return register({
+        inc(labels, amount = 1) {
+          series.get(labels).value += amount;
+        },
+        render: () => [
+          `# HELP ${name} ${help}`,
+          `# TYPE ${name} counter`,
+          ...series.values().map(({ labels, value }) => `${name}${formatLabels(labels)} ${value}`)
+        ]
+      });
+    },
+
+    gauge(name, help, collect) {
+      return register({
+        render: async () => [
+          `# HELP ${name} ${help}`,
+          `# TYPE ${name} gauge`,
+          `${name} ${await collect()}`
+        ]
+      });
+    },
+
+    histogram(name, help, labelNames = [], buckets = DEFAULT_BUCKETS) {
+      const series = createSeries(labelNames, () => ({ counts: buckets.map(() => 0), sum: 0, count: 0 }));
+
+      return register({
+        observe(labels, value) {
+          const entry = series.get(labels);
+          buckets.forEach((bound, index) => {
+            if (value <= bound) entry.value.counts[index]++;
+          });
+          entry.value.sum += value;
+          entry.value.count++;
+        },
+        render: () => [
+          `# HELP ${name} ${help}`,
+          `# TYPE ${name} histogram`,
+          ...series.values().flatMap(({ labels, value }) => [
+            ...buckets.map((bound, index) => (
+              `${name}_bucket${formatLabels({ ...labels, le: bound })} ${value.counts[index]}`
+            )),
+            `${name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${value.count}`,
+            `${name}_sum${formatLabels(labels)} ${value.sum}`,
+            `${name}_count${formatLabels(labels)} ${value.count}`
+          ])
+        ]
+      });
+    },
+
+    async render() {
+      const sections = [];
+      for (const metric of metrics) {
+        sections.push((await metric.render()).join('\n'));
+      }
+      return `${sections.join('\n')}\n`;
+    }
+  };
+}
@@ -0,0 +1,54 @@
+import crypto from 'crypto';
+import { OTP_EVENTS } from '../../lib/types.js';
+import { createAuditSink, maskIdentifier } from '../audit/index.js';
+
+const AUDITED_EVENTS = {
+  [OTP_EVENTS.SENT]: { action: 'send', outcome: 'success' },
+  [OTP_EVENTS.SEND_FAILED]: { action: 'send', outcome: 'failure' },
+  [OTP_EVENTS.VERIFIED]: { action: 'verify', outcome: 'success' },
+  [OTP_EVENTS.VERIFY_FAILED]: { action: 'verify', outcome: 'failure' }
+};
+
+export function createAuditLog({ hasher, config }) {
+  const sink = createAuditSink(config.sink, config.sinkOptions);
+  const key = hasher.deriveKey('audit');
+
+  const hashIdentifier = (identifier) => {
+    return identifier ? crypto.createHmac('sha256', key).update(String(identifier)).digest('hex') : null;
+  };
+
+  return {
+    record(event) {
+      const audited = AUDITED_EVENTS[event.type];
+      if (!audited) return;
+
+      return sink.write({
+        timestamp: new Date(event.timestamp).toISOString(),
+        event: event.type,
+        ...audited,
+        identifier: maskIdentifier(event.identifier),
+        identifierHash: hashIdentifier(event.identifier),
+        ip: event.ip || null,
+        userAgent: event.userAgent || null,
+        purpose: event.purpose || null,
+        method: event.method || null,
+        channel: event.channel || null,
+        reason: event.reason || null
+      });
+    },
+
+    query({ identifier, ...filter } = {}) {
+      if (typeof sink.query !== 'function') {
+        throw new Error('The configured audit sink does not support queries.');
+      }
+      return sink.query({
+        ...filter,
+        identifierHash: identifier ? hashIdentifier(identifier) : undefined
+      });
+    },
+
+    close() {
+      return sink.close?.();
+    }
+  };
+}
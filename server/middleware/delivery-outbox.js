@@ -0,0 +1,232 @@
+import crypto from 'crypto';
+
+const STATUS_PREFIX = 'delivery:';
+const DEAD_LETTER_PREFIX = 'delivery-dead:';
+const JOB_PREFIX = 'delivery-job:';
+
+export const getBackoffDelay = (attempt, config, random = Math.random) => {
+  const delay = Math.min(config.baseDelayMs * Math.pow(config.multiplier, attempt - 1), config.maxDelayMs);
+  return Math.round(delay * (1 - config.jitter * random()));
+};
+
+export function createDeliveryOutbox({ store, box, channels, config, onDelivered, onRetry, onDeadLetter, clock = { now: Date.now } }) {
+  const owner = crypto.randomUUID();
+  const queue = [];
+  const inFlight = new Set();
+  const running = new Set();
+  const jobTtlMs = config.statusTtlSeconds * 1000;
+  let timer = null;
+  let closed = false;
+
+  const describe = (job, status, details = {}) => ({
+    id: job.id,
+    status,
+    channel: job.channel,
+    purpose: job.purpose,
+    attempts: job.attempts,
+    maxAttempts: config.maxAttempts,
+    queuedAt: job.queuedAt,
+    nextAttemptAt: status === 'queued' || status === 'retrying' ? job.nextAttemptAt : null,
+    lastError: job.lastError || null,
+    ...details
+  });
+
+  const saveStatus = (job, status, details) => {
+    const record = describe(job, status, details);
+    return store.set(STATUS_PREFIX + job.id, record, config.statusTtlSeconds * 1000).then(() => record);
+  };
+
+  // Jobs are persisted with the message sealed (it carries the code) and a lease naming the
+  // instance that will deliver them. Leases that run out are picked up again by recover().
+  const sealJob = ({ message, ...job }, leaseUntil) => ({
+    ...job,
+    message: box.seal(JSON.stringify(message)),
+    owner,
+    leaseUntil
+  });
+
+  const openJob = ({ message, owner: _owner, leaseUntil: _leaseUntil, ...job }) => {
+    try {
+      return { ...job, message: JSON.parse(box.open(message)) };
+    } catch (error) {
+      return { ...job, message: null };
+    }
+  };
+
+  const updateJob = (id, updater) => store.update(JOB_PREFIX + id, (record) => {
+    const next = record ? updater(record) : null;
+    return next ? { value: next, ttlMs: jobTtlMs } : null;
+  });
+
+  const ownedBy = (change) => (record) => (record.owner === owner ? { ...record, ...change(record) } : null);
+
+  const deadLetter = async (job, error) => {
+    const failedAt = clock.now();
+    job.lastError = error.message;
+    await saveStatus(job, 'failed', { failedAt });
+    await store.set(DEAD_LETTER_PREFIX + job.id, {
+      ...describe(job, 'failed', { failedAt }),
+      to: job.message?.to ?? null
+    }, config.deadLetterTtlSeconds * 1000);
+    await store.delete(JOB_PREFIX + job.id);
+    await onDeadLetter?.(job, error);
+  };
+
+  const attempt = async (job) => {
+    const now = clock.now();
+    const claimed = await updateJob(job.id, ownedBy((record) => ({
+      attempts: record.attempts + 1,
+      leaseUntil: now + config.leaseMs
+    })));
+    if (!claimed) return;
+
+    job.attempts = claimed.value.attempts;
+    if (!job.message) {
+      return deadLetter(job, new Error('Queued message could not be decrypted'));
+    }
+    if (job.expireAt && now > job.expireAt) {
+      return deadLetter(job, new Error('Code expired before it could be delivered'));
+    }
+    await saveStatus(job, 'sending');
+    const startedAt = Date.now();
+
+    try {
+      const channel = Object.hasOwn(channels, job.channel) ? channels[job.channel] : null;
+      if (!channel) {
+        throw new Error(`Unknown OTP channel "${job.channel}"`);
+      }
+      await channel.send(job.message);
+    } catch (error) {
+      if (job.attempts >= config.maxAttempts) {
+        return deadLetter(job, error);
+      }
+      job.lastError = error.message;
+      job.nextAttemptAt = clock.now() + getBackoffDelay(job.attempts, config);
+      const kept = await updateJob(job.id, ownedBy(() => ({
+        nextAttemptAt: job.nextAttemptAt,
+        lastError: job.lastError,
+        leaseUntil: job.nextAttemptAt + config.leaseMs
+      })));
+      if (!kept) return;
+
+      queue.push(job);
+      await saveStatus(job, 'retrying');
+      return onRetry?.(job, error);
+    }
+
+    await store.delete(JOB_PREFIX + job.id);
+    await saveStatus(job, 'delivered', { deliveredAt: clock.now() });
+    return onDelivered?.(job, Date.now() - startedAt);
+  };
+
+  const schedule = () => {
+    clearTimeout(timer);
+    timer = null;
+    if (closed || !queue.length || inFlight.size >= config.concurrency) return;
+
+    const nextAttemptAt = Math.min(...queue.map((job) => job.nextAttemptAt));
+    timer = setTimeout(drain, Math.max(nextAttemptAt - clock.now(), 0));
+    timer.unref?.();
+  };
+
+  const drain = () => {
+    const now = clock.now();
+    while (!closed && inFlight.size < config.concurrency) {
+      const index = queue.findIndex((job) => job.nextAttemptAt <= now);
+      if (index < 0) break;
+
+      const [job] = queue.splice(index, 1);
+      running.add(job.id);
+      const run = attempt(job)
+        .catch((error) => console.error('OTP outbox delivery error:', error))
+        .finally(() => {
+          running.delete(job.id);
+          inFlight.delete(run);
+          schedule();
+        });
+      inFlight.add(run);
+    }
+    schedule();
+  };
+
+  const recover = async () => {
+    const now = clock.now();
+    let recovered = 0;
+
+    for (const key of await store.scan(JOB_PREFIX)) {
+      const id = key.slice(JOB_PREFIX.length);
+      if (closed || running.has(id) || queue.some((job) => job.id === id)) continue;
+
+      const claimed = await updateJob(id, (record) => {
+        if (record.leaseUntil > now) return null;
+        return { ...record, owner, leaseUntil: Math.max(record.nextAttemptAt, now) + config.leaseMs };
+      });
+      if (!claimed) continue;
+
+      queue.push(openJob(claimed.value));
+      recovered++;
+    }
+
+    schedule();
+    return recovered;
+  };
+
+  const recoverSafely = () => recover().catch((error) => console.error('OTP outbox recovery error:', error));
+  const recoveryTimer = setInterval(recoverSafely, config.leaseMs);
+  recoveryTimer.unref?.();
+  recoverSafely();
+
+  return {
+    async enqueue({ id, channel, message, context = {}, expireAt = null }) {
+      const now = clock.now();
+      const job = {
+        id,
+        channel,
+        purpose: message.purpose,
+        message,
+        context,
+        expireAt,
+        attempts: 0,
+        queuedAt: now,
+        nextAttemptAt: now,
+        lastError: null
+      };
+      await store.set(JOB_PREFIX + id, sealJob(job, now + config.leaseMs), jobTtlMs);
+      const record = await saveStatus(job, 'queued');
+      queue.push(job);
+      schedule();
+      return record;
+    },
+
+    status(id) {
+      return store.get(STATUS_PREFIX + id);
+    },
+
+    pending() {
+      return queue.length + inFlight.size;
+    },
+
+    recover,
+
+    async deadLetters() {
+      const entries = [];
+      for (const key of await store.scan(DEAD_LETTER_PREFIX)) {
+        const entry = await store.get(key);
+        if (entry) entries.push(entry);
+      }
+      return entries.sort((a, b) => b.failedAt - a.failedAt);
+    },
+
+    removeDeadLetter(id) {
+      return store.delete(DEAD_LETTER_PREFIX + id);
+    },
+
+    async close() {
+      closed = true;
+      clearTimeout(timer);
+      clearInterval(recoveryTimer);
+      await Promise.all(inFlight);
+      await Promise.all(queue.splice(0).map((job) => updateJob(job.id, ownedBy(() => ({ leaseUntil: 0 })))));
+    }
+  };
+}
@@ -0,0 +1,41 @@
+const WILDCARD = '*';
+
+export function createEventBus(initialHandlers = {}, clock = { now: Date.now }) {
+  const handlers = new Map();
+
+  const on = (type, handler) => {
+    if (!handlers.has(type)) {
+      handlers.set(type, new Set());
+    }
+    handlers.get(type).add(handler);
+    return () => off(type, handler);
+  };
+
+  const off = (type, handler) => {
+    handlers.get(type)?.delete(handler);
+  };
+
+  const runHandler = async (handler, event) => {
+    try {
+      await handler(event);
+    } catch (error) {
+      console.error(`OTP event handler for "${event.type}" failed:`, error);
+    }
+  };
+
+  const emit = (type, details = {}) => {
+    const event = { type, timestamp: clock.now(), ...details };
+    const listeners = [
+      ...(handlers.get(type) || []),
+      ...(handlers.get(WILDCARD) || [])
+    ];
+
+    return Promise.all(listeners.map((handler) => runHandler(handler, event))).then(() => event);
+  };
+
+  for (const [type, handler] of Object.entries(initialHandlers)) {
+    on(type, handler);
+  }
+
+  return { on, off, emit };
+}
@@ -0,0 +1,18 @@
+import { createErrorResponse } from '../../lib/utils.js';
+import { ERROR_CODES } from '../../lib/types.js';
+
+export const isLocked = (entry, now = Date.now()) => Boolean(entry?.lockedUntil) && now < entry.lockedUntil;
+
+export const getLockoutDuration = (lockCount, lockout) => {
+  const duration = lockout.durationMs * Math.pow(lockout.multiplier, lockCount - 1);
+  return Math.min(duration, lockout.maxDurationMs);
+};
+
+export const createLockedResponse = (entry, t, now = Date.now()) => {
+  const retryAfter = Math.ceil((entry.lockedUntil - now) / 1000);
+  return createErrorResponse(
+    ERROR_CODES.LOCKED,
+    t('LOCKED', { minutes: Math.ceil(retryAfter / 60) }),
+    { lockedUntil: entry.lockedUntil, retryAfter, attemptsRemaining: 0 }
+  );
+};
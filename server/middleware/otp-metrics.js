@@ -0,0 +1,68 @@
+import { OTP_EVENTS } from '../../lib/types.js';
+import { createMetricsRegistry } from '../metrics/registry.js';
+
+export function createOtpMetrics({ channels = [], clock = { now: Date.now } }) {
+  const registry = createMetricsRegistry();
+  const activeCodes = new Map();
+  const channelLabel = (channel) => (channels.includes(channel) ? channel : 'invalid');
+
+  const sent = registry.counter('otp_sent_total', 'OTP codes and links delivered.', ['purpose', 'channel', 'mode']);
+  const sendFailures = registry.counter('otp_send_failures_total', 'OTP send requests that were rejected or failed.', ['reason', 'channel']);
+  const deliveryFailures = registry.counter('otp_delivery_failures_total', 'OTP deliveries that failed in the transport.', ['channel']);
+  const verifications = registry.counter('otp_verifications_total', 'OTP verification attempts by outcome and failure reason.', ['outcome', 'reason', 'method']);
+  const rateLimited = registry.counter('otp_rate_limited_total', 'Requests rejected by a rate limit.', ['action']);
+  const lockouts = registry.counter('otp_lockouts_total', 'Identifiers locked after too many wrong codes.');
+  const expired = registry.counter('otp_expired_total', 'Codes that expired before being used.');
+  const deliveryRetries = registry.counter('otp_delivery_retries_total', 'Outbox delivery attempts that failed and were rescheduled.', ['channel']);
+  const deliveryDuration = registry.histogram('otp_delivery_duration_seconds', 'Time spent handing an OTP to the transport.', ['channel']);
+  // Tracked from events so a scrape never walks the store; codes that expire unseen are pruned here.
+  registry.gauge('otp_active_codes', 'Unexpired codes issued by this instance.', () => {
+    const now = clock.now();
+    for (const [key, expireAt] of activeCodes) {
+      if (now > expireAt) activeCodes.delete(key);
+    }
+    return activeCodes.size;
+  });
+  const codeKey = (event) => `${event.purpose}:${event.identifier}`;
+
+  const handlers = {
+    [OTP_EVENTS.SENT]: (event) => {
+      activeCodes.set(codeKey(event), event.expireAt);
+      sent.inc(event);
+      deliveryDuration.observe(event, event.deliveryMs / 1000);
+    },
+    [OTP_EVENTS.SEND_FAILED]: (event) => {
+      sendFailures.inc({ reason: event.reason, channel: channelLabel(event.channel) });
+      if (event.reason === 'delivery_failed') {
+        deliveryFailures.inc(event);
+      }
+    },
+    [OTP_EVENTS.VERIFIED]: (event) => {
+      if (event.method === 'code' || event.method === 'magic_link') activeCodes.delete(codeKey(event));
+      verifications.inc({ outcome: 'success', method: event.method });
+    },
+    [OTP_EVENTS.VERIFY_FAILED]: (event) => verifications.inc({ outcome: 'failure', reason: event.reason, method: event.method || 'code' }),
+    [OTP_EVENTS.DELIVERY_RETRY]: (event) => deliveryRetries.inc(event),
+    [OTP_EVENTS.RATE_LIMITED]: (event) => rateLimited.inc(event),
+    [OTP_EVENTS.LOCKED]: (event) => {
+      if (event.method !== 'totp') activeCodes.delete(codeKey(event));
+      lockouts.inc();
+    },
+    [OTP_EVENTS.EXPIRED]: (event) => {
+      activeCodes.delete(codeKey(event));
+      expired.inc();
+    }
+  };
+
+  return {
+    record(event) {
+      handlers[event.type]?.(event);
+    },
+
+    recordRateLimit(action) {
+      rateLimited.inc({ action });
+    },
+
+    render: registry.render
+  };
+}
@@ -1,168 +1,1389 @@
-import nodemailer from 'nodemailer';
+import crypto from 'crypto';
 import express from 'express';
 import {
   generateOTP, 
-  validateEmail, 
+  normalizeOTP,
+  normalizeIdentifier,
+  detectIdentifierType,
+  validateIdentifier,
   validateOTP, 
   createResponse, 
-  createEmailTemplate,
-  checkRateLimit
+  createErrorResponse,
+  getResponseStatus
 } from '../../lib/utils.js';
-import { DEFAULT_CONFIG } from '../../lib/types.js';
+import { DEFAULT_CONFIG, ERROR_CODES, OTP_EVENTS, OTP_PURPOSES } from '../../lib/types.js';
+import { resolveConfig } from '../config/index.js';
+import { MESSAGES, createTranslator, parseAcceptLanguage, resolveLocale } from '../../lib/i18n.js';
+import { createStore, isStore } from '../stores/index.js';
+import { createOtpHasher, safeCompare } from '../security/otp-hash.js';
+import { createChannels, createCaptureTransport } from '../transports/index.js';
+import { createEmailPolicy } from '../policy/index.js';
+export {
+  generateTotpSecret,
+  generateTotp,
+  createOtpauthUri
+} from '../security/totp.js';
+import { createTotpManager } from './totp-manager.js';
+import { createRecoveryCodeManager } from './recovery-code-manager.js';
+import { createEventBus } from './event-bus.js';
+import { createAuditLog } from './audit-log.js';
+import { createOtpMetrics } from './otp-metrics.js';
+import { createDeliveryOutbox } from './delivery-outbox.js';
+import { isLocked, getLockoutDuration, createLockedResponse } from './lockout.js';
+import { createVerificationTokens, resolveTokenKeys } from '../security/verification-token.js';
+import { createMagicLinkTokens } from '../security/magic-link.js';
+import { createSecretBox } from '../security/secret-box.js';
+import {
+  createRateLimiter,
+  createClientIpResolver,
+  setRateLimitHeaders
+} from '../rate-limit/index.js';
+import { createTemplateRegistry } from '../templates/index.js';
+
+const OTP_KEY_PREFIX = 'otp:';
+const EXPIRED_CODE_GRACE_MS = 60 * 60 * 1000;
+// Stored a little past the grace period so the sweeper, not the store TTL, retires the code and reports it.
+const EXPIRED_CODE_RETENTION_MS = EXPIRED_CODE_GRACE_MS + 10 * 60 * 1000;
+
+const isEvictable = (key, value) => key.startsWith(OTP_KEY_PREFIX) && !value?.lockCount;
+
+export { createStore, createMemoryStore, createFileStore, createRedisStore } from '../stores/index.js';
+export { createTemplateRegistry } from '../templates/index.js';
+export { resolveConfig } from '../config/index.js';
+export { createEmailPolicy, DISPOSABLE_DOMAINS } from '../policy/index.js';
+export { createAuditSink, createMemoryAuditSink, createFileAuditSink, maskIdentifier } from '../audit/index.js';
+export {
+  createTransport,
+  createSmtpTransport,
+  createSmsTransport,
+  createWebhookTransport,
+  createConsoleTransport,
+  createFileTransport,
+  createCaptureTransport,
+  verifyWebhookSignature
+} from '../transports/index.js';
+
+const IDENTIFIER_ERRORS = {
+  email: ERROR_CODES.EMAIL_INVALID,
+  phone: ERROR_CODES.PHONE_INVALID
+};
+
+const getScopeKey = (identifier, purpose) => {
+  return purpose === OTP_PURPOSES.DEFAULT ? identifier : `${purpose}:${identifier}`;
+};
+
+const readIdentifier = (body = {}) => {
+  if (body.identifier) {
+    return { identifier: body.identifier, identifierType: body.identifierType };
+  }
+  if (body.phone) {
+    return { identifier: body.phone, identifierType: 'phone' };
+  }
+  return { identifier: body.email, identifierType: body.email ? 'email' : undefined };
+};
+
+const resolvePurpose = (config, purpose = OTP_PURPOSES.DEFAULT) => {
+  const settings = Object.hasOwn(config.purposes, purpose) ? config.purposes[purpose] : null;
+  if (!settings && purpose !== OTP_PURPOSES.DEFAULT) {
+    return null;
+  }
+
+  return {
+    name: purpose,
+    otpLength: settings?.otpLength ?? config.otpLength,
+    otpFormat: { ...config.otpFormat, ...settings?.otpFormat },
+    expiryMinutes: settings?.expiryMinutes ?? config.expiryMinutes,
+    template: settings?.template || {}
+  };
+};
+
+const hasCode = (entry) => Boolean(entry?.otpHash || entry?.otp || entry?.linkHash);
+
+const burnCode = (entry) => ({ ...entry, otp: null, otpHash: null, linkHash: null, sealed: null, previous: null });
+
+const isInGracePeriod = (entry, now = Date.now()) => Boolean(entry?.previous) && now <= entry.previous.validUntil;
+
+const appendQuery = (url, params) => {
+  const query = new URLSearchParams(params).toString();
+  return `${url}${url.includes('?') ? '&' : '?'}${query}`;
+};
+
+const getEntryTtl = (entry, lockout, now = Date.now()) => {
+  let ttl = hasCode(entry) ? entry.expireAt + EXPIRED_CODE_RETENTION_MS - now : 0;
+  if (entry.lockCount) {
+    ttl = Math.max(ttl, Math.max(entry.lockedUntil || 0, now) + lockout.resetAfterMs - now);
+  }
+  return Math.max(ttl, 1);
+};
+
+const retireCode = (entry, lockout, now = Date.now()) => {
+  if (!entry.lockCount) {
+    return { delete: true };
+  }
+  const burned = { ...burnCode(entry), attempts: 0 };
+  return { value: burned, ttlMs: getEntryTtl(burned, lockout, now) };
+};
+
+const sendResult = (res, result) => {
+  if (!result.success && result.data?.retryAfter) {
+    res.set('Retry-After', String(result.data.retryAfter));
+  }
+  return res.status(getResponseStatus(result)).json(result);
+};
 
 export function otpMiddleware(options = {}) {
-  const config = { ...DEFAULT_CONFIG, ...options };
-  const otpStore = new Map();  const rateLimitStore = new Map();  
-  const transporter = nodemailer.createTransport({
-    service: config.emailConfig?.service || 'gmail',
-    auth: {
-      user: config.emailConfig?.user || process.env.EMAIL,
-      pass: config.emailConfig?.pass || process.env.PASSWORD
+  const config = resolveConfig(options);
+  const lockout = config.lockout;
+  const hasher = createOtpHasher({
+    secret: config.otpSecret,
+    acceptPlaintext: config.acceptPlaintextOtps
+  });
+  const { clock } = config;
+  const otpStore = createStore(config.store, { clock, evictable: isEvictable, ...config.storeOptions });
+  const ownsStore = !isStore(config.store);
+  const rateLimitConfig = config.rateLimit;
+  const getClientIp = createClientIpResolver(rateLimitConfig?.trustProxy);
+  const rateLimiters = rateLimitConfig
+    ? {
+        send: createRateLimiter({ store: otpStore, name: 'send', rules: rateLimitConfig.send, clock }),
+        verify: createRateLimiter({ store: otpStore, name: 'verify', rules: rateLimitConfig.verify, clock })
+      }
+    : {};
+  const devOutbox = config.devOutbox ? createCaptureTransport({ maxMessages: config.devOutbox.maxMessages }) : null;
+  const channels = devOutbox
+    ? Object.fromEntries(['email', ...Object.keys(config.channels)].map((name) => [name, devOutbox]))
+    : createChannels(config.channels, config.emailConfig);
+  const templates = createTemplateRegistry({
+    templates: config.templates,
+    purposes: config.purposes,
+    brand: config.brand,
+    defaultLocale: config.defaultLocale
+  });
+  const tokenConfig = config.verificationToken;
+  const verificationTokens = createVerificationTokens({
+    ...tokenConfig,
+    keys: resolveTokenKeys(
+      { keys: tokenConfig.keys, otpSecret: config.otpSecret },
+      hasher.deriveKey('verification-token')
+    ),
+    clock
+  });
+  const magicLinkConfig = config.magicLink;
+  const magicLinks = createMagicLinkTokens(hasher.deriveKey('magic-link'), clock);
+  const resendConfig = config.resend;
+  const emailPolicy = createEmailPolicy(config.emailPolicy);
+  const identifierOptions = {
+    defaultRegion: config.identifiers.defaultRegion,
+    foldPlusAddressing: config.emailPolicy.foldPlusAddressing
+  };
+  const codeBox = createSecretBox(hasher.deriveKey('resend-code'));
+  const totpConfig = config.totp;
+  const totp = createTotpManager({
+    store: otpStore,
+    hasher,
+    config: totpConfig,
+    maxAttempts: config.maxAttempts,
+    lockout,
+    clock
+  });
+  const events = createEventBus(config.events, clock);
+  const auditLog = config.audit
+    ? createAuditLog({ hasher, config: config.audit })
+    : null;
+  if (auditLog) {
+    events.on('*', auditLog.record);
+  }
+  
+  const metrics = config.metrics ? createOtpMetrics({ channels: Object.keys(channels), clock }) : null;
+  if (metrics) {
+    events.on('*', metrics.record);
+  }
+  const recoveryCodes = createRecoveryCodeManager({
+    store: otpStore,
+    hasher,
+    config: config.recoveryCodes,
+    clock
+  });
+  
+  const availableLocales = [...new Set([
+    ...Object.keys(MESSAGES),
+    ...Object.keys(config.messages || {}),
+    ...Object.values(config.templates || {}).flatMap(Object.keys)
+  ])];
+  
+  const getRequestLocale = (req) => {
+    const requested = config.locale || parseAcceptLanguage(req.get?.('accept-language'));
+    return resolveLocale(requested, availableLocales, config.defaultLocale);
+  };
+  
+  const getTranslator = (locale) => {
+    const resolved = resolveLocale(locale, availableLocales, config.defaultLocale);
+    return createTranslator(resolved, config.messages?.[resolved]);
+  };
+  
+  const resolveIdentifier = (identifier, requestedType, t) => {
+    const { types } = config.identifiers;
+    const type = requestedType || (types.length === 1 ? types[0] : detectIdentifierType(identifier));
+    if (!types.includes(type)) {
+      return {
+        reason: 'unsupported_identifier',
+        error: createErrorResponse(ERROR_CODES.IDENTIFIER_TYPE_UNSUPPORTED, t('IDENTIFIER_TYPE_UNSUPPORTED'))
+      };
+    }
+    
+    const validation = validateIdentifier(identifier, { ...identifierOptions, type }, t);
+    if (!validation.isValid) {
+      return { reason: `invalid_${type}`, error: createErrorResponse(IDENTIFIER_ERRORS[type], validation.error) };
+    }
+    return { identifier: validation.value, address: validation.address, type };
+  };
+  
+  const toIdentifierKey = (identifier) => normalizeIdentifier(identifier, identifierOptions);
+  
+  const withIdentifier = (t, failureId, handler) => async (identifier, ...args) => {
+    try {
+      const resolved = resolveIdentifier(identifier, null, t);
+      if (resolved.error) {
+        return resolved.error;
+      }
+      return await handler(resolved.identifier, ...args);
+    } catch (error) {
+      console.error(`OTP helper failed (${failureId}):`, error);
+      return createErrorResponse(ERROR_CODES.INTERNAL_ERROR, t(failureId));
+    }
+  };
+  
+  const withTotpCode = (t, failureId, handler) => withIdentifier(t, failureId, (identifier, code, ...args) => {
+    const codeValidation = validateOTP(code, totpConfig.digits, t);
+    if (!codeValidation.isValid) {
+      return createErrorResponse(ERROR_CODES.OTP_FORMAT_INVALID, codeValidation.error);
     }
+    return handler(identifier, normalizeOTP(code), ...args);
   });
-    return (req, res, next) => {
-    req.sendOtp = async (email, customTemplate = {}) => {      try {
-        const emailValidation = validateEmail(email);
-        if (!emailValidation.isValid) {
-          return createResponse(false, emailValidation.error);        }
-        
-        if (config.rateLimit) {
-          const rateLimitResult = checkRateLimit(
-            rateLimitStore,
-            email,
-            config.rateLimit.maxAttempts,
-            config.rateLimit.windowMs
-          );
-          
-          if (!rateLimitResult.allowed) {
-            return createResponse(false, rateLimitResult.error);
-          }        }
+  
+  // Wrong OTPs and wrong recovery codes share one attempt counter and lockout per identifier and purpose.
+  const countWrongCode = (current, now, minTtlMs = 0) => {
+    const attempts = (current?.attempts || 0) + 1;
+    if (attempts >= config.maxAttempts) {
+      const lockCount = (current?.lockCount || 0) + 1;
+      const locked = {
+        ...burnCode(current),
+        attempts: 0,
+        lockCount,
+        lockedUntil: now + getLockoutDuration(lockCount, lockout)
+      };
+      return { outcome: 'locked_now', entry: locked, value: locked, ttlMs: getEntryTtl(locked, lockout, now) };
+    }
+    
+    const updated = { ...current, attempts };
+    return { outcome: 'invalid', entry: updated, value: updated, ttlMs: Math.max(getEntryTtl(updated, lockout, now), minTtlMs) };
+  };
+  
+  const issueCode = (identifier, purpose, scopeKey, mode, now = clock.now()) => {
+    const expireAt = now + (purpose.expiryMinutes * 60 * 1000);
+    const otp = mode !== 'link' || magicLinkConfig.includeCode
+      ? generateOTP(purpose.otpLength, purpose.otpFormat, crypto.randomInt)
+      : null;
+    
+    let link = null;
+    let linkHash = null;
+    if (mode === 'link') {
+      const { token, nonce } = magicLinks.create({ identifier, purpose: purpose.name, expireAt });
+      link = appendQuery(magicLinkConfig.url, { token });
+      linkHash = hasher.hash(scopeKey, `link:${nonce}`);
+    }
+    
+    return {
+      otp,
+      link,
+      fields: {
+        otp: null,
+        otpHash: otp ? hasher.hash(scopeKey, normalizeOTP(otp, purpose.otpFormat)) : null,
+        linkHash,
+        expireAt,
+        sealed: resendConfig.policy === 'reuse' ? codeBox.seal(JSON.stringify({ otp, link })) : null
+      }
+    };
+  };
+  
+  const matchesCode = (scopeKey, otp, entry, now = clock.now()) => {
+    if (hasher.verify(scopeKey, otp, entry)) {
+      return true;
+    }
+    return isInGracePeriod(entry, now) && hasher.verify(scopeKey, otp, entry.previous);
+  };
+  
+  const createEmitter = (req, identifier, startedAt = Date.now()) => (type, details = {}) => {
+    return events.emit(type, {
+      identifier,
+      ip: req.ip,
+      userAgent: req.get?.('user-agent'),
+      durationMs: Date.now() - startedAt,
+      ...details
+    });
+  };
+  
+  const sweepExpiredCodes = async (req = null) => {
+    const now = clock.now();
+    let removed = 0;
+    
+    for (const key of await otpStore.scan(OTP_KEY_PREFIX)) {
+      const { data } = await otpStore.update(key, (current) => {
+        if (!hasCode(current) || now <= current.expireAt + EXPIRED_CODE_GRACE_MS) return { data: null };
+        return { data: current, ...retireCode(current, lockout, now) };
+      });
+      if (!data) continue;
+      
+      const emit = req
+        ? createEmitter(req, data.identifier)
+        : (type, details) => events.emit(type, { identifier: data.identifier, ...details });
+      emit(OTP_EVENTS.EXPIRED, {
+        purpose: data.purpose,
+        expireAt: data.expireAt,
+        source: req ? 'cleanup' : 'sweeper'
+      });
+      removed++;
+    }
+    
+    await otpStore.sweep?.();
+    return removed;
+  };
+  
+  const discardUndeliveredCode = ({ context }) => otpStore.update(context.key, (entry) => {
+    if (!entry || entry.deliveryId !== context.deliveryId) return null;
+    return retireCode(entry, lockout, clock.now());
+  });
+  
+  const emitDeliveryEvent = ({ identifier, ip, userAgent }, type, details) => {
+    return events.emit(type, { identifier, ip, userAgent, ...details });
+  };
+  
+  const outbox = config.delivery.mode === 'outbox'
+    ? createDeliveryOutbox({
+        store: otpStore,
+        box: createSecretBox(hasher.deriveKey('delivery-outbox')),
+        channels,
+        config: config.delivery,
+        clock,
+        onDelivered: ({ context, attempts }, deliveryMs) => {
+          emitDeliveryEvent(context, OTP_EVENTS.SENT, { ...context.sent, deliveryId: context.deliveryId, attempts, deliveryMs });
+        },
+        onRetry: ({ context, channel, attempts, nextAttemptAt }, error) => {
+          emitDeliveryEvent(context, OTP_EVENTS.DELIVERY_RETRY, {
+            purpose: context.sent.purpose,
+            channel,
+            deliveryId: context.deliveryId,
+            attempts,
+            nextAttemptAt,
+            error: error.message
+          });
+        },
+        onDeadLetter: async (job, error) => {
+          emitDeliveryEvent(job.context, OTP_EVENTS.SEND_FAILED, {
+            purpose: job.context.sent.purpose,
+            channel: job.channel,
+            reason: 'delivery_failed',
+            deliveryId: job.context.deliveryId,
+            attempts: job.attempts,
+            error: error.message
+          });
+          if (!job.context.sent.reused) {
+            await discardUndeliveredCode(job);
+          }
+        }
+      })
+    : null;
+  
+  const sweeperConfig = config.sweeper;
+  const sweepTimer = sweeperConfig.intervalMs > 0
+    ? setInterval(() => {
+        sweepExpiredCodes().catch((error) => console.error('OTP sweep failed:', error));
+      }, sweeperConfig.intervalMs)
+    : null;
+  sweepTimer?.unref?.();
+  
+  const middleware = (req, res, next) => {
+    req.otpLocale = getRequestLocale(req);
+    const t = getTranslator(req.otpLocale);
+    req.translateOtp = t;
+    
+    const consumeRateLimit = async (action, identifier, t, emit, purpose) => {
+      const limiter = rateLimiters[action];
+      if (!limiter) {
+        return null;
+      }
+      
+      const result = await limiter.consume({ ip: getClientIp(req), identifier });
+      setRateLimitHeaders(res, result);
+      if (result.allowed) {
+        return null;
+      }
+      
+      const retryAfter = Math.ceil(result.resetMs / 1000);
+      emit(OTP_EVENTS.RATE_LIMITED, { purpose, action, rule: result.rule, resetTime: clock.now() + result.resetMs });
+      return createErrorResponse(
+        ERROR_CODES.RATE_LIMITED,
+        t('RATE_LIMITED', { minutes: Math.ceil(retryAfter / 60) }),
+        { retryAfter }
+      );
+    };
+    
+    const sendCode = async (input, sendOptions, isResend) => {
+      const {
+        identifierType: requestedType,
+        purpose: requestedPurpose,
+        channel: requestedChannel,
+        mode: requestedMode = 'code',
+        to: requestedTo,
+        locale,
+        template,
+        ...legacyTemplate
+      } = sendOptions;
+      const customTemplate = template || legacyTemplate;
+      const messageLocale = locale || req.otpLocale;
+      const t = getTranslator(messageLocale);
+      let emit = createEmitter(req, input);
+      let purposeName = requestedPurpose;
+      let channelName = requestedChannel || config.defaultChannel;
+      const fail = (reason, response, details = {}) => {
+        emit(OTP_EVENTS.SEND_FAILED, { purpose: purposeName, channel: channelName, reason, ...details });
+        return response;
+      };
+      
+      try {
+        const resolved = resolveIdentifier(input, requestedType, t);
+        if (resolved.error) {
+          return fail(resolved.reason, resolved.error);
+        }
+        const { identifier, address, type: identifierType } = resolved;
+        emit = createEmitter(req, identifier);
+        
+        const rejection = identifierType === 'email' ? emailPolicy.check(identifier) : null;
+        if (rejection) {
+          return fail('email_rejected', createErrorResponse(
+            ERROR_CODES.EMAIL_NOT_ALLOWED,
+            t(rejection === 'disposable' ? 'EMAIL_DISPOSABLE' : 'EMAIL_NOT_ALLOWED'),
+            { reason: rejection }
+          ), { policy: rejection });
+        }
+        channelName = requestedChannel || config.identifiers.defaultChannels[identifierType] || config.defaultChannel;
+        
+        const purpose = resolvePurpose(config, purposeName);
+        if (!purpose) {
+          return fail('invalid_purpose', createErrorResponse(ERROR_CODES.PURPOSE_INVALID, t('INVALID_PURPOSE')));
+        }
+        purposeName = purpose.name;
+        const scopeKey = getScopeKey(identifier, purpose.name);
+        const key = OTP_KEY_PREFIX + scopeKey;
+        const existing = await otpStore.get(key);
+        const active = hasCode(existing) && clock.now() <= existing.expireAt ? existing : null;
+        const isReissue = isResend && Boolean(active);
+        if (isReissue && !requestedChannel && active.channel) {
+          channelName = active.channel;
+        }
+        const mode = isReissue ? active.mode || 'code' : requestedMode;
+        const to = requestedTo || (isReissue ? active.to : null);
+        
+        const channel = Object.hasOwn(channels, channelName) ? channels[channelName] : null;
+        if (!channel) {
+          return fail('invalid_channel', createErrorResponse(ERROR_CODES.CHANNEL_INVALID, t('INVALID_CHANNEL')));
+        }
+        
+        if (mode === 'link' && !magicLinkConfig.url) {
+          return fail('magic_link_disabled', createErrorResponse(ERROR_CODES.MAGIC_LINK_DISABLED, t('MAGIC_LINK_DISABLED')));
+        }
+        
+        const now = clock.now();
+        if (isLocked(existing, now)) {
+          return fail('locked', createLockedResponse(existing, t, now));
+        }
+        
+        const failCooldown = ({ resendAvailableAt }) => {
+          const retryAfter = Math.ceil((resendAvailableAt - now) / 1000);
+          return fail('cooldown', createErrorResponse(
+            ERROR_CODES.RESEND_COOLDOWN,
+            t('RESEND_COOLDOWN', { seconds: retryAfter }),
+            { retryAfter, resendAvailableAt }
+          ));
+        };
+        
+        if (active && now < active.resendAvailableAt) {
+          return failCooldown(active);
+        }
+        
+        if (active && (active.resends || 0) >= resendConfig.maxResends) {
+          return fail('resend_limit', createErrorResponse(
+            ERROR_CODES.RESEND_LIMIT_REACHED,
+            t('RESEND_LIMIT_REACHED'),
+            { retryAfter: Math.ceil((active.expireAt - now) / 1000), resendsRemaining: 0 }
+          ));
+        }
+        
+        const rateLimited = await consumeRateLimit('send', identifier, t, emit, purposeName);
+        if (rateLimited) {
+          return fail('rate_limited', rateLimited);
+        }
         
-        const otp = generateOTP(config.otpLength);        const expireAt = Date.now() + (config.expiryMinutes * 60 * 1000);
+        const reused = isReissue && resendConfig.policy === 'reuse' && active.sealed
+          ? JSON.parse(codeBox.open(active.sealed))
+          : null;
+        const code = reused
+          ? { otp: reused.otp, link: reused.link, fields: {} }
+          : issueCode(identifier, purpose, scopeKey, mode, now);
+        const resends = active ? (active.resends || 0) + 1 : 0;
         
-        otpStore.set(email, { otp, expireAt });        
-        const emailTemplate = createEmailTemplate(
-          otp, 
-          config.expiryMinutes, 
-          customTemplate        );
+        const deliveryId = outbox ? crypto.randomUUID() : null;
+        const issued = {
+          identifier,
+          identifierType,
+          purpose: purpose.name,
+          ...(isReissue ? active : {}),
+          ...code.fields,
+          deliveryId,
+          mode,
+          channel: channelName,
+          to: to || null,
+          resends,
+          resendAvailableAt: now + resendConfig.cooldownSeconds * 1000,
+          previous: isReissue && !reused && resendConfig.graceSeconds > 0
+            ? { otpHash: active.otpHash, linkHash: active.linkHash, validUntil: now + resendConfig.graceSeconds * 1000 }
+            : null
+        };
         
-        await transporter.sendMail({
-          from: config.emailConfig?.user || process.env.EMAIL,
-          to: email,
+        const stored = await otpStore.update(key, (current) => {
+          if (isLocked(current, now)) {
+            return { outcome: 'locked', entry: current };
+          }
+          if (hasCode(current) && current.resendAvailableAt !== existing?.resendAvailableAt) {
+            return { outcome: 'cooldown', entry: current };
+          }
+          
+          // Replacing a live code keeps its wrong attempts, as do attempt-only entries left by recovery codes.
+          const keepsAttempts = !hasCode(current) || now <= current.expireAt;
+          const next = {
+            ...issued,
+            attempts: keepsAttempts ? current?.attempts || 0 : 0,
+            lockCount: current?.lockCount || 0,
+            lockedUntil: current?.lockedUntil || null
+          };
+          return { outcome: 'stored', entry: next, value: next, ttlMs: getEntryTtl(next, lockout, now) };
+        });
+        if (stored.outcome === 'locked') {
+          return fail('locked', createLockedResponse(stored.entry, t, now));
+        }
+        if (stored.outcome === 'cooldown') {
+          return failCooldown(stored.entry);
+        }
+        const { entry } = stored;
+        const expiryMinutes = Math.ceil((entry.expireAt - now) / 60000);
+        const emailTemplate = templates.render(purpose.name, {
+          locale: messageLocale,
+          template: customTemplate,
+          otp: code.otp,
+          link: code.link,
+          expiryMinutes,
+          identifier,
+          [identifierType]: address,
+          ip: req.ip
+        });
+        
+        const message = {
+          channel: channelName,
+          to: to || address,
+          purpose: purpose.name,
+          otp: code.otp,
+          link: code.link,
+          expiryMinutes,
+          locale: emailTemplate.locale,
           subject: emailTemplate.subject,
           html: emailTemplate.html,
           text: emailTemplate.text
-        });
+        };
+        const sent = {
+          purpose: purpose.name,
+          channel: channelName,
+          mode,
+          expireAt: entry.expireAt,
+          resend: isReissue,
+          reused: Boolean(reused)
+        };
+        
+        let delivery;
+        if (outbox) {
+          const status = await outbox.enqueue({
+            id: deliveryId,
+            channel: channelName,
+            message,
+            expireAt: entry.expireAt,
+            context: { key, deliveryId, sent, identifier, ip: req.ip, userAgent: req.get?.('user-agent') }
+          });
+          delivery = { id: status.id, status: status.status };
+        } else {
+          const deliveryStartedAt = Date.now();
+          try {
+            await channel.send(message);
+          } catch (error) {
+            console.error('OTP delivery error:', error);
+            await otpStore.update(key, (current) => {
+              if (current?.resendAvailableAt !== entry.resendAvailableAt || isLocked(current, clock.now())) {
+                return null;
+              }
+              if (!existing) {
+                return { delete: true };
+              }
+              const restored = { ...existing, lockCount: current.lockCount, lockedUntil: current.lockedUntil };
+              return { value: restored, ttlMs: getEntryTtl(restored, lockout, clock.now()) };
+            });
+            return fail('delivery_failed', createErrorResponse(ERROR_CODES.DELIVERY_FAILED, t('SEND_FAILED')), { error: error.message });
+          }
+          emit(OTP_EVENTS.SENT, { ...sent, deliveryMs: Date.now() - deliveryStartedAt });
+        }
         
-        return createResponse(true, 'OTP sent successfully!', { email });
+        const messageId = isReissue ? 'OTP_RESENT' : mode === 'link' ? 'LINK_SENT' : 'OTP_SENT';
+        return createResponse(true, t(messageId), {
+          [identifierType]: identifier,
+          identifier,
+          identifierType,
+          purpose: purpose.name,
+          channel: channelName,
+          mode,
+          resendAvailableAt: entry.resendAvailableAt,
+          resendsRemaining: Math.max(resendConfig.maxResends - resends, 0),
+          ...(delivery && { delivery })
+        });
         
       } catch (error) {
         console.error('Send OTP error:', error);
-        return createResponse(false, 'Failed to send OTP. Please try again later.');
+        return fail('error', createErrorResponse(ERROR_CODES.INTERNAL_ERROR, t(isResend ? 'RESEND_FAILED' : 'SEND_FAILED')), { error: error.message });
       }
     };
-      req.verifyOtp = (email, otp) => {
+    
+    req.sendOtp = (identifier, sendOptions = {}) => sendCode(identifier, sendOptions, false);
+    req.resendOtp = (identifier, resendOptions = {}) => sendCode(identifier, resendOptions, true);
+    
+      req.verifyOtp = async (input, otp, verifyOptions = {}) => {
+      const t = getTranslator(verifyOptions.locale || req.otpLocale);
+      let emit = createEmitter(req, input);
+      let purposeName = verifyOptions.purpose;
+      const method = verifyOptions.recoveryCode ? 'recovery' : undefined;
+      const fail = (reason, response, details = {}) => {
+        emit(OTP_EVENTS.VERIFY_FAILED, { purpose: purposeName, reason, ...(method && { method }), ...details });
+        return response;
+      };
+      
       try {
-        const emailValidation = validateEmail(email);
-        if (!emailValidation.isValid) {
-          return createResponse(false, emailValidation.error);
+        const resolved = resolveIdentifier(input, verifyOptions.identifierType, t);
+        if (resolved.error) {
+          return fail(resolved.reason, resolved.error);
         }
+        const { identifier, type: identifierType } = resolved;
+        emit = createEmitter(req, identifier);
+        
+        const purpose = resolvePurpose(config, verifyOptions.purpose);
+        if (!purpose) {
+          return fail('invalid_purpose', createErrorResponse(ERROR_CODES.PURPOSE_INVALID, t('INVALID_PURPOSE')));
+        }
+        purposeName = purpose.name;
+        
+        const rateLimited = await consumeRateLimit('verify', identifier, t, emit, purposeName);
+        if (rateLimited) {
+          return fail('rate_limited', rateLimited);
+        }
+        
+        const scopeKey = getScopeKey(identifier, purpose.name);
+        const key = OTP_KEY_PREFIX + scopeKey;
         
-        const otpValidation = validateOTP(otp, config.otpLength);
+        if (verifyOptions.recoveryCode) {
+          const now = clock.now();
+          const entry = await otpStore.get(key);
+          if (isLocked(entry, now)) {
+            return fail('locked', createLockedResponse(entry, t, now));
+          }
+          
+          const recoveryResult = await recoveryCodes.consume(identifier, otp, t);
+          if (recoveryResult.code === ERROR_CODES.RECOVERY_CODE_INVALID) {
+            const { outcome, entry: failed } = await otpStore.update(key, (current) => {
+              if (isLocked(current, now)) {
+                return { outcome: 'locked', entry: current };
+              }
+              return countWrongCode(current, now, purpose.expiryMinutes * 60 * 1000);
+            });
+            if (outcome === 'locked') {
+              return fail('locked', createLockedResponse(failed, t, now));
+            }
+            if (outcome === 'locked_now') {
+              emit(OTP_EVENTS.LOCKED, { purpose: purpose.name, method, lockCount: failed.lockCount, lockedUntil: failed.lockedUntil });
+              return fail('invalid_recovery_code', createLockedResponse(failed, t, now), { attemptsRemaining: 0 });
+            }
+            
+            const attemptsRemaining = config.maxAttempts - failed.attempts;
+            return fail('invalid_recovery_code', createErrorResponse(
+              ERROR_CODES.RECOVERY_CODE_INVALID,
+              recoveryResult.message,
+              { attemptsRemaining }
+            ), { attemptsRemaining });
+          }
+          if (!recoveryResult.success) {
+            return fail('invalid_recovery_code', recoveryResult);
+          }
+          
+          const { token, expiresAt } = verificationTokens.sign({ identifier, identifierType, purpose: purpose.name, verifiedAt: now });
+          emit(OTP_EVENTS.VERIFIED, { purpose: purpose.name, method });
+          return createResponse(true, t('RECOVERY_CODE_ACCEPTED'), {
+            [identifierType]: identifier,
+            identifier,
+            identifierType,
+            purpose: purpose.name,
+            method,
+            recoveryCodesRemaining: recoveryResult.data.remaining,
+            token,
+            tokenExpiresAt: expiresAt
+          });
+        }
+        
+        const otpValidation = validateOTP(otp, purpose.otpLength, t, purpose.otpFormat);
         if (!otpValidation.isValid) {
-          return createResponse(false, otpValidation.error);        }
+          return fail('invalid_format', createErrorResponse(ERROR_CODES.OTP_FORMAT_INVALID, otpValidation.error));
+        }
         
-        const storeData = otpStore.get(email);
-        if (!storeData) {
-          return createResponse(false, 'OTP not found for this email. Please request a new OTP.');
+        const code = normalizeOTP(otp, purpose.otpFormat);
+        const now = clock.now();
+        const { outcome, entry } = await otpStore.update(key, (current) => {
+          if (isLocked(current, now)) {
+            return { outcome: 'locked', entry: current };
+          }
+          if (!hasCode(current)) {
+            return { outcome: 'not_found' };
+          }
+          if (now > current.expireAt) {
+            return { outcome: 'expired', entry: current, ...retireCode(current, lockout, now) };
+          }
+          if (matchesCode(scopeKey, code, current, now)) {
+            return { outcome: 'verified', entry: current, delete: true };
+          }
+          return countWrongCode(current, now);
+        });
+        
+        if (outcome === 'locked') {
+          return fail('locked', createLockedResponse(entry, t, now));
         }
-          const { otp: storedOtp, expireAt } = storeData;
         
-        if (Date.now() > expireAt) {
-          otpStore.delete(email);
-          return createResponse(false, 'OTP has expired. Please request a new OTP.');        }
+        if (outcome === 'not_found') {
+          return fail('not_found', createErrorResponse(ERROR_CODES.OTP_NOT_FOUND, t('OTP_NOT_FOUND')));
+        }
         
-        if (storedOtp === otp) {
-          otpStore.delete(email);
-          return createResponse(true, 'OTP verified successfully!', { email });
-        } else {
-          return createResponse(false, 'Invalid OTP. Please try again.');
+        if (outcome === 'expired') {
+          emit(OTP_EVENTS.EXPIRED, { purpose: purpose.name, expireAt: entry.expireAt });
+          return fail('expired', createErrorResponse(ERROR_CODES.OTP_EXPIRED, t('OTP_EXPIRED')));
         }
         
+        if (outcome === 'verified') {
+          const { token, expiresAt } = verificationTokens.sign({ identifier, identifierType, purpose: purpose.name, verifiedAt: now });
+          emit(OTP_EVENTS.VERIFIED, { purpose: purpose.name, method: 'code', attempts: (entry.attempts || 0) + 1 });
+          return createResponse(true, t('OTP_VERIFIED'), {
+            [identifierType]: identifier,
+            identifier,
+            identifierType,
+            purpose: purpose.name,
+            token,
+            tokenExpiresAt: expiresAt
+          });
+        }
+        
+        if (outcome === 'locked_now') {
+          emit(OTP_EVENTS.LOCKED, { purpose: purpose.name, lockCount: entry.lockCount, lockedUntil: entry.lockedUntil });
+          return fail('invalid_code', createLockedResponse(entry, t, now), { attemptsRemaining: 0 });
+        }
+        
+        const attemptsRemaining = config.maxAttempts - entry.attempts;
+        return fail('invalid_code', createErrorResponse(
+          ERROR_CODES.OTP_INVALID,
+          t('INVALID_OTP_ATTEMPTS', { count: attemptsRemaining }),
+          { attemptsRemaining }
+        ), { attemptsRemaining });
+        
       } catch (error) {
         console.error('Verify OTP error:', error);
-        return createResponse(false, 'Failed to verify OTP. Please try again.');
+        return fail('error', createErrorResponse(ERROR_CODES.INTERNAL_ERROR, t('VERIFY_FAILED')), { error: error.message });
       }    };
     
-    req.cleanupExpiredOtps = () => {
-      const now = Date.now();
-      for (const [email, data] of otpStore.entries()) {
-        if (now > data.expireAt) {
-          otpStore.delete(email);
+    req.verifyVerificationToken = (token) => verificationTokens.verify(token);
+    
+    req.consumeMagicLink = async (token) => {
+      const startedAt = Date.now();
+      let emit = createEmitter(req, null, startedAt);
+      let purposeName;
+      const fail = (reason, response) => {
+        emit(OTP_EVENTS.VERIFY_FAILED, { purpose: purposeName, method: 'magic_link', reason });
+        return response;
+      };
+      
+      try {
+        const parsed = magicLinks.parse(token);
+        if (!parsed.valid) {
+          return fail(parsed.reason, parsed.reason === 'expired'
+            ? createErrorResponse(ERROR_CODES.LINK_EXPIRED, t('LINK_EXPIRED'), { reason: parsed.reason })
+            : createErrorResponse(ERROR_CODES.LINK_INVALID, t('LINK_INVALID'), { reason: parsed.reason }));
         }
+        
+        emit = createEmitter(req, parsed.identifier, startedAt);
+        purposeName = parsed.purpose;
+        const purpose = resolvePurpose(config, parsed.purpose);
+        if (!purpose) {
+          return fail('invalid', createErrorResponse(ERROR_CODES.LINK_INVALID, t('LINK_INVALID'), { reason: 'invalid' }));
+        }
+        
+        const scopeKey = getScopeKey(parsed.identifier, purpose.name);
+        const key = OTP_KEY_PREFIX + scopeKey;
+        const now = clock.now();
+        const linkHash = hasher.hash(scopeKey, `link:${parsed.nonce}`);
+        const matchesLink = (candidate) => Boolean(candidate?.linkHash) && safeCompare(linkHash, candidate.linkHash);
+        const { outcome, entry } = await otpStore.update(key, (current) => {
+          if (isLocked(current, now)) {
+            return { outcome: 'locked' };
+          }
+          if (!matchesLink(current) && !(isInGracePeriod(current, now) && matchesLink(current.previous))) {
+            return { outcome: 'used' };
+          }
+          if (now > current.expireAt) {
+            return { outcome: 'expired', entry: current, ...retireCode(current, lockout, now) };
+          }
+          return { outcome: 'verified', entry: current, delete: true };
+        });
+        
+        if (outcome === 'locked') {
+          return fail('locked', createErrorResponse(ERROR_CODES.LOCKED, t('LINK_LOCKED'), { reason: 'locked' }));
+        }
+        
+        if (outcome === 'used') {
+          return fail('used', createErrorResponse(ERROR_CODES.LINK_USED, t('LINK_USED'), { reason: 'used' }));
+        }
+        
+        if (outcome === 'expired') {
+          emit(OTP_EVENTS.EXPIRED, { purpose: purpose.name, expireAt: entry.expireAt });
+          return fail('expired', createErrorResponse(ERROR_CODES.LINK_EXPIRED, t('LINK_EXPIRED'), { reason: 'expired' }));
+        }
+        
+        emit(OTP_EVENTS.VERIFIED, { purpose: purpose.name, method: 'magic_link' });
+        const identifierType = entry.identifierType || detectIdentifierType(parsed.identifier);
+        const { token: verificationToken, expiresAt } = verificationTokens.sign({
+          identifier: parsed.identifier,
+          identifierType,
+          purpose: purpose.name,
+          verifiedAt: now
+        });
+        return createResponse(true, t(identifierType === 'phone' ? 'PHONE_VERIFIED' : 'EMAIL_VERIFIED'), {
+          [identifierType]: parsed.identifier,
+          identifier: parsed.identifier,
+          identifierType,
+          purpose: purpose.name,
+          token: verificationToken,
+          tokenExpiresAt: expiresAt
+        });
+      } catch (error) {
+        console.error('Magic link error:', error);
+        return fail('error', createErrorResponse(ERROR_CODES.INTERNAL_ERROR, t('LINK_VERIFY_FAILED'), { reason: 'error' }));
       }
     };
     
+    req.enrollTotp = withIdentifier(t, 'TOTP_ENROLL_FAILED', (identifier, enrollOptions) => totp.enroll(identifier, enrollOptions, t));
+    const createTotpEmitter = (identifier, purpose) => {
+      const emit = createEmitter(req, identifier);
+      return (type, details) => emit(type, { purpose, method: 'totp', ...details });
+    };
+    
+    req.confirmTotp = withTotpCode(t, 'TOTP_CONFIRM_FAILED', (identifier, code) => (
+      totp.confirm(identifier, code, t, createTotpEmitter(identifier, OTP_PURPOSES.TWO_FACTOR))
+    ));
+    req.verifyTotp = withTotpCode(t, 'TOTP_VERIFY_FAILED', async (identifier, code, verifyOptions = {}) => {
+      const purposeName = verifyOptions.purpose || OTP_PURPOSES.TWO_FACTOR;
+      const emit = createTotpEmitter(identifier, purposeName);
+      const purpose = resolvePurpose(config, purposeName);
+      if (!purpose) {
+        emit(OTP_EVENTS.VERIFY_FAILED, { reason: 'invalid_purpose' });
+        return createErrorResponse(ERROR_CODES.PURPOSE_INVALID, t('INVALID_PURPOSE'));
+      }
+      
+      const rateLimited = await consumeRateLimit('verify', identifier, t, emit, purpose.name);
+      if (rateLimited) {
+        emit(OTP_EVENTS.VERIFY_FAILED, { reason: 'rate_limited' });
+        return rateLimited;
+      }
+      
+      const result = await totp.verify(identifier, code, t, emit);
+      if (!result.success) {
+        return result;
+      }
+      
+      const identifierType = detectIdentifierType(identifier);
+      const { token, expiresAt } = verificationTokens.sign({ identifier, identifierType, purpose: purpose.name, verifiedAt: clock.now() });
+      return createResponse(true, result.message, {
+        [identifierType]: identifier,
+        identifier,
+        identifierType,
+        purpose: purpose.name,
+        method: 'totp',
+        token,
+        tokenExpiresAt: expiresAt
+      });
+    });
+    req.disableTotp = withIdentifier(t, 'TOTP_DISABLE_FAILED', (identifier) => totp.disable(identifier, t));
+    req.getTotpStatus = (identifier) => totp.status(toIdentifierKey(identifier));
+    
+    req.generateRecoveryCodes = withIdentifier(t, 'RECOVERY_GENERATE_FAILED', (identifier) => recoveryCodes.generate(identifier, t));
+    req.consumeRecoveryCode = (identifier, code, verifyOptions = {}) => req.verifyOtp(identifier, code, { ...verifyOptions, recoveryCode: true });
+    req.revokeRecoveryCodes = withIdentifier(t, 'RECOVERY_REVOKE_FAILED', (identifier) => recoveryCodes.revoke(identifier, t));
+    req.getRecoveryCodeStatus = (identifier) => recoveryCodes.status(toIdentifierKey(identifier));
+    
+    if (auditLog) {
+      req.queryAuditLog = ({ identifier, ...filter } = {}) => auditLog.query({
+        ...filter,
+        identifier: identifier && toIdentifierKey(identifier)
+      });
+    }
+    
+    if (outbox) {
+      req.getDeliveryStatus = (deliveryId) => outbox.status(deliveryId);
+    }
+    
+    req.cleanupExpiredOtps = () => sweepExpiredCodes(req);
+    
     next();
   };
+  
+  middleware.on = events.on;
+  middleware.off = events.off;
+  middleware.metrics = metrics;
+  middleware.templates = templates;
+  middleware.config = config;
+  middleware.emailPolicy = emailPolicy;
+  middleware.normalizeIdentifier = toIdentifierKey;
+  middleware.outbox = outbox;
+  middleware.devOutbox = devOutbox;
+  middleware.sweep = () => sweepExpiredCodes();
+  middleware.close = async () => {
+    clearInterval(sweepTimer);
+    await outbox?.close();
+    await Promise.all([
+      ownsStore && otpStore.close?.(),
+      auditLog?.close(),
+      ...Object.values(channels).map((channel) => channel.close?.())
+    ]);
+  };
+  return middleware;
 }
 
 export function createOtpRoutes(options = {}) {  const router = express.Router();
   
-  router.use(otpMiddleware(options));  
+  const middleware = otpMiddleware(options);
+  const { config } = middleware;
+  router.use(middleware);
+  router.config = config;
+  router.emailPolicy = middleware.emailPolicy;
+  router.outbox = middleware.outbox;
+  router.devOutbox = middleware.devOutbox;
+  router.normalizeIdentifier = middleware.normalizeIdentifier;
+  router.on = middleware.on;
+  router.off = middleware.off;
+  router.metrics = middleware.metrics;
+  router.templates = middleware.templates;
+  router.sweep = middleware.sweep;
+  router.close = middleware.close;  
+  const getMissingMessage = (t, identifier, requiresOtp = false) => {
+    const { types } = config.identifiers;
+    if (types.length === 1 && types[0] === 'email') {
+      return t(requiresOtp ? 'EMAIL_AND_OTP_REQUIRED' : 'EMAIL_REQUIRED');
+    }
+    if (identifier) {
+      return t('OTP_REQUIRED');
+    }
+    return t(types.length === 1 ? 'PHONE_REQUIRED' : 'IDENTIFIER_REQUIRED');
+  };
+  
   router.post('/send', async (req, res) => {
-    const { email } = req.body;
+    const { purpose, channel, mode, locale } = req.body;
+    const { identifier, identifierType } = readIdentifier(req.body);
     
-    if (!email) {
-      return res.status(400).json(createResponse(false, 'Email is required'));
+    if (!identifier) {
+      return res.status(400).json(createErrorResponse(ERROR_CODES.INVALID_REQUEST, getMissingMessage(req.translateOtp)));
     }
     
-    const result = await req.sendOtp(email);
+    const result = await req.sendOtp(identifier, { identifierType, purpose, channel, mode, locale });
     
-    if (result.success) {
-      res.json(result);
-    } else {
-      res.status(400).json(result);
-    }  });
+    sendResult(res, result);
+  });
+  
+  router.post('/resend', async (req, res) => {
+    const { purpose, channel, locale } = req.body;
+    const { identifier, identifierType } = readIdentifier(req.body);
+    
+    if (!identifier) {
+      return res.status(400).json(createErrorResponse(ERROR_CODES.INVALID_REQUEST, getMissingMessage(req.translateOtp)));
+    }
+    
+    const result = await req.resendOtp(identifier, { identifierType, purpose, channel, locale });
+    sendResult(res, result);
+  });
   
-  router.post('/verify', (req, res) => {
-    const { email, otp } = req.body;
+  router.post('/verify', async (req, res) => {
+    const { otp, recoveryCode, purpose, locale } = req.body;
+    const { identifier, identifierType } = readIdentifier(req.body);
+    const useRecoveryCode = Boolean(config.recoveryCodes.enabled && recoveryCode);
     
-    if (!email || !otp) {
-      return res.status(400).json(createResponse(false, 'Email and OTP are required'));
+    if (!identifier || !(otp || useRecoveryCode)) {
+      return res.status(400).json(createErrorResponse(ERROR_CODES.INVALID_REQUEST, getMissingMessage(req.translateOtp, identifier, true)));
     }
     
-    const result = req.verifyOtp(email, otp);
+    const result = await req.verifyOtp(identifier, useRecoveryCode ? recoveryCode : otp, { identifierType, purpose, recoveryCode: useRecoveryCode, locale });
+    
+    sendResult(res, result);
+  });
+  
+  if (middleware.outbox) {
+    router.get('/delivery/:id', async (req, res) => {
+      try {
+        const status = await req.getDeliveryStatus(req.params.id);
+        
+        if (!status) {
+          return sendResult(res, createErrorResponse(ERROR_CODES.NOT_FOUND, req.translateOtp('DELIVERY_NOT_FOUND')));
+        }
+        
+        res.json(createResponse(true, req.translateOtp('DELIVERY_STATUS'), status));
+      } catch (error) {
+        console.error('Delivery status error:', error);
+        res.status(500).json(createErrorResponse(ERROR_CODES.INTERNAL_ERROR, 'Failed to read the delivery status'));
+      }
+    });
+  }
+  
+  const magicLinkConfig = config.magicLink;
+  router.get(magicLinkConfig.path, (req, res) => {
+    const t = req.translateOtp;
+    res.set({ 'Cache-Control': 'no-store', 'Referrer-Policy': 'no-referrer' });
+    res.type('html').send(middleware.templates.renderLinkConfirmation({
+      locale: req.otpLocale,
+      title: t('LINK_CONFIRM_TITLE'),
+      message: t('LINK_CONFIRM_MESSAGE'),
+      button: t('LINK_CONFIRM_BUTTON'),
+      action: req.originalUrl.split('?')[0],
+      token: String(req.query.token || '')
+    }));
+  });
+  
+  router.post(magicLinkConfig.path, express.urlencoded({ extended: false }), async (req, res) => {
+    const result = await req.consumeMagicLink(req.body?.token);
     
     if (result.success) {
-      res.json(result);
-    } else {
-      res.status(400).json(result);
-    }  });
+      return magicLinkConfig.successUrl
+        ? res.redirect(303, `${magicLinkConfig.successUrl}#${new URLSearchParams({
+            verificationToken: result.data.token,
+            purpose: result.data.purpose
+          })}`)
+        : res.json(result);
+    }
+    
+    return magicLinkConfig.failureUrl
+      ? res.redirect(303, appendQuery(magicLinkConfig.failureUrl, { reason: result.data.reason }))
+      : sendResult(res, result);
+  });
   
-  if (options.enableCleanupRoute) {
-    router.post('/cleanup', (req, res) => {
-      req.cleanupExpiredOtps();
-      res.json(createResponse(true, 'Cleanup completed'));
+  if (config.totp.enabled) {
+    const { identify } = config.totp;
+    
+    router.post('/totp/enroll', async (req, res) => {
+      const identifier = identify(req);
+      
+      if (!identifier) {
+        return res.status(400).json(createErrorResponse(ERROR_CODES.INVALID_REQUEST, getMissingMessage(req.translateOtp)));
+      }
+      
+      const result = await req.enrollTotp(identifier);
+      sendResult(res, result);
+    });
+    
+    router.post('/totp/confirm', async (req, res) => {
+      const identifier = identify(req);
+      const { otp } = req.body;
+      
+      if (!identifier || !otp) {
+        return res.status(400).json(createErrorResponse(ERROR_CODES.INVALID_REQUEST, getMissingMessage(req.translateOtp, identifier, true)));
+      }
+      
+      const result = await req.confirmTotp(identifier, otp);
+      sendResult(res, result);
+    });
+    
+    router.post('/totp/verify', async (req, res) => {
+      const { otp } = req.body;
+      const { identifier } = readIdentifier(req.body);
+      
+      if (!identifier || !otp) {
+        return res.status(400).json(createErrorResponse(ERROR_CODES.INVALID_REQUEST, getMissingMessage(req.translateOtp, identifier, true)));
+      }
+      
+      const result = await req.verifyTotp(identifier, otp, { purpose: req.body.purpose });
+      sendResult(res, result);
+    });
+  }
+  
+  if (config.recoveryCodes.enabled) {
+    const { identify } = config.recoveryCodes;
+    
+    router.post('/recovery-codes', async (req, res) => {
+      const identifier = identify(req);
+      
+      if (!identifier) {
+        return res.status(400).json(createErrorResponse(ERROR_CODES.INVALID_REQUEST, getMissingMessage(req.translateOtp)));
+      }
+      
+      const result = await req.generateRecoveryCodes(identifier);
+      sendResult(res, result);
+    });
+    
+    router.post('/recovery-codes/status', async (req, res) => {
+      const identifier = identify(req);
+      
+      if (!identifier) {
+        return res.status(400).json(createErrorResponse(ERROR_CODES.INVALID_REQUEST, getMissingMessage(req.translateOtp)));
+      }
+      
+      try {
+        const status = await req.getRecoveryCodeStatus(identifier);
+        res.json(createResponse(true, req.translateOtp('RECOVERY_CODE_STATUS'), {
+          identifier: middleware.normalizeIdentifier(identifier),
+          ...status
+        }));
+      } catch (error) {
+        console.error('Recovery code status error:', error);
+        res.status(500).json(createErrorResponse(ERROR_CODES.INTERNAL_ERROR, 'Failed to read the recovery code status'));
+      }
+    });
+  }
+  
+  if (config.audit?.authorize) {
+    const auditConfig = config.audit;
+    
+    router.get(auditConfig.path, async (req, res) => {
+      if (!await auditConfig.authorize(req)) {
+        return res.status(403).json(createErrorResponse(ERROR_CODES.FORBIDDEN, 'Not authorized to read the audit log'));
+      }
+      
+      const { identifier, from, to, outcome, action, purpose } = req.query;
+      if (outcome && !['success', 'failure'].includes(outcome)) {
+        return res.status(400).json(createErrorResponse(ERROR_CODES.INVALID_REQUEST, 'Outcome must be "success" or "failure"'));
+      }
+      if ([from, to].some((date) => date && Number.isNaN(Date.parse(date)))) {
+        return res.status(400).json(createErrorResponse(ERROR_CODES.INVALID_REQUEST, 'Invalid date range'));
+      }
+      
+      try {
+        const entries = await req.queryAuditLog({
+          identifier,
+          from,
+          to,
+          outcome,
+          action,
+          purpose,
+          limit: Math.min(parseInt(req.query.limit, 10) || 100, auditConfig.maxQueryLimit)
+        });
+        res.json(createResponse(true, 'Audit log entries', { entries, count: entries.length }));
+      } catch (error) {
+        console.error('Audit query error:', error);
+        res.status(500).json(createErrorResponse(ERROR_CODES.INTERNAL_ERROR, 'Failed to query the audit log'));
+      }
+    });
+  }
+  
+  if (config.metrics) {
+    const metricsConfig = config.metrics;
+    
+    router.get(metricsConfig.path, async (req, res) => {
+      if (metricsConfig.authorize && !await metricsConfig.authorize(req)) {
+        return res.status(403).json(createErrorResponse(ERROR_CODES.FORBIDDEN, 'Not authorized to read metrics'));
+      }
+      
+      try {
+        res.type('text/plain; version=0.0.4; charset=utf-8').send(await middleware.metrics.render());
+      } catch (error) {
+        console.error('Metrics error:', error);
+        res.status(500).json(createErrorResponse(ERROR_CODES.INTERNAL_ERROR, 'Failed to collect metrics'));
+      }
+    });
+  }
+  
+  if (middleware.devOutbox) {
+    const { path } = config.devOutbox;
+    const captured = middleware.devOutbox;
+    const summarize = ({ html, text, ...message }) => message;
+    
+    router.get(path, (req, res) => {
+      const messages = captured.messages({
+        to: req.query.to,
+        match: middleware.normalizeIdentifier,
+        limit: parseInt(req.query.limit, 10) || undefined
+      });
+      res.json(createResponse(true, 'Captured messages', { messages: messages.map(summarize), count: messages.length }));
+    });
+    
+    router.get(`${path}/latest`, (req, res) => {
+      const to = req.query.identifier || req.query.to || req.query.email || req.query.phone;
+      if (!to) {
+        return res.status(400).json(createErrorResponse(ERROR_CODES.INVALID_REQUEST, 'Pass ?identifier= to look up the latest code'));
+      }
+      
+      const message = captured.latest(to, middleware.normalizeIdentifier);
+      if (!message) {
+        return res.status(404).json(createErrorResponse(ERROR_CODES.NOT_FOUND, `No message captured for ${to}`));
+      }
+      res.json(createResponse(true, 'Latest captured message', summarize(message)));
+    });
+    
+    router.get(`${path}/:id`, (req, res) => {
+      const message = captured.find(req.params.id);
+      if (!message) {
+        return res.status(404).json(createErrorResponse(ERROR_CODES.NOT_FOUND, 'Message not found'));
+      }
+      res.json(createResponse(true, 'Captured message', message));
+    });
+    
+    router.get(`${path}/:id/html`, (req, res) => {
+      const message = captured.find(req.params.id);
+      if (!message) {
+        return res.status(404).type('text/plain').send('Message not found');
+      }
+      if (!message.html) {
+        return res.type('text/plain; charset=utf-8').send(message.text || '');
+      }
+      res.type('html').send(message.html);
+    });
+    
+    router.delete(path, (req, res) => {
+      res.json(createResponse(true, 'Captured messages cleared', { removed: captured.clear() }));
+    });
+  }
+  
+  if (config.enableCleanupRoute) {
+    router.post('/cleanup', async (req, res) => {
+      try {
+        const removed = await req.cleanupExpiredOtps();
+        res.json(createResponse(true, 'Cleanup completed', { removed }));
+      } catch (error) {
+        console.error('Cleanup error:', error);
+        res.status(500).json(createErrorResponse(ERROR_CODES.INTERNAL_ERROR, 'Failed to clean up expired codes'));
+      }
     });
   }
   
   return router;
 }
 
-export function rateLimitMiddleware(options = {}) {
-  const { maxAttempts = 5, windowMs = 15 * 60 * 1000 } = options;
-  const rateLimitStore = new Map();
+const getStandaloneTranslator = (req, options) => {
+  if (req.translateOtp) {
+    return req.translateOtp;
+  }
+  
+  const available = [...Object.keys(MESSAGES), ...Object.keys(options.messages || {})];
+  const locale = resolveLocale(options.locale || parseAcceptLanguage(req.get?.('accept-language')), available);
+  return createTranslator(locale, options.messages?.[locale]);
+};
+
+const getBearerToken = (req) => {
+  const authorization = req.get('authorization') || '';
+  if (authorization.startsWith('Bearer ')) {
+    return authorization.slice(7).trim();
+  }
+  return req.get('x-verification-token') || req.body?.verificationToken;
+};
+
+export function requireVerified(options = {}) {
+  const { purpose, maxAge, getToken = getBearerToken, clock = { now: Date.now } } = options;
+  const allowedPurposes = purpose ? [].concat(purpose) : null;
+  const tokenConfig = { ...DEFAULT_CONFIG.verificationToken, ...options.verificationToken };
+  const verificationTokens = createVerificationTokens({
+    ...tokenConfig,
+    keys: resolveTokenKeys({ keys: tokenConfig.keys, otpSecret: options.otpSecret }),
+    clock
+  });
   
   return (req, res, next) => {
-    const key = req.ip || req.connection.remoteAddress;
+    const t = getStandaloneTranslator(req, options);
+    const token = getToken(req);
+    if (!token) {
+      return res.status(401).json(createErrorResponse(ERROR_CODES.VERIFICATION_REQUIRED, t('VERIFICATION_REQUIRED')));
+    }
     
-    const rateLimitResult = checkRateLimit(rateLimitStore, key, maxAttempts, windowMs);
+    const result = verificationTokens.verify(token);
+    if (!result.valid) {
+      return res.status(401).json(result.expired
+        ? createErrorResponse(ERROR_CODES.VERIFICATION_TOKEN_EXPIRED, t('VERIFICATION_TOKEN_EXPIRED'))
+        : createErrorResponse(ERROR_CODES.VERIFICATION_TOKEN_INVALID, t('VERIFICATION_TOKEN_INVALID')));
+    }
     
-    if (!rateLimitResult.allowed) {
-      return res.status(429).json(createResponse(false, rateLimitResult.error));
+    const { claims } = result;
+    if (allowedPurposes && !allowedPurposes.includes(claims.purpose)) {
+      return res.status(403).json(createErrorResponse(ERROR_CODES.VERIFICATION_WRONG_PURPOSE, t('VERIFICATION_WRONG_PURPOSE')));
     }
     
+    if (maxAge && clock.now() - claims.verifiedAt > maxAge * 1000) {
+      return res.status(401).json(createErrorResponse(ERROR_CODES.VERIFICATION_TOO_OLD, t('VERIFICATION_TOO_OLD')));
+    }
+    
+    req.verification = claims;
     next();
   };
 }
+
+export function rateLimitMiddleware(options = {}) {
+  const {
+    maxAttempts = 5,
+    windowMs = 15 * 60 * 1000,
+    key = 'ip',
+    algorithm = 'sliding-window',
+    identify = (req) => readIdentifier(req.body).identifier,
+    defaultRegion = null,
+    foldPlusAddressing = false,
+    clock = { now: Date.now },
+    onLimit
+  } = options;
+  const store = createStore(options.store, { sweepIntervalMs: 60 * 1000, clock, evictable: () => false, ...options.storeOptions });
+  const limiter = createRateLimiter({
+    store,
+    clock,
+    name: options.name,
+    rules: options.rules || [{ key, algorithm, limit: maxAttempts, windowMs, capacity: options.capacity, refillPerSecond: options.refillPerSecond }]
+  });
+  const getClientIp = createClientIpResolver(options.trustProxy);
+  
+  const handler = async (req, res, next) => {
+    try {
+      const identifier = identify(req);
+      const result = await limiter.consume({
+        ip: getClientIp(req),
+        identifier: identifier ? normalizeIdentifier(identifier, { defaultRegion, foldPlusAddressing }) : identifier
+      });
+      setRateLimitHeaders(res, result);
+      
+      if (!result.allowed) {
+        onLimit?.(req);
+        const retryAfter = Math.ceil(result.resetMs / 1000);
+        const t = getStandaloneTranslator(req, options);
+        return sendResult(res, createErrorResponse(
+          ERROR_CODES.RATE_LIMITED,
+          t('RATE_LIMITED', { minutes: Math.ceil(retryAfter / 60) }),
+          { retryAfter }
+        ));
+      }
+      
+      next();
+    } catch (error) {
+      next(error);
+    }
+  };
+  
+  handler.close = async () => {
+    if (!isStore(options.store)) {
+      await store.close?.();
+    }
+  };
+  return handler;
+}
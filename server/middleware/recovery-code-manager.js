@@ -0,0 +1,77 @@
+import { createResponse, createErrorResponse } from '../../lib/utils.js';
+import { ERROR_CODES } from '../../lib/types.js';
+import { createTranslator } from '../../lib/i18n.js';
+import { safeCompare } from '../security/otp-hash.js';
+import { generateRecoveryCode, normalizeRecoveryCode } from '../security/recovery-codes.js';
+
+const RECOVERY_KEY_PREFIX = 'recovery:';
+const defaultTranslator = createTranslator();
+
+export function createRecoveryCodeManager({ store, hasher, config, clock = { now: Date.now } }) {
+  const hashCode = (email, code) => hasher.hash(`recovery:${email}`, normalizeRecoveryCode(code));
+
+  return {
+    async generate(email, t = defaultTranslator) {
+      const codes = Array.from({ length: config.count }, () => generateRecoveryCode(config.length));
+
+      await store.set(RECOVERY_KEY_PREFIX + email, {
+        codes: codes.map((code) => ({ hash: hashCode(email, code), usedAt: null })),
+        generatedAt: clock.now()
+      });
+
+      return createResponse(true, t('RECOVERY_CODES_GENERATED'), {
+        email,
+        codes
+      });
+    },
+
+    async consume(email, code, t = defaultTranslator) {
+      const candidate = hashCode(email, code);
+      const now = clock.now();
+      const { outcome, codes } = await store.update(RECOVERY_KEY_PREFIX + email, (entry) => {
+        if (!entry) {
+          return { outcome: 'not_set_up' };
+        }
+
+        const matchedIndex = entry.codes.findIndex((stored) => !stored.usedAt && safeCompare(candidate, stored.hash));
+        if (matchedIndex === -1) {
+          return { outcome: 'invalid' };
+        }
+
+        const updated = entry.codes.map((stored, index) => (
+          index === matchedIndex ? { ...stored, usedAt: now } : stored
+        ));
+        return { outcome: 'accepted', codes: updated, value: { ...entry, codes: updated } };
+      });
+
+      if (outcome === 'not_set_up') {
+        return createErrorResponse(ERROR_CODES.RECOVERY_CODES_NOT_SET_UP, t('RECOVERY_CODES_NOT_SET_UP'));
+      }
+      if (outcome === 'invalid') {
+        return createErrorResponse(ERROR_CODES.RECOVERY_CODE_INVALID, t('RECOVERY_CODE_INVALID'));
+      }
+
+      const remaining = codes.filter((stored) => !stored.usedAt).length;
+      return createResponse(true, t('RECOVERY_CODE_ACCEPTED'), { email, remaining });
+    },
+
+    async status(email) {
+      const entry = await store.get(RECOVERY_KEY_PREFIX + email);
+      if (!entry) {
+        return { enabled: false, total: 0, remaining: 0, generatedAt: null };
+      }
+
+      return {
+        enabled: true,
+        total: entry.codes.length,
+        remaining: entry.codes.filter((stored) => !stored.usedAt).length,
+        generatedAt: entry.generatedAt
+      };
+    },
+
+    async revoke(email, t = defaultTranslator) {
+      await store.delete(RECOVERY_KEY_PREFIX + email);
+      return createResponse(true, t('RECOVERY_CODES_REVOKED'), { email });
+    }
+  };
+}
@@ -0,0 +1,176 @@
+import QRCode from 'qrcode';
+import { createResponse, createErrorResponse } from '../../lib/utils.js';
+import { ERROR_CODES, OTP_EVENTS } from '../../lib/types.js';
+import { createTranslator } from '../../lib/i18n.js';
+import { createSecretBox } from '../security/secret-box.js';
+import { isLocked, getLockoutDuration, createLockedResponse } from './lockout.js';
+import {
+  generateTotpSecret,
+  findTotpStep,
+  createOtpauthUri
+} from '../security/totp.js';
+
+const TOTP_KEY_PREFIX = 'totp:';
+const defaultTranslator = createTranslator();
+const noEmit = () => {};
+
+export function createTotpManager({ store, hasher, config, maxAttempts, lockout, clock = { now: Date.now } }) {
+  const box = createSecretBox(hasher.deriveKey('totp-secret'));
+  const algorithmOptions = {
+    digits: config.digits,
+    period: config.period,
+    algorithm: config.algorithm
+  };
+
+  const matchCode = (entry, code, now = clock.now()) => {
+    return findTotpStep(box.open(entry.secret), code, {
+      ...algorithmOptions,
+      window: config.window,
+      now
+    });
+  };
+
+  const recordFailure = (current, now) => {
+    const lockExpired = current.lockedUntil && now > current.lockedUntil + lockout.resetAfterMs;
+    const attempts = (current.attempts || 0) + 1;
+    if (attempts >= maxAttempts) {
+      const lockCount = (lockExpired ? 0 : current.lockCount || 0) + 1;
+      return { outcome: 'locked_now', entry: { ...current, attempts: 0, lockCount, lockedUntil: now + getLockoutDuration(lockCount, lockout) } };
+    }
+    return { outcome: 'invalid', entry: { ...current, attempts, ...(lockExpired && { lockCount: 0, lockedUntil: null }) } };
+  };
+
+  // A pending enrollment outlives its own expiry while it is locked, so re-enrolling cannot reset the lock.
+  const pendingTtl = (entry, now) => Math.max(entry.createdAt + config.enrollmentTtlMs, entry.lockedUntil || 0) - now;
+
+  const describeFailure = (outcome, entry, t, now, emit) => {
+    if (outcome === 'locked_now') {
+      emit(OTP_EVENTS.LOCKED, { lockCount: entry.lockCount, lockedUntil: entry.lockedUntil });
+    }
+    emit(OTP_EVENTS.VERIFY_FAILED, outcome === 'locked' ? { reason: 'locked' } : { reason: 'invalid_code', attemptsRemaining: maxAttempts - entry.attempts });
+    if (outcome === 'locked' || outcome === 'locked_now') {
+      return createLockedResponse(entry, t, now);
+    }
+    return createErrorResponse(ERROR_CODES.TOTP_INVALID, t('TOTP_INVALID_CODE'), {
+      attemptsRemaining: maxAttempts - entry.attempts
+    });
+  };
+
+  return {
+    async enroll(email, enrollOptions = {}, t = defaultTranslator) {
+      const key = TOTP_KEY_PREFIX + email;
+      const now = clock.now();
+      const existing = await store.get(key);
+      if (existing?.confirmed) {
+        return createErrorResponse(ERROR_CODES.TOTP_ALREADY_ENABLED, t('TOTP_ALREADY_ENABLED'));
+      }
+      if (existing && isLocked(existing, now)) {
+        return createLockedResponse(existing, t, now);
+      }
+
+      const secret = generateTotpSecret();
+      const uri = createOtpauthUri({
+        ...algorithmOptions,
+        secret,
+        accountName: enrollOptions.accountName || email,
+        issuer: enrollOptions.issuer || config.issuer
+      });
+      const qrCode = await QRCode.toString(uri, { type: 'svg', margin: 1 });
+
+      await store.set(key, {
+        secret: box.seal(secret),
+        confirmed: false,
+        lastUsedStep: null,
+        createdAt: now,
+        attempts: existing?.attempts || 0,
+        lockCount: existing?.lockCount || 0,
+        lockedUntil: existing?.lockedUntil || null
+      }, config.enrollmentTtlMs);
+
+      return createResponse(true, t('TOTP_SCAN_QR'), {
+        email,
+        secret,
+        uri,
+        qrCode
+      });
+    },
+
+    async confirm(email, code, t = defaultTranslator, emit = noEmit) {
+      const now = clock.now();
+      const { outcome, entry } = await store.update(TOTP_KEY_PREFIX + email, (current) => {
+        if (!current || current.confirmed) {
+          return { outcome: 'no_pending' };
+        }
+        if (isLocked(current, now)) {
+          return { outcome: 'locked', entry: current };
+        }
+
+        const step = matchCode(current, code, now);
+        if (step !== null) {
+          const confirmed = { ...current, confirmed: true, lastUsedStep: step, confirmedAt: now, attempts: 0, lockCount: 0, lockedUntil: null };
+          return { outcome: 'confirmed', value: confirmed };
+        }
+
+        const failure = recordFailure(current, now);
+        return { ...failure, value: failure.entry, ttlMs: pendingTtl(failure.entry, now) };
+      });
+
+      if (outcome === 'no_pending') {
+        emit(OTP_EVENTS.VERIFY_FAILED, { reason: 'no_pending' });
+        return createErrorResponse(ERROR_CODES.TOTP_NO_PENDING, t('TOTP_NO_PENDING'));
+      }
+      if (outcome !== 'confirmed') {
+        return describeFailure(outcome, entry, t, now, emit);
+      }
+      emit(OTP_EVENTS.VERIFIED, {});
+      return createResponse(true, t('TOTP_ENABLED'), { email });
+    },
+
+    async verify(email, code, t = defaultTranslator, emit = noEmit) {
+      const now = clock.now();
+      const { outcome, entry } = await store.update(TOTP_KEY_PREFIX + email, (current) => {
+        if (!current?.confirmed) {
+          return { outcome: 'not_enabled' };
+        }
+        if (isLocked(current, now)) {
+          return { outcome: 'locked', entry: current };
+        }
+
+        const step = matchCode(current, code, now);
+        if (step !== null && current.lastUsedStep !== null && step <= current.lastUsedStep) {
+          return { outcome: 'reused' };
+        }
+        if (step !== null) {
+          return { outcome: 'verified', value: { ...current, lastUsedStep: step, attempts: 0, lockCount: 0, lockedUntil: null } };
+        }
+
+        const failure = recordFailure(current, now);
+        return { ...failure, value: failure.entry };
+      });
+
+      if (outcome === 'not_enabled') {
+        emit(OTP_EVENTS.VERIFY_FAILED, { reason: 'not_enabled' });
+        return createErrorResponse(ERROR_CODES.TOTP_NOT_ENABLED, t('TOTP_NOT_ENABLED'));
+      }
+      if (outcome === 'reused') {
+        emit(OTP_EVENTS.VERIFY_FAILED, { reason: 'reused' });
+        return createErrorResponse(ERROR_CODES.TOTP_REUSED, t('TOTP_CODE_USED'));
+      }
+      if (outcome !== 'verified') {
+        return describeFailure(outcome, entry, t, now, emit);
+      }
+      emit(OTP_EVENTS.VERIFIED, {});
+      return createResponse(true, t('TOTP_VERIFIED'), { email });
+    },
+
+    async status(email) {
+      const entry = await store.get(TOTP_KEY_PREFIX + email);
+      return { enabled: Boolean(entry?.confirmed), pending: Boolean(entry && !entry.confirmed) };
+    },
+
+    async disable(email, t = defaultTranslator) {
+      await store.delete(TOTP_KEY_PREFIX + email);
+      return createResponse(true, t('TOTP_DISABLED'), { email });
+    }
+  };
+}
@@ -0,0 +1,43 @@
+import { DISPOSABLE_DOMAINS } from './disposable-domains.js';
+
+const normalizeDomain = (domain) => String(domain).trim().toLowerCase().replace(/^@/, '');
+
+const getDomain = (email) => normalizeDomain(String(email).slice(String(email).lastIndexOf('@') + 1));
+
+const matchesDomain = (domain, domains) => {
+  const labels = domain.split('.');
+  return labels.some((label, index) => domains.has(labels.slice(index).join('.')));
+};
+
+export function createEmailPolicy(options = {}) {
+  const { blockDisposable = false } = options;
+  const allowDomains = new Set((options.allowDomains || []).map(normalizeDomain));
+  const denyDomains = new Set((options.denyDomains || []).map(normalizeDomain));
+  let disposableDomains = new Set([...DISPOSABLE_DOMAINS, ...(options.disposableDomains || [])].map(normalizeDomain));
+
+  return {
+    check(email) {
+      const domain = getDomain(email);
+      if (matchesDomain(domain, denyDomains)) {
+        return 'denied';
+      }
+      if (allowDomains.size) {
+        return matchesDomain(domain, allowDomains) ? null : 'not_allowed';
+      }
+      if (blockDisposable && matchesDomain(domain, disposableDomains)) {
+        return 'disposable';
+      }
+      return null;
+    },
+
+    isDisposable(email) {
+      return matchesDomain(getDomain(email), disposableDomains);
+    },
+
+    updateDisposableDomains(domains, { replace = false } = {}) {
+      const next = domains.map(normalizeDomain);
+      disposableDomains = new Set(replace ? next : [...disposableDomains, ...next]);
+      return disposableDomains.size;
+    }
+  };
+}
@@ -0,0 +1,2 @@
+export { createEmailPolicy } from './email-policy.js';
+export { DISPOSABLE_DOMAINS } from './disposable-domains.js';
@@ -0,0 +1,47 @@
+const normalizeAddress = (address = '') => {
+  const value = String(address).trim();
+  return value.startsWith('::ffff:') ? value.slice(7) : value;
+};
+
+const createTrustCheck = (trustProxy) => {
+  if (typeof trustProxy === 'function') {
+    return trustProxy;
+  }
+
+  if (Array.isArray(trustProxy)) {
+    const trusted = new Set(trustProxy.map(normalizeAddress));
+    return (address) => trusted.has(address);
+  }
+
+  return () => false;
+};
+
+export function createClientIpResolver(trustProxy = false) {
+  const isTrusted = createTrustCheck(trustProxy);
+
+  return (req) => {
+    const remote = normalizeAddress(req.socket?.remoteAddress || req.connection?.remoteAddress || req.ip);
+    if (!trustProxy) {
+      return remote;
+    }
+
+    const forwarded = String(req.get?.('x-forwarded-for') || req.headers?.['x-forwarded-for'] || '')
+      .split(',')
+      .map(normalizeAddress)
+      .filter(Boolean);
+    const chain = [...forwarded, remote];
+
+    // Only the hops added by trusted proxies are believed; anything further left is client supplied.
+    if (trustProxy === true || typeof trustProxy === 'number') {
+      const hops = trustProxy === true ? 1 : trustProxy;
+      return chain[Math.max(chain.length - 1 - hops, 0)];
+    }
+
+    for (let index = chain.length - 1; index > 0; index--) {
+      if (!isTrusted(chain[index])) {
+        return chain[index];
+      }
+    }
+    return chain[0];
+  };
+}
@@ -0,0 +1,84 @@
+import { createSlidingWindow } from './sliding-window.js';
+import { createTokenBucket } from './token-bucket.js';
+
+const ALGORITHMS = {
+  'sliding-window': createSlidingWindow,
+  'token-bucket': createTokenBucket
+};
+
+const KEY_RESOLVERS = {
+  ip: ({ ip }) => ip,
+  identifier: ({ identifier }) => identifier,
+  'ip+identifier': ({ ip, identifier }) => (ip && identifier ? `${ip}|${identifier}` : null),
+  global: () => 'global'
+};
+
+const compileRule = (rule, index) => {
+  const { key = 'ip', algorithm = 'sliding-window' } = rule;
+
+  if (!Object.hasOwn(KEY_RESOLVERS, key)) {
+    throw new Error(`Unknown rate limit key "${key}". Use one of: ${Object.keys(KEY_RESOLVERS).join(', ')}.`);
+  }
+  if (!Object.hasOwn(ALGORITHMS, algorithm)) {
+    throw new Error(`Unknown rate limit algorithm "${algorithm}". Use one of: ${Object.keys(ALGORITHMS).join(', ')}.`);
+  }
+
+  return {
+    name: rule.name || `${key}.${index}`,
+    resolveKey: KEY_RESOLVERS[key],
+    limiter: ALGORITHMS[algorithm](rule)
+  };
+};
+
+export function createRateLimiter({ store, name = 'default', rules = [], clock = { now: Date.now } }) {
+  const compiled = rules.map(compileRule);
+
+  return {
+    async consume(context, now = clock.now()) {
+      const applicable = compiled
+        .map((rule) => ({ rule, subject: rule.resolveKey(context) }))
+        .filter(({ subject }) => subject);
+      const describe = (rule, result) => ({ ...result, rule: rule.name, policy: rule.limiter.policy });
+      const keyOf = (rule, subject) => `ratelimit:${name}:${rule.name}:${subject}`;
+
+      // A request rejected by one rule must not spend the budget of the others.
+      for (const { rule, subject } of applicable) {
+        const result = await rule.limiter.peek(store, keyOf(rule, subject), now);
+        if (!result.allowed) {
+          return describe(rule, result);
+        }
+      }
+
+      let tightest = null;
+      for (const { rule, subject } of applicable) {
+        const result = describe(rule, await rule.limiter.consume(store, keyOf(rule, subject), now));
+        if (!result.allowed) {
+          return result;
+        }
+        if (!tightest || result.remaining < tightest.remaining) {
+          tightest = result;
+        }
+      }
+
+      return tightest || { allowed: true };
+    }
+  };
+}
+
+export const setRateLimitHeaders = (res, result) => {
+  if (!result?.limit || res.headersSent) {
+    return;
+  }
+
+  const resetSeconds = Math.max(Math.ceil(result.resetMs / 1000), 0);
+  res.set('RateLimit-Policy', result.policy);
+  res.set('RateLimit-Limit', String(result.limit));
+  res.set('RateLimit-Remaining', String(result.remaining));
+  res.set('RateLimit-Reset', String(resetSeconds));
+  if (!result.allowed) {
+    res.set('Retry-After', String(resetSeconds));
+  }
+};
+
+export { createSlidingWindow, createTokenBucket };
+export { createClientIpResolver } from './client-ip.js';
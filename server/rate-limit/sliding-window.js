@@ -0,0 +1,30 @@
+export function createSlidingWindow({ limit = 5, windowMs = 15 * 60 * 1000 } = {}) {
+  const evaluate = (current, now) => {
+    const hits = (current || []).filter((time) => time > now - windowMs);
+
+    if (hits.length >= limit) {
+      return { result: { allowed: false, limit, remaining: 0, resetMs: hits[0] + windowMs - now } };
+    }
+
+    hits.push(now);
+    return {
+      result: { allowed: true, limit, remaining: limit - hits.length, resetMs: hits[0] + windowMs - now },
+      value: hits,
+      ttlMs: windowMs
+    };
+  };
+
+  return {
+    limit,
+    policy: `${limit};w=${Math.ceil(windowMs / 1000)}`,
+
+    async peek(store, key, now = Date.now()) {
+      return evaluate(await store.get(key), now).result;
+    },
+
+    async consume(store, key, now = Date.now()) {
+      const { result } = await store.update(key, (current) => evaluate(current, now));
+      return result;
+    }
+  };
+}
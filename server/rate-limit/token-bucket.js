@@ -0,0 +1,34 @@
+export function createTokenBucket({ capacity = 10, refillPerSecond = 1 } = {}) {
+  const msUntil = (tokens) => Math.ceil((tokens / refillPerSecond) * 1000);
+
+  const evaluate = (bucket, now) => {
+    const elapsedSeconds = bucket ? Math.max(now - bucket.updatedAt, 0) / 1000 : 0;
+    const tokens = bucket ? Math.min(capacity, bucket.tokens + elapsedSeconds * refillPerSecond) : capacity;
+
+    if (tokens < 1) {
+      return { result: { allowed: false, limit: capacity, remaining: 0, resetMs: msUntil(1 - tokens) } };
+    }
+
+    const remaining = tokens - 1;
+    const resetMs = msUntil(capacity - remaining);
+    return {
+      result: { allowed: true, limit: capacity, remaining: Math.floor(remaining), resetMs },
+      value: { tokens: remaining, updatedAt: now },
+      ttlMs: Math.max(resetMs, 1)
+    };
+  };
+
+  return {
+    limit: capacity,
+    policy: `${capacity};w=${Math.ceil(capacity / refillPerSecond)}`,
+
+    async peek(store, key, now = Date.now()) {
+      return evaluate(await store.get(key), now).result;
+    },
+
+    async consume(store, key, now = Date.now()) {
+      const { result } = await store.update(key, (bucket) => evaluate(bucket, now));
+      return result;
+    }
+  };
+}
@@ -0,0 +1,34 @@
+import crypto from 'crypto';
+import { safeCompare } from './otp-hash.js';
+
+const sign = (key, data) => crypto.createHmac('sha256', key).update(data).digest('base64url');
+
+export function createMagicLinkTokens(key, clock = { now: Date.now }) {
+  return {
+    create({ identifier, purpose, expireAt }) {
+      const nonce = crypto.randomBytes(24).toString('base64url');
+      const payload = Buffer.from(JSON.stringify({ e: identifier, p: purpose, n: nonce, x: expireAt })).toString('base64url');
+      return { token: `${payload}.${sign(key, payload)}`, nonce };
+    },
+
+    parse(token) {
+      const [payload, signature] = typeof token === 'string' ? token.split('.') : [];
+      if (!payload || !signature || !safeCompare(sign(key, payload), signature)) {
+        return { valid: false, reason: 'invalid' };
+      }
+
+      let data;
+      try {
+        data = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+      } catch (error) {
+        return { valid: false, reason: 'invalid' };
+      }
+
+      if (clock.now() > data.x) {
+        return { valid: false, reason: 'expired' };
+      }
+
+      return { valid: true, identifier: data.e, purpose: data.p, nonce: data.n };
+    }
+  };
+}
@@ -0,0 +1,50 @@
+import crypto from 'crypto';
+
+export const safeCompare = (a, b) => {
+  const left = Buffer.from(String(a));
+  const right = Buffer.from(String(b));
+
+  if (left.length !== right.length) {
+    crypto.timingSafeEqual(left, left);
+    return false;
+  }
+
+  return crypto.timingSafeEqual(left, right);
+};
+
+export const deriveKey = (secret, label) => {
+  return crypto.createHmac('sha256', secret).update(`derive:${label}`).digest();
+};
+
+export function createOtpHasher(options = {}) {
+  let secret = options.secret || process.env.OTP_SECRET;
+
+  if (!secret) {
+    secret = crypto.randomBytes(32).toString('hex');
+    console.warn('OTP secret not configured; using a random per-process secret. Set OTP_SECRET when codes are shared between instances.');
+  }
+
+  const hash = (key, otp) => {
+    return crypto.createHmac('sha256', secret).update(`${key}:${otp}`).digest('hex');
+  };
+
+  return {
+    hash,
+
+    deriveKey(label) {
+      return deriveKey(secret, label);
+    },
+
+    verify(key, otp, entry) {
+      if (entry.otpHash) {
+        return safeCompare(hash(key, otp), entry.otpHash);
+      }
+
+      if (options.acceptPlaintext && entry.otp) {
+        return safeCompare(otp, entry.otp);
+      }
+
+      return false;
+    }
+  };
+}
@@ -0,0 +1,16 @@
+import crypto from 'crypto';
+
+const RECOVERY_ALPHABET = 'abcdefghjkmnpqrstuvwxyz23456789';
+
+export const generateRecoveryCode = (length = 10) => {
+  let code = '';
+  for (let i = 0; i < length; i++) {
+    code += RECOVERY_ALPHABET[crypto.randomInt(RECOVERY_ALPHABET.length)];
+  }
+  const half = Math.ceil(length / 2);
+  return `${code.slice(0, half)}-${code.slice(half)}`;
+};
+
+export const normalizeRecoveryCode = (code) => {
+  return String(code || '').toLowerCase().replace(/[\s-]/g, '');
+};
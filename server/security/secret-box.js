@@ -0,0 +1,21 @@
+import crypto from 'crypto';
+
+const ALGORITHM = 'aes-256-gcm';
+
+export function createSecretBox(key) {
+  return {
+    seal(plaintext) {
+      const iv = crypto.randomBytes(12);
+      const cipher = crypto.createCipheriv(ALGORITHM, key, iv);
+      const encrypted = Buffer.concat([cipher.update(plaintext, 'utf8'), cipher.final()]);
+      return [iv, cipher.getAuthTag(), encrypted].map((part) => part.toString('base64url')).join('.');
+    },
+
+    open(sealed) {
+      const [iv, tag, encrypted] = sealed.split('.').map((part) => Buffer.from(part, 'base64url'));
+      const decipher = crypto.createDecipheriv(ALGORITHM, key, iv);
+      decipher.setAuthTag(tag);
+      return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+    }
+  };
+}
@@ -0,0 +1,101 @@
+import crypto from 'crypto';
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+export const base32Encode = (buffer) => {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+
+  return output;
+};
+
+export const base32Decode = (input) => {
+  const cleaned = input.toUpperCase().replace(/=+$/, '').replace(/\s/g, '');
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+
+  for (const char of cleaned) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error('Invalid base32 character in TOTP secret');
+    }
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+
+  return Buffer.from(bytes);
+};
+
+export const generateTotpSecret = (size = 20) => base32Encode(crypto.randomBytes(size));
+
+export const generateHotp = (secret, counter, options = {}) => {
+  const { digits = 6, algorithm = 'SHA1' } = options;
+  const counterBuffer = Buffer.alloc(8);
+  counterBuffer.writeBigUInt64BE(BigInt(counter));
+
+  const digest = crypto.createHmac(algorithm.toLowerCase(), base32Decode(secret)).update(counterBuffer).digest();
+  const offset = digest[digest.length - 1] & 0xf;
+  const binary = ((digest[offset] & 0x7f) << 24)
+    | (digest[offset + 1] << 16)
+    | (digest[offset + 2] << 8)
+    | digest[offset + 3];
+
+  return String(binary % Math.pow(10, digits)).padStart(digits, '0');
+};
+
+export const getTimeStep = (period = 30, now = Date.now()) => Math.floor(now / 1000 / period);
+
+export const generateTotp = (secret, options = {}) => {
+  const { period = 30, now = Date.now() } = options;
+  return generateHotp(secret, getTimeStep(period, now), options);
+};
+
+export const findTotpStep = (secret, code, options = {}) => {
+  const { period = 30, window = 1, now = Date.now() } = options;
+  const currentStep = getTimeStep(period, now);
+  const expected = Buffer.from(String(code));
+  let matchedStep = null;
+
+  for (let step = currentStep - window; step <= currentStep + window; step++) {
+    const candidate = Buffer.from(generateHotp(secret, step, options));
+    if (candidate.length === expected.length && crypto.timingSafeEqual(candidate, expected)) {
+      matchedStep = step;
+    }
+  }
+
+  return matchedStep;
+};
+
+export const createOtpauthUri = ({ secret, accountName, issuer, digits = 6, period = 30, algorithm = 'SHA1' }) => {
+  const label = encodeURIComponent(issuer ? `${issuer}:${accountName}` : accountName);
+  const params = new URLSearchParams({
+    secret,
+    algorithm,
+    digits: String(digits),
+    period: String(period)
+  });
+  if (issuer) {
+    params.set('issuer', issuer);
+  }
+
+  return `otpauth://totp/${label}?${params.toString()}`;
+};
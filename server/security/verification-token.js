@@ -0,0 +1,112 @@
+import crypto from 'crypto';
+import { deriveKey, safeCompare } from './otp-hash.js';
+
+const TOKEN_KEY_LABEL = 'verification-token';
+
+const encodeSegment = (value) => Buffer.from(JSON.stringify(value)).toString('base64url');
+
+const decodeSegment = (segment) => JSON.parse(Buffer.from(segment, 'base64url').toString('utf8'));
+
+const sign = (secret, data) => crypto.createHmac('sha256', secret).update(data).digest('base64url');
+
+const parseKeyList = (value) => {
+  return value.split(',').map((pair) => {
+    const separator = pair.indexOf(':');
+    return { id: pair.slice(0, separator).trim(), secret: pair.slice(separator + 1).trim() };
+  }).filter((key) => key.id && key.secret);
+};
+
+export const resolveTokenKeys = (options = {}, fallbackKey = null) => {
+  if (options.keys?.length) {
+    return options.keys;
+  }
+
+  if (process.env.OTP_TOKEN_KEYS) {
+    return parseKeyList(process.env.OTP_TOKEN_KEYS);
+  }
+
+  const secret = options.otpSecret || process.env.OTP_SECRET;
+  if (secret) {
+    return [{ id: 'default', secret: deriveKey(secret, TOKEN_KEY_LABEL) }];
+  }
+
+  if (fallbackKey) {
+    return [{ id: 'default', secret: fallbackKey }];
+  }
+
+  throw new Error('Verification token keys are not configured. Pass keys, otpSecret or set OTP_TOKEN_KEYS / OTP_SECRET.');
+};
+
+export function createVerificationTokens(options = {}) {
+  const { keys, ttlSeconds = 600, issuer = 'otp-verification-system', clock = { now: Date.now } } = options;
+  const [signingKey] = keys;
+
+  return {
+    sign(claims) {
+      const now = Math.floor(clock.now() / 1000);
+      const header = { alg: 'HS256', typ: 'JWT', kid: signingKey.id };
+      const payload = {
+        iss: issuer,
+        sub: claims.identifier ?? claims.email,
+        idt: claims.identifierType || 'email',
+        purpose: claims.purpose,
+        vat: Math.floor((claims.verifiedAt ?? clock.now()) / 1000),
+        iat: now,
+        exp: now + ttlSeconds,
+        jti: crypto.randomUUID()
+      };
+
+      const data = `${encodeSegment(header)}.${encodeSegment(payload)}`;
+      return {
+        token: `${data}.${sign(signingKey.secret, data)}`,
+        expiresAt: payload.exp * 1000
+      };
+    },
+
+    verify(token) {
+      const parts = typeof token === 'string' ? token.split('.') : [];
+      if (parts.length !== 3) {
+        return { valid: false, error: 'Malformed verification token' };
+      }
+
+      let header;
+      let payload;
+      try {
+        header = decodeSegment(parts[0]);
+        payload = decodeSegment(parts[1]);
+      } catch (error) {
+        return { valid: false, error: 'Malformed verification token' };
+      }
+
+      const key = keys.find((candidate) => candidate.id === header.kid);
+      if (header.alg !== 'HS256' || !key) {
+        return { valid: false, error: 'Unknown verification token key' };
+      }
+
+      if (!safeCompare(sign(key.secret, `${parts[0]}.${parts[1]}`), parts[2])) {
+        return { valid: false, error: 'Invalid verification token signature' };
+      }
+
+      if (payload.iss !== issuer) {
+        return { valid: false, error: 'Invalid verification token issuer' };
+      }
+
+      if (Math.floor(clock.now() / 1000) >= payload.exp) {
+        return { valid: false, expired: true, error: 'Verification token has expired' };
+      }
+
+      return {
+        valid: true,
+        claims: {
+          identifier: payload.sub,
+          identifierType: payload.idt || 'email',
+          email: payload.idt === 'phone' ? null : payload.sub,
+          purpose: payload.purpose,
+          verifiedAt: payload.vat * 1000,
+          expiresAt: payload.exp * 1000,
+          tokenId: payload.jti
+        }
+      };
+    }
+  };
+}
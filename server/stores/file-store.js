@@ -0,0 +1,160 @@
+import { promises as fs } from 'fs';
+import path from 'path';
+
+const LOCK_RETRY_MS = 10;
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+export function createFileStore(options = {}) {
+  const filePath = path.resolve(options.path || '.otp-store.json');
+  const lockPath = `${filePath}.lock`;
+  const { clock = { now: Date.now }, lockTimeoutMs = 5000, staleLockMs = 30000 } = options;
+  let queue = Promise.resolve();
+
+  // Every read-modify-write holds an exclusive lock file, so processes sharing the file see each
+  // other's changes. A lock older than staleLockMs belongs to a process that died while holding it.
+  const acquireLock = async () => {
+    const deadline = Date.now() + lockTimeoutMs;
+    for (;;) {
+      try {
+        await (await fs.open(lockPath, 'wx')).close();
+        return;
+      } catch (error) {
+        if (error.code === 'ENOENT') {
+          await fs.mkdir(path.dirname(filePath), { recursive: true });
+          continue;
+        }
+        if (error.code !== 'EEXIST') throw error;
+      }
+
+      const stats = await fs.stat(lockPath).catch(() => null);
+      if (stats && Date.now() - stats.mtimeMs > staleLockMs) {
+        await fs.unlink(lockPath).catch(() => {});
+        continue;
+      }
+      if (Date.now() > deadline) {
+        throw new Error(`Timed out waiting for the OTP file store lock ${lockPath}`);
+      }
+      await sleep(LOCK_RETRY_MS);
+    }
+  };
+
+  const releaseLock = () => fs.unlink(lockPath).catch(() => {});
+
+  const readEntries = async () => {
+    try {
+      const contents = await fs.readFile(filePath, 'utf8');
+      return contents ? JSON.parse(contents) : {};
+    } catch (error) {
+      if (error.code === 'ENOENT') return {};
+      throw error;
+    }
+  };
+
+  const writeEntries = async (entries) => {
+    const tempPath = `${filePath}.${process.pid}.tmp`;
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.writeFile(tempPath, JSON.stringify(entries));
+    await fs.rename(tempPath, filePath);
+  };
+
+  const pruneExpired = (entries, now = clock.now()) => {
+    let changed = false;
+    for (const [key, entry] of Object.entries(entries)) {
+      if (entry.expireAt !== null && now > entry.expireAt) {
+        delete entries[key];
+        changed = true;
+      }
+    }
+    return changed;
+  };
+
+  const withEntries = (operation) => {
+    const run = queue.then(async () => {
+      await acquireLock();
+      try {
+        const entries = await readEntries();
+        const pruned = pruneExpired(entries);
+        const { result, changed } = await operation(entries);
+
+        if (changed || pruned) {
+          await writeEntries(entries);
+        }
+        return result;
+      } finally {
+        await releaseLock();
+      }
+    });
+
+    queue = run.catch(() => {});
+    return run;
+  };
+
+  return {
+    get(key) {
+      return withEntries((entries) => ({
+        result: entries[key] ? entries[key].value : null
+      }));
+    },
+
+    set(key, value, ttlMs) {
+      return withEntries((entries) => {
+        entries[key] = {
+          value,
+          expireAt: ttlMs ? clock.now() + ttlMs : null
+        };
+        return { changed: true };
+      });
+    },
+
+    update(key, updater) {
+      return withEntries((entries) => {
+        const change = updater(entries[key] ? entries[key].value : null);
+        if (change?.delete) {
+          const changed = key in entries;
+          delete entries[key];
+          return { result: change, changed };
+        }
+        if (change && 'value' in change) {
+          entries[key] = {
+            value: change.value,
+            expireAt: change.ttlMs ? clock.now() + change.ttlMs : null
+          };
+          return { result: change, changed: true };
+        }
+        return { result: change ?? null };
+      });
+    },
+
+    delete(key) {
+      return withEntries((entries) => {
+        const changed = key in entries;
+        delete entries[key];
+        return { changed };
+      });
+    },
+
+    expire(key, ttlMs) {
+      return withEntries((entries) => {
+        if (!entries[key]) return { result: false };
+
+        entries[key].expireAt = clock.now() + ttlMs;
+        return { result: true, changed: true };
+      });
+    },
+
+    scan(prefix = '') {
+      return withEntries((entries) => ({
+        result: Object.keys(entries).filter((key) => key.startsWith(prefix))
+      }));
+    },
+
+    sweep() {
+      return withEntries(() => ({}));
+    },
+
+    async close() {
+      await queue;
+    }
+  };
+}
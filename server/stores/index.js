@@ -0,0 +1,68 @@
+import { createMemoryStore } from './memory-store.js';
+import { createFileStore } from './file-store.js';
+import { createRedisStore } from './redis-store.js';
+
+const STORE_FACTORIES = {
+  memory: createMemoryStore,
+  file: createFileStore,
+  redis: createRedisStore
+};
+
+const STORE_METHODS = ['get', 'set', 'delete', 'expire', 'scan'];
+
+export const isStore = (store) => {
+  return Boolean(store) && STORE_METHODS.every((method) => typeof store[method] === 'function');
+};
+
+const serializedStores = new WeakMap();
+
+const withSerializedUpdate = (store) => {
+  if (serializedStores.has(store)) {
+    return serializedStores.get(store);
+  }
+
+  console.warn('OTP store has no update() method; attempt counters and rate limits are only atomic within this process.');
+  const queues = new Map();
+  const methods = [...STORE_METHODS, 'sweep', 'close'].filter((method) => typeof store[method] === 'function');
+
+  const update = (key, updater) => {
+    const run = (queues.get(key) || Promise.resolve()).then(async () => {
+      const change = updater(await store.get(key));
+      if (change?.delete) {
+        await store.delete(key);
+      } else if (change && 'value' in change) {
+        await store.set(key, change.value, change.ttlMs);
+      }
+      return change ?? null;
+    });
+
+    const settled = run.catch(() => {});
+    queues.set(key, settled);
+    settled.then(() => {
+      if (queues.get(key) === settled) queues.delete(key);
+    });
+    return run;
+  };
+
+  const wrapped = {
+    ...Object.fromEntries(methods.map((method) => [method, store[method].bind(store)])),
+    update
+  };
+  serializedStores.set(store, wrapped);
+  return wrapped;
+};
+
+export const createStore = (store = 'memory', storeOptions = {}) => {
+  if (isStore(store)) {
+    return typeof store.update === 'function' ? store : withSerializedUpdate(store);
+  }
+
+  const factory = STORE_FACTORIES[store];
+  if (!factory) {
+    throw new Error(`Unknown OTP store "${store}". Use one of: ${Object.keys(STORE_FACTORIES).join(', ')}, or pass a store object.`);
+  }
+
+  return factory(storeOptions);
+};
+
+export { createMemoryStore, createFileStore, createRedisStore };
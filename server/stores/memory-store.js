@@ -0,0 +1,120 @@
+export function createMemoryStore(options = {}) {
+  const { maxEntries = 100000, sweepIntervalMs = 0, evictable = () => true, clock = { now: Date.now } } = options;
+  const entries = new Map();
+
+  const isExpired = (entry, now = clock.now()) => {
+    return entry.expireAt !== null && now > entry.expireAt;
+  };
+
+  const readEntry = (key) => {
+    const entry = entries.get(key);
+    if (!entry) return null;
+
+    if (isExpired(entry)) {
+      entries.delete(key);
+      return null;
+    }
+
+    entries.delete(key);
+    entries.set(key, entry);
+    return entry;
+  };
+
+  // maxEntries is a soft cap: when nothing else is evictable the store grows past it rather than drop the write.
+  const evictOverflow = (written) => {
+    if (entries.size <= maxEntries) return;
+
+    for (const [key, entry] of entries) {
+      if (entries.size <= maxEntries) break;
+      if (key !== written && evictable(key, entry.value)) {
+        entries.delete(key);
+      }
+    }
+  };
+
+  const write = (key, value, ttlMs) => {
+    entries.delete(key);
+    entries.set(key, {
+      value,
+      expireAt: ttlMs ? clock.now() + ttlMs : null
+    });
+    evictOverflow(key);
+  };
+
+  const sweep = () => {
+    const now = clock.now();
+    let removed = 0;
+
+    for (const [key, entry] of entries.entries()) {
+      if (isExpired(entry, now)) {
+        entries.delete(key);
+        removed++;
+      }
+    }
+
+    return removed;
+  };
+
+  const timer = sweepIntervalMs > 0 ? setInterval(sweep, sweepIntervalMs) : null;
+  timer?.unref?.();
+
+  return {
+    async get(key) {
+      const entry = readEntry(key);
+      return entry ? entry.value : null;
+    },
+
+    async set(key, value, ttlMs) {
+      write(key, value, ttlMs);
+    },
+
+    async update(key, updater) {
+      const entry = readEntry(key);
+      const change = updater(entry ? entry.value : null);
+      if (change?.delete) {
+        entries.delete(key);
+      } else if (change && 'value' in change) {
+        write(key, change.value, change.ttlMs);
+      }
+      return change ?? null;
+    },
+
+    async delete(key) {
+      entries.delete(key);
+    },
+
+    async expire(key, ttlMs) {
+      const entry = readEntry(key);
+      if (!entry) return false;
+
+      entry.expireAt = clock.now() + ttlMs;
+      return true;
+    },
+
+    async scan(prefix = '') {
+      const now = clock.now();
+      const keys = [];
+
+      for (const [key, entry] of entries.entries()) {
+        if (isExpired(entry, now)) {
+          entries.delete(key);
+          continue;
+        }
+        if (key.startsWith(prefix)) {
+          keys.push(key);
+        }
+      }
+
+      return keys;
+    },
+
+    async sweep() {
+      return sweep();
+    },
+
+    async close() {
+      clearInterval(timer);
+      entries.clear();
+    }
+  };
+}
@@ -0,0 +1,238 @@
+import net from 'net';
+import tls from 'tls';
+
+const CRLF = '\r\n';
+
+const encodeCommand = (args) => {
+  let payload = `*${args.length}${CRLF}`;
+  for (const arg of args) {
+    const value = String(arg);
+    payload += `$${Buffer.byteLength(value)}${CRLF}${value}${CRLF}`;
+  }
+  return payload;
+};
+
+const parseReply = (buffer, offset = 0) => {
+  const lineEnd = buffer.indexOf(CRLF, offset);
+  if (lineEnd === -1) return null;
+
+  const type = String.fromCharCode(buffer[offset]);
+  const line = buffer.toString('utf8', offset + 1, lineEnd);
+  const next = lineEnd + 2;
+
+  switch (type) {
+    case '+':
+      return { value: line, offset: next };
+    case '-':
+      return { value: new Error(line), offset: next };
+    case ':':
+      return { value: Number(line), offset: next };
+    case '$': {
+      const length = Number(line);
+      if (length === -1) return { value: null, offset: next };
+      if (buffer.length < next + length + 2) return null;
+      return {
+        value: buffer.toString('utf8', next, next + length),
+        offset: next + length + 2
+      };
+    }
+    case '*': {
+      const count = Number(line);
+      if (count === -1) return { value: null, offset: next };
+
+      const items = [];
+      let position = next;
+      for (let i = 0; i < count; i++) {
+        const item = parseReply(buffer, position);
+        if (!item) return null;
+        items.push(item.value);
+        position = item.offset;
+      }
+      return { value: items, offset: position };
+    }
+    default:
+      throw new Error(`Unexpected Redis reply type: ${type}`);
+  }
+};
+
+const createConnection = (options) => {
+  const url = options.url ? new URL(options.url) : null;
+  const host = options.host || url?.hostname || '127.0.0.1';
+  const port = Number(options.port || url?.port || 6379);
+  const useTls = options.tls ?? url?.protocol === 'rediss:';
+  const username = options.username || (url?.username ? decodeURIComponent(url.username) : undefined);
+  const password = options.password || (url?.password ? decodeURIComponent(url.password) : undefined);
+  const db = options.db ?? (url?.pathname && url.pathname.length > 1 ? Number(url.pathname.slice(1)) : undefined);
+
+  const pending = [];
+  let buffer = Buffer.alloc(0);
+  let socket = null;
+  let ready = null;
+
+  const rejectPending = (error) => {
+    while (pending.length) {
+      pending.shift().reject(error);
+    }
+  };
+
+  const onData = (chunk) => {
+    buffer = Buffer.concat([buffer, chunk]);
+
+    let reply;
+    while (buffer.length && (reply = parseReply(buffer))) {
+      buffer = buffer.subarray(reply.offset);
+      const { resolve, reject } = pending.shift();
+      if (reply.value instanceof Error) {
+        reject(reply.value);
+      } else {
+        resolve(reply.value);
+      }
+    }
+  };
+
+  const write = (args) => new Promise((resolve, reject) => {
+    pending.push({ resolve, reject });
+    socket.write(encodeCommand(args));
+  });
+
+  const connect = () => {
+    if (ready) return ready;
+
+    ready = new Promise((resolve, reject) => {
+      socket = useTls
+        ? tls.connect({ host, port, servername: host })
+        : net.createConnection({ host, port });
+
+      socket.once(useTls ? 'secureConnect' : 'connect', resolve);
+      socket.once('error', reject);
+      socket.on('data', onData);
+      socket.on('close', () => {
+        rejectPending(new Error('Redis connection closed'));
+        ready = null;
+      });
+    }).then(async () => {
+      socket.on('error', rejectPending);
+      if (password) {
+        await write(username ? ['AUTH', username, password] : ['AUTH', password]);
+      }
+      if (db) {
+        await write(['SELECT', db]);
+      }
+    });
+
+    ready.catch(() => {
+      ready = null;
+    });
+    return ready;
+  };
+
+  return {
+    async command(args) {
+      await connect();
+      return write(args);
+    },
+
+    async close() {
+      if (!socket || socket.destroyed) return;
+      await write(['QUIT']).catch(() => {});
+      socket.end();
+    }
+  };
+};
+
+const fromClient = (client) => ({
+  command(args) {
+    if (typeof client.sendCommand === 'function') {
+      return client.sendCommand(args.map(String));
+    }
+    return client.call(...args);
+  },
+
+  async close() {}
+});
+
+const escapePattern = (value) => value.replace(/[*?[\]\\]/g, '\\$&');
+
+const COMPARE_AND_SET = `
+local current = redis.call('GET', KEYS[1])
+if (current or '') ~= ARGV[1] then
+  return 0
+end
+if ARGV[2] == '' then
+  redis.call('DEL', KEYS[1])
+elseif tonumber(ARGV[3]) > 0 then
+  redis.call('SET', KEYS[1], ARGV[2], 'PX', ARGV[3])
+else
+  redis.call('SET', KEYS[1], ARGV[2])
+end
+return 1
+`;
+
+const MAX_UPDATE_RETRIES = 50;
+
+export function createRedisStore(options = {}) {
+  const connection = options.client ? fromClient(options.client) : createConnection(options);
+  const keyPrefix = options.keyPrefix || '';
+
+  return {
+    async get(key) {
+      const value = await connection.command(['GET', keyPrefix + key]);
+      return value === null ? null : JSON.parse(value);
+    },
+
+    async set(key, value, ttlMs) {
+      const args = ['SET', keyPrefix + key, JSON.stringify(value)];
+      if (ttlMs) {
+        args.push('PX', Math.ceil(ttlMs));
+      }
+      await connection.command(args);
+    },
+
+    async update(key, updater) {
+      for (let attempt = 0; attempt < MAX_UPDATE_RETRIES; attempt++) {
+        const current = await connection.command(['GET', keyPrefix + key]);
+        const change = updater(current === null ? null : JSON.parse(current));
+        if (!change || !(change.delete || 'value' in change)) {
+          return change ?? null;
+        }
+
+        const next = change.delete ? '' : JSON.stringify(change.value);
+        const ttl = change.ttlMs ? Math.ceil(change.ttlMs) : 0;
+        const applied = await connection.command(['EVAL', COMPARE_AND_SET, 1, keyPrefix + key, current ?? '', next, ttl]);
+        if (Number(applied) === 1) {
+          return change;
+        }
+      }
+      throw new Error(`Redis update of "${key}" kept conflicting with concurrent writes`);
+    },
+
+    async delete(key) {
+      await connection.command(['DEL', keyPrefix + key]);
+    },
+
+    async expire(key, ttlMs) {
+      const result = await connection.command(['PEXPIRE', keyPrefix + key, Math.ceil(ttlMs)]);
+      return Number(result) === 1;
+    },
+
+    async scan(prefix = '') {
+      const pattern = `${escapePattern(keyPrefix + prefix)}*`;
+      const keys = [];
+      let cursor = '0';
+
+      do {
+        const [nextCursor, batch] = await connection.command(['SCAN', cursor, 'MATCH', pattern, 'COUNT', 100]);
+        cursor = String(nextCursor);
+        for (const key of batch) {
+          keys.push(key.slice(keyPrefix.length));
+        }
+      } while (cursor !== '0');
+
+      return keys;
+    },
+
+    close() {
+      return connection.close();
+    }
+  };
+}
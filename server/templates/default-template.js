@@ -0,0 +1,37 @@
+export const DEFAULT_TEMPLATE = {
+  subject: '{{#linkOnly}}Your sign-in link{{/linkOnly}}{{^linkOnly}}Your OTP Code{{/linkOnly}}',
+  html: `
+    <div style="font-family: Arial, sans-serif; color: #333; max-width: 600px; margin: 0 auto;">
+      <div style="background: linear-gradient(135deg, {{primaryColor}} 0%, {{secondaryColor}} 100%); padding: 20px; text-align: center;">
+        {{#logoUrl}}<img src="{{logoUrl}}" alt="{{appName}}" style="max-height: 48px; margin-bottom: 10px;">{{/logoUrl}}
+        <h1 style="color: white; margin: 0;">Verification {{#linkOnly}}Link{{/linkOnly}}{{^linkOnly}}Code{{/linkOnly}}</h1>
+      </div>
+      <div style="padding: 30px; background: #f9f9f9;">
+        <h2 style="color: #333;">Hello!</h2>
+        {{#link}}
+        <p style="font-size: 16px; line-height: 1.5;">Click the button below to verify your email address for {{appName}}:</p>
+        <div style="text-align: center; margin: 30px 0;">
+          <a href="{{link}}" style="display: inline-block; background: {{primaryColor}}; color: white; font-size: 18px; font-weight: bold; padding: 15px 30px; border-radius: 8px; text-decoration: none;">Verify my email</a>
+        </div>
+        <p style="font-size: 12px; color: #666; word-break: break-all;">If the button does not work, copy this link into your browser:<br>{{link}}</p>
+        {{/link}}
+        {{#otp}}
+        <p style="font-size: 16px; line-height: 1.5;">{{#link}}Or enter this{{/link}}{{^link}}Your {{appName}}{{/link}} One-Time Password (OTP){{^link}} is{{/link}}:</p>
+        <div style="text-align: center; margin: 30px 0;">
+          <span style="display: inline-block; background: {{primaryColor}}; color: white; font-size: 32px; font-weight: bold; padding: 15px 30px; border-radius: 8px; letter-spacing: 5px;">{{otp}}</span>
+        </div>
+        {{/otp}}
+        <p style="font-size: 14px; color: #666;">
+          This {{#linkOnly}}link is{{/linkOnly}}{{^linkOnly}}{{#link}}link and code are{{/link}}{{^link}}OTP is{{/link}}{{/linkOnly}} valid for <strong>{{expiryMinutes}} minutes</strong>{{#link}} and can be used only once{{/link}}.
+        </p>
+        {{#ip}}<p style="font-size: 12px; color: #666;">Requested from IP address {{ip}}.</p>{{/ip}}
+        <p style="font-size: 14px; color: #d32f2f; margin-top: 20px;">
+          🔒 <strong>Security Notice:</strong> Do not share this {{#linkOnly}}link{{/linkOnly}}{{^linkOnly}}code{{/linkOnly}} with anyone.
+        </p>
+      </div>
+      <div style="background: #333; color: #999; padding: 15px; text-align: center; font-size: 12px;">
+        {{#footer}}{{footer}}{{/footer}}{{^footer}}If you did not request this {{#linkOnly}}link{{/linkOnly}}{{^linkOnly}}code{{/linkOnly}}, please ignore this email.{{/footer}}
+      </div>
+    </div>
+  `
+};
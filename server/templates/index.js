@@ -0,0 +1,100 @@
+import { DEFAULT_TEMPLATE } from './default-template.js';
+import { LINK_CONFIRM_PAGE } from './link-confirm-page.js';
+import { escapeHtml, htmlToText, renderTemplate } from './render.js';
+
+const DEFAULT_TEMPLATE_KEY = 'default';
+
+const SAMPLE_DATA = {
+  otp: '123456',
+  link: 'https://example.com/verify?token=sample',
+  expiryMinutes: 5,
+  ip: '203.0.113.7',
+  email: 'user@example.com'
+};
+
+const getLocaleChain = (locale, defaultLocale) => {
+  const chain = [];
+  if (locale) {
+    chain.push(locale, locale.split('-')[0]);
+  }
+  chain.push(defaultLocale);
+  return [...new Set(chain)];
+};
+
+export function createTemplateRegistry(options = {}) {
+  const { purposes = {}, brand = {}, defaultLocale = 'en' } = options;
+  const templates = {};
+
+  const register = (purpose, locale, template) => {
+    templates[purpose] = { ...templates[purpose], [locale]: template };
+  };
+
+  for (const [purpose, locales] of Object.entries(options.templates || {})) {
+    for (const [locale, template] of Object.entries(locales)) {
+      register(purpose, locale, template);
+    }
+  }
+
+  const hasLocale = (purpose, locale) => Boolean(templates[purpose]?.[locale]);
+
+  const resolve = (purpose = DEFAULT_TEMPLATE_KEY, locale) => {
+    const resolvedLocale = getLocaleChain(locale, defaultLocale).find((candidate) => (
+      hasLocale(purpose, candidate) || hasLocale(DEFAULT_TEMPLATE_KEY, candidate)
+    )) || defaultLocale;
+    const purposeTemplate = resolvedLocale === defaultLocale && Object.hasOwn(purposes, purpose)
+      ? purposes[purpose].template
+      : null;
+
+    return {
+      locale: resolvedLocale,
+      template: {
+        ...DEFAULT_TEMPLATE,
+        ...templates[DEFAULT_TEMPLATE_KEY]?.[resolvedLocale],
+        ...purposeTemplate,
+        ...templates[purpose]?.[resolvedLocale]
+      }
+    };
+  };
+
+  const render = (purpose, { locale, template: overrides, ...data } = {}) => {
+    const resolved = resolve(purpose, locale);
+    const template = { ...resolved.template, ...overrides };
+    const values = {
+      ...brand,
+      ...data,
+      purpose,
+      locale: resolved.locale,
+      linkOnly: Boolean(data.link && !data.otp),
+      year: new Date().getFullYear()
+    };
+
+    const html = renderTemplate(template.html, values, { escape: true });
+    return {
+      locale: resolved.locale,
+      subject: renderTemplate(template.subject, values),
+      html,
+      text: template.text ? renderTemplate(template.text, values) : htmlToText(html)
+    };
+  };
+
+  return {
+    register,
+    resolve,
+    render,
+
+    preview(purpose, { mode = 'code', ...data } = {}) {
+      return render(purpose, {
+        ...SAMPLE_DATA,
+        link: mode === 'code' ? null : SAMPLE_DATA.link,
+        otp: mode === 'link' ? null : SAMPLE_DATA.otp,
+        ...data
+      });
+    },
+
+    renderLinkConfirmation(data) {
+      return renderTemplate(LINK_CONFIRM_PAGE, { ...brand, ...data }, { escape: true });
+    }
+  };
+}
+
+export { escapeHtml, htmlToText, renderTemplate };
@@ -0,0 +1,22 @@
+export const LINK_CONFIRM_PAGE = `<!DOCTYPE html>
+<html lang="{{locale}}">
+  <head>
+    <meta charset="utf-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1">
+    <meta name="referrer" content="no-referrer">
+    <meta name="robots" content="noindex">
+    <title>{{title}} – {{appName}}</title>
+  </head>
+  <body style="font-family: Arial, sans-serif; color: #333; background: #f9f9f9; margin: 0;">
+    <div style="max-width: 480px; margin: 60px auto; padding: 30px; background: white; border-radius: 8px; text-align: center;">
+      {{#logoUrl}}<img src="{{logoUrl}}" alt="{{appName}}" style="max-height: 48px; margin-bottom: 10px;">{{/logoUrl}}
+      <h1 style="font-size: 22px;">{{title}}</h1>
+      <p style="font-size: 16px; line-height: 1.5;">{{message}}</p>
+      <form method="post" action="{{action}}">
+        <input type="hidden" name="token" value="{{token}}">
+        <button type="submit" style="background: {{primaryColor}}; color: white; font-size: 18px; font-weight: bold; padding: 15px 30px; border: 0; border-radius: 8px; cursor: pointer;">{{button}}</button>
+      </form>
+    </div>
+  </body>
+</html>
+`;
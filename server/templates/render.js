@@ -0,0 +1,55 @@
+const HTML_ESCAPES = {
+  '&': '&amp;',
+  '<': '&lt;',
+  '>': '&gt;',
+  '"': '&quot;',
+  "'": '&#39;'
+};
+
+const HTML_ENTITIES = {
+  amp: '&',
+  lt: '<',
+  gt: '>',
+  quot: '"',
+  '#39': "'",
+  nbsp: ' '
+};
+
+// Sections, raw and escaped variables in one pass, so substituted values are never scanned again.
+const TAG_PATTERN = /\{\{([#^])(\w+)\}\}([\s\S]*?)\{\{\/\2\}\}|\{\{\{\s*(\w+)\s*\}\}\}|\{\{\s*(\w+)\s*\}\}/g;
+
+export const escapeHtml = (value) => {
+  return String(value).replace(/[&<>"']/g, (char) => HTML_ESCAPES[char]);
+};
+
+export const renderTemplate = (template, data, options = {}) => {
+  const escape = options.escape ? escapeHtml : String;
+  const valueOf = (name) => (data[name] === undefined || data[name] === null ? '' : data[name]);
+
+  return template.replace(TAG_PATTERN, (match, type, section, content, raw, name) => {
+    if (type) {
+      const visible = type === '#' ? Boolean(data[section]) : !data[section];
+      return visible ? renderTemplate(content, data, options) : '';
+    }
+    return raw ? String(valueOf(raw)) : escape(valueOf(name));
+  });
+};
+
+export const htmlToText = (html) => {
+  return html
+    .replace(/<(head|style|script)[\s\S]*?<\/\1>/gi, '')
+    .replace(/\s+/g, ' ')
+    .replace(/<a\s[^>]*href="([^"]*)"[^>]*>([\s\S]*?)<\/a>/gi, (match, href, label) => {
+      const text = label.replace(/<[^>]+>/g, '').trim();
+      return !text || text === href ? href : `${text} (${href})`;
+    })
+    .replace(/<br\s*\/?>/gi, '\n')
+    .replace(/<\/(p|div|h[1-6]|li|tr|table)>/gi, '\n\n')
+    .replace(/<[^>]+>/g, '')
+    .replace(/&(#39|amp|lt|gt|quot|nbsp);/g, (match, entity) => HTML_ENTITIES[entity])
+    .split('\n')
+    .map((line) => line.trim())
+    .join('\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+};
@@ -0,0 +1,146 @@
+import { test } from 'node:test';
+import assert from 'assert';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { execFile } from 'child_process';
+import { promisify } from 'util';
+import { createTestServer, createTestClock } from '../testing/index.js';
+import { createStore, createMemoryStore, createFileStore, createRedisStore } from '../stores/index.js';
+
+const run = promisify(execFile);
+const storesUrl = new URL('../stores/index.js', import.meta.url).href;
+
+const pause = () => new Promise((resolve) => setTimeout(resolve, Math.random() * 3));
+
+// Every call yields to the event loop so interleaved requests expose read-then-write races.
+const createSlowStore = (clock) => {
+  const inner = createMemoryStore({ clock });
+  const slow = (method) => async (...args) => {
+    await pause();
+    const result = await method(...args);
+    await pause();
+    return result;
+  };
+  return Object.fromEntries(['get', 'set', 'delete', 'expire', 'scan', 'update'].map((name) => [name, slow(inner[name])]));
+};
+
+const createFakeRedisClient = () => {
+  const data = new Map();
+  return {
+    data,
+    async call(command, ...args) {
+      await pause();
+      if (command === 'GET') return data.get(args[0]) ?? null;
+      if (command === 'EVAL') {
+        const [, , key, expected, next] = args;
+        if ((data.get(key) ?? '') !== expected) return 0;
+        if (next === '') data.delete(key);
+        else data.set(key, next);
+        return 1;
+      }
+      throw new Error(`Unexpected command ${command}`);
+    }
+  };
+};
+
+const increment = (store) => store.update('counter', (count) => ({ value: (count || 0) + 1, ttlMs: 60000 }));
+
+test('store.update applies concurrent increments exactly once each', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'otp-store-'));
+  const redisClient = createFakeRedisClient();
+  const backing = createMemoryStore();
+  const custom = {
+    get: async (key) => { await pause(); return backing.get(key); },
+    set: async (key, value, ttlMs) => { await pause(); return backing.set(key, value, ttlMs); },
+    delete: (key) => backing.delete(key),
+    expire: (key, ttlMs) => backing.expire(key, ttlMs),
+    scan: (prefix) => backing.scan(prefix)
+  };
+
+  try {
+    const stores = [
+      createMemoryStore(),
+      createFileStore({ path: path.join(dir, 'otp-store.json') }),
+      createRedisStore({ client: redisClient }),
+      createStore(custom)
+    ];
+    for (const store of stores) {
+      await Promise.all(Array.from({ length: 20 }, () => increment(store)));
+      assert.strictEqual(Number(await store.get('counter')), 20);
+      assert.deepStrictEqual(await store.update('counter', () => ({ delete: true, removed: true })), { delete: true, removed: true });
+      assert.strictEqual(await store.get('counter'), null);
+      assert.strictEqual(await store.update('counter', () => null), null);
+    }
+    assert.strictEqual(createStore(custom), stores[3]);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('file store updates from several processes are not lost', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'otp-store-'));
+  const filePath = path.join(dir, 'otp-store.json');
+  const script = `
+    import { createFileStore } from ${JSON.stringify(storesUrl)};
+    const store = createFileStore({ path: ${JSON.stringify(filePath)} });
+    for (let i = 0; i < 15; i++) {
+      await store.update('counter', (count) => ({ value: (count || 0) + 1, ttlMs: 60000 }));
+    }
+  `;
+  try {
+    await Promise.all(Array.from({ length: 3 }, () => run(process.execPath, ['--input-type=module', '-e', script])));
+    assert.strictEqual(await createFileStore({ path: filePath }).get('counter'), 45);
+    assert.ok(!fs.existsSync(`${filePath}.lock`));
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('parallel wrong guesses cannot exceed maxAttempts', async () => {
+  const clock = createTestClock();
+  const server = await createTestServer({ clock, store: createSlowStore(clock), maxAttempts: 5 });
+  try {
+    await server.sendOtp('jane@example.com');
+    const code = server.transport.lastCode('jane@example.com');
+    const wrong = code === '000000' ? '111111' : '000000';
+
+    const results = await Promise.all(Array.from({ length: 20 }, () => server.verifyOtp('jane@example.com', wrong)));
+    const codes = results.map((result) => result.body.code);
+    assert.strictEqual(codes.filter((value) => value === 'OTP_INVALID').length, 4);
+    assert.strictEqual(codes.filter((value) => value === 'LOCKED').length, 16);
+    assert.strictEqual((await server.verifyOtp('jane@example.com', code)).body.code, 'LOCKED');
+  } finally {
+    await server.close();
+  }
+});
+
+test('a code is consumed by exactly one of several parallel verifications', async () => {
+  const clock = createTestClock();
+  const server = await createTestServer({ clock, store: createSlowStore(clock) });
+  try {
+    await server.sendOtp('jane@example.com');
+    const code = server.transport.lastCode('jane@example.com');
+
+    const results = await Promise.all(Array.from({ length: 5 }, () => server.verifyOtp('jane@example.com', code)));
+    assert.strictEqual(results.filter((result) => result.status === 200).length, 1);
+  } finally {
+    await server.close();
+  }
+});
+
+for (const rule of [
+  { key: 'identifier', limit: 3 },
+  { key: 'identifier', algorithm: 'token-bucket', capacity: 3, refillPerSecond: 0.001 }
+]) {
+  test(`${rule.algorithm || 'sliding-window'} limiter admits exactly its budget under parallel requests`, async () => {
+    const clock = createTestClock();
+    const server = await createTestServer({ clock, store: createSlowStore(clock), maxAttempts: 100, rateLimit: { verify: [rule] } });
+    try {
+      const results = await Promise.all(Array.from({ length: 20 }, () => server.verifyOtp('jane@example.com', '000000')));
+      assert.strictEqual(results.filter((result) => result.body.code !== 'RATE_LIMITED').length, 3);
+    } finally {
+      await server.close();
+    }
+  });
+}
@@ -0,0 +1,18 @@
+import { test } from 'node:test';
+import assert from 'assert';
+import { resolveConfig } from '../config/index.js';
+import { createOtpHasher } from '../security/otp-hash.js';
+
+test('codes stored in plaintext are only accepted when opted in', (t) => {
+  const warn = t.mock.method(console, 'warn', () => {});
+  const legacyEntry = { otp: '123456' };
+
+  const config = resolveConfig({}, {});
+  assert.strictEqual(config.acceptPlaintextOtps, false);
+  assert.strictEqual(createOtpHasher({ secret: 'test-secret', acceptPlaintext: config.acceptPlaintextOtps }).verify('key', '123456', legacyEntry), false);
+  assert.strictEqual(warn.mock.callCount(), 0);
+
+  const migrating = resolveConfig({ acceptPlaintextOtps: true }, {});
+  assert.strictEqual(createOtpHasher({ secret: 'test-secret', acceptPlaintext: migrating.acceptPlaintextOtps }).verify('key', '123456', legacyEntry), true);
+  assert.strictEqual(warn.mock.callCount(), 1);
+});
@@ -0,0 +1,157 @@
+import { test } from 'node:test';
+import assert from 'assert';
+import crypto from 'crypto';
+import { createTestServer, createTestClock } from '../testing/index.js';
+import { createMemoryStore } from '../stores/index.js';
+import { createDeliveryOutbox } from '../middleware/delivery-outbox.js';
+import { createSecretBox } from '../security/secret-box.js';
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Outboxes built by createTestServer run on its test clock, so pass it to move retries along.
+const waitFor = async (check, clock = null, timeoutMs = 2000) => {
+  const deadline = Date.now() + timeoutMs;
+  while (!(await check())) {
+    assert.ok(Date.now() < deadline, 'Timed out waiting for the outbox');
+    clock?.advance(10);
+    await sleep(10);
+  }
+};
+
+const DELIVERY = { maxAttempts: 3, baseDelayMs: 10, multiplier: 2, maxDelayMs: 50, jitter: 0, concurrency: 2, leaseMs: 100, statusTtlSeconds: 60, deadLetterTtlSeconds: 60 };
+
+test('queued sends are retried until delivered', async () => {
+  const server = await createTestServer({ delivery: { ...DELIVERY, mode: 'outbox' } });
+  try {
+    server.transport.failNext(new Error('SMTP unavailable'), 2);
+    const sent = await server.sendOtp('jane@example.com');
+    assert.strictEqual(sent.body.data.delivery.status, 'queued');
+
+    const path = `/delivery/${sent.body.data.delivery.id}`;
+    await waitFor(async () => (await server.get(path)).body.data.status === 'delivered', server.clock);
+    const { data } = (await server.get(path)).body;
+    assert.strictEqual(data.attempts, 3);
+    assert.strictEqual(data.lastError, 'SMTP unavailable');
+
+    const verified = await server.verifyOtp('jane@example.com', server.transport.lastCode('jane@example.com'));
+    assert.strictEqual(verified.status, 200);
+  } finally {
+    await server.close();
+  }
+});
+
+test('queued codes expire by the configured clock', async () => {
+  const server = await createTestServer({
+    clock: createTestClock(new Date('2024-01-01')),
+    delivery: { ...DELIVERY, mode: 'outbox', statusTtlSeconds: 3600 }
+  });
+  try {
+    const sent = await server.sendOtp('jane@example.com');
+    const path = `/delivery/${sent.body.data.delivery.id}`;
+    await waitFor(async () => (await server.get(path)).body.data.status === 'delivered');
+    assert.strictEqual((await server.get(path)).body.data.deliveredAt, server.clock.now());
+
+    server.transport.failNext(new Error('SMTP unavailable'));
+    server.clock.advanceSeconds(30);
+    const resent = await server.resendOtp('jane@example.com');
+    server.clock.advanceMinutes(11);
+    const expired = `/delivery/${resent.body.data.delivery.id}`;
+    await waitFor(async () => (await server.get(expired)).body.data.status === 'failed');
+    assert.strictEqual((await server.get(expired)).body.data.lastError, 'Code expired before it could be delivered');
+  } finally {
+    await server.close();
+  }
+});
+
+test('test server retries wait for its clock', async () => {
+  const server = await createTestServer({ delivery: { ...DELIVERY, mode: 'outbox' } });
+  try {
+    server.transport.failNext(new Error('SMTP unavailable'));
+    const sent = await server.sendOtp('jane@example.com');
+    const path = `/delivery/${sent.body.data.delivery.id}`;
+
+    await waitFor(async () => (await server.get(path)).body.data.status === 'retrying');
+    await sleep(50);
+    assert.strictEqual((await server.get(path)).body.data.status, 'retrying');
+
+    server.clock.advance(DELIVERY.baseDelayMs);
+    await waitFor(async () => (await server.get(path)).body.data.status === 'delivered');
+  } finally {
+    await server.close();
+  }
+});
+
+test('undeliverable codes are dead-lettered and discarded', async () => {
+  const server = await createTestServer({ delivery: { ...DELIVERY, mode: 'outbox' } });
+  try {
+    server.transport.failNext(new Error('SMTP unavailable'), 3);
+    const sent = await server.sendOtp('jane@example.com');
+
+    await waitFor(async () => (await server.router.outbox.deadLetters()).length === 1, server.clock);
+    const [letter] = await server.router.outbox.deadLetters();
+    assert.strictEqual(letter.id, sent.body.data.delivery.id);
+    assert.strictEqual(letter.to, 'jane@example.com');
+    assert.strictEqual((await server.verifyOtp('jane@example.com', '123456')).body.code, 'OTP_NOT_FOUND');
+  } finally {
+    await server.close();
+  }
+});
+
+test('jobs left behind by a stopped instance are delivered by another one', async () => {
+  const store = createMemoryStore();
+  const key = crypto.randomBytes(32);
+  const delivered = [];
+  const stalled = createDeliveryOutbox({
+    store,
+    box: createSecretBox(key),
+    channels: { email: { send: () => new Promise(() => {}) } },
+    config: { ...DELIVERY, concurrency: 1 }
+  });
+  await stalled.enqueue({ id: 'first', channel: 'email', message: { to: 'jane@example.com', purpose: 'default', otp: '123456' } });
+  await stalled.enqueue({ id: 'second', channel: 'email', message: { to: 'john@example.com', purpose: 'default', otp: '654321' } });
+  assert.ok(!JSON.stringify(await store.get('delivery-job:second')).includes('654321'));
+
+  const outbox = createDeliveryOutbox({
+    store,
+    box: createSecretBox(key),
+    channels: { email: { send: async (message) => delivered.push(message.otp) } },
+    config: DELIVERY
+  });
+  try {
+    await sleep(20);
+    assert.deepStrictEqual(delivered, []);
+
+    await waitFor(() => delivered.length === 2);
+    assert.deepStrictEqual(delivered.sort(), ['123456', '654321']);
+    assert.strictEqual((await outbox.status('first')).status, 'delivered');
+    assert.deepStrictEqual(await store.scan('delivery-job:'), []);
+
+    await outbox.enqueue({ id: 'expired', channel: 'email', message: { to: 'jane@example.com', purpose: 'default' }, expireAt: Date.now() - 1 });
+    await waitFor(async () => (await outbox.status('expired')).status === 'failed');
+    assert.strictEqual((await outbox.status('expired')).lastError, 'Code expired before it could be delivered');
+  } finally {
+    await outbox.close();
+  }
+});
+
+test('closing an outbox hands its queued jobs back straight away', async () => {
+  const store = createMemoryStore();
+  const key = crypto.randomBytes(32);
+  const failing = createDeliveryOutbox({
+    store,
+    box: createSecretBox(key),
+    channels: { email: { send: async () => { throw new Error('SMTP unavailable'); } } },
+    config: { ...DELIVERY, baseDelayMs: 60000, maxDelayMs: 60000 }
+  });
+  await failing.enqueue({ id: 'job', channel: 'email', message: { to: 'jane@example.com', purpose: 'default' } });
+  await waitFor(async () => (await failing.status('job')).status === 'retrying');
+  await failing.close();
+
+  const outbox = createDeliveryOutbox({ store, box: createSecretBox(key), channels: {}, config: DELIVERY });
+  try {
+    await waitFor(() => outbox.pending() === 1);
+    assert.strictEqual(await outbox.recover(), 0);
+  } finally {
+    await outbox.close();
+  }
+});
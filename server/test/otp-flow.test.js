@@ -0,0 +1,199 @@
+import { test } from 'node:test';
+import assert from 'assert';
+import { createTestServer } from '../testing/index.js';
+
+const wrongCode = (code) => (code === '000000' ? '111111' : '000000');
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+test('a sent code verifies once and returns a verification token', async () => {
+  const server = await createTestServer();
+  try {
+    assert.strictEqual((await server.sendOtp('jane@example.com')).status, 200);
+    const code = server.transport.lastCode('jane@example.com');
+
+    const verified = await server.verifyOtp('jane@example.com', code);
+    assert.strictEqual(verified.status, 200);
+    assert.ok(verified.body.data.token);
+
+    const reused = await server.verifyOtp('jane@example.com', code);
+    assert.strictEqual(reused.body.code, 'OTP_NOT_FOUND');
+  } finally {
+    await server.close();
+  }
+});
+
+test('expired codes are reported as OTP_EXPIRED and swept', async () => {
+  const server = await createTestServer({ metrics: true });
+  const expired = [];
+  server.router.on('otp.expired', (event) => expired.push(event.source || 'verify'));
+  try {
+    await server.sendOtp('jane@example.com');
+    server.clock.advanceMinutes(6);
+    const late = await server.verifyOtp('jane@example.com', server.transport.lastCode('jane@example.com'));
+    assert.strictEqual(late.status, 410);
+    assert.strictEqual(late.body.code, 'OTP_EXPIRED');
+
+    await server.sendOtp('john@example.com');
+    server.clock.advanceMinutes(6);
+    assert.strictEqual(await server.router.sweep(), 0);
+    server.clock.advanceMinutes(60);
+    assert.strictEqual(await server.router.sweep(), 1);
+    assert.strictEqual((await server.verifyOtp('john@example.com', '123456')).body.code, 'OTP_NOT_FOUND');
+    assert.deepStrictEqual(expired, ['verify', 'sweeper']);
+  } finally {
+    await server.close();
+  }
+});
+
+test('the background sweeper leaves expired codes alone during the grace period', async () => {
+  const server = await createTestServer({ sweeper: { intervalMs: 50 } });
+  const swept = [];
+  server.router.on('otp.expired', (event) => swept.push(event.source || 'verify'));
+  try {
+    await server.sendOtp('jane@example.com');
+    await server.sendOtp('john@example.com');
+    server.clock.advanceMinutes(6);
+    await sleep(150);
+    assert.deepStrictEqual(swept, []);
+    assert.strictEqual((await server.verifyOtp('jane@example.com', server.transport.lastCode('jane@example.com'))).body.code, 'OTP_EXPIRED');
+
+    server.clock.advanceMinutes(60);
+    await sleep(150);
+    assert.deepStrictEqual(swept, ['verify', 'sweeper']);
+    assert.strictEqual((await server.verifyOtp('john@example.com', server.transport.lastCode('john@example.com'))).body.code, 'OTP_NOT_FOUND');
+  } finally {
+    await server.close();
+  }
+});
+
+test('error codes and statuses hold with the default sweeper config', async () => {
+  const server = await createTestServer({ sweeper: {} });
+  try {
+    assert.strictEqual(server.router.config.sweeper.intervalMs, 60 * 1000);
+    await server.sendOtp('jane@example.com');
+    const code = server.transport.lastCode('jane@example.com');
+
+    const wrong = await server.verifyOtp('jane@example.com', wrongCode(code));
+    assert.strictEqual(wrong.status, 422);
+    assert.strictEqual(wrong.body.code, 'OTP_INVALID');
+    assert.strictEqual(wrong.body.data.attemptsRemaining, 4);
+
+    server.clock.advanceMinutes(6);
+    assert.strictEqual(await server.router.sweep(), 0);
+    const late = await server.verifyOtp('jane@example.com', code);
+    assert.strictEqual(late.status, 410);
+    assert.strictEqual(late.body.code, 'OTP_EXPIRED');
+    assert.strictEqual((await server.verifyOtp('jane@example.com', code)).status, 404);
+  } finally {
+    await server.close();
+  }
+});
+
+test('too many wrong codes lock the identifier and burn the code', async () => {
+  const server = await createTestServer({ maxAttempts: 3 });
+  try {
+    await server.sendOtp('jane@example.com');
+    const code = server.transport.lastCode('jane@example.com');
+
+    const first = await server.verifyOtp('jane@example.com', wrongCode(code));
+    assert.strictEqual(first.body.code, 'OTP_INVALID');
+    assert.strictEqual(first.body.data.attemptsRemaining, 2);
+    await server.verifyOtp('jane@example.com', wrongCode(code));
+    const locked = await server.verifyOtp('jane@example.com', wrongCode(code));
+    assert.strictEqual(locked.status, 429);
+    assert.strictEqual(locked.body.code, 'LOCKED');
+
+    assert.strictEqual((await server.verifyOtp('jane@example.com', code)).body.code, 'LOCKED');
+    assert.strictEqual((await server.sendOtp('jane@example.com')).body.code, 'LOCKED');
+
+    server.clock.advanceMinutes(16);
+    assert.strictEqual((await server.verifyOtp('jane@example.com', code)).body.code, 'OTP_NOT_FOUND');
+    assert.strictEqual((await server.sendOtp('jane@example.com')).status, 200);
+    const fresh = server.transport.lastCode('jane@example.com');
+    assert.strictEqual((await server.verifyOtp('jane@example.com', fresh)).status, 200);
+  } finally {
+    await server.close();
+  }
+});
+
+test('repeated lockouts last longer each time', async () => {
+  const server = await createTestServer({ maxAttempts: 1 });
+  try {
+    await server.sendOtp('jane@example.com');
+    const first = await server.verifyOtp('jane@example.com', wrongCode(server.transport.lastCode('jane@example.com')));
+    assert.strictEqual(first.body.data.retryAfter, 15 * 60);
+
+    server.clock.advanceMinutes(16);
+    await server.sendOtp('jane@example.com');
+    const second = await server.verifyOtp('jane@example.com', wrongCode(server.transport.lastCode('jane@example.com')));
+    assert.strictEqual(second.body.data.retryAfter, 30 * 60);
+  } finally {
+    await server.close();
+  }
+});
+
+test('resends wait for the cooldown', async () => {
+  const server = await createTestServer({ resend: { cooldownSeconds: 30, maxResends: 1 } });
+  try {
+    await server.sendOtp('jane@example.com');
+
+    const early = await server.resendOtp('jane@example.com');
+    assert.strictEqual(early.status, 429);
+    assert.strictEqual(early.body.code, 'RESEND_COOLDOWN');
+    assert.strictEqual(early.body.data.retryAfter, 30);
+
+    server.clock.advanceSeconds(30);
+    assert.strictEqual((await server.resendOtp('jane@example.com')).status, 200);
+    server.transport.assertSent('jane@example.com', { count: 2 });
+
+    server.clock.advanceSeconds(30);
+    assert.notStrictEqual((await server.resendOtp('jane@example.com')).status, 200);
+    server.transport.assertSent('jane@example.com', { count: 2 });
+  } finally {
+    await server.close();
+  }
+});
+
+test('sending again while a code is active counts as a resend and keeps wrong attempts', async () => {
+  const server = await createTestServer({ maxAttempts: 3, resend: { cooldownSeconds: 30, maxResends: 1 } });
+  try {
+    await server.sendOtp('jane@example.com');
+    const wrong = wrongCode(server.transport.lastCode('jane@example.com'));
+    await server.verifyOtp('jane@example.com', wrong);
+
+    server.clock.advanceSeconds(30);
+    const again = await server.sendOtp('jane@example.com');
+    assert.strictEqual(again.status, 200);
+    assert.strictEqual(again.body.data.resendsRemaining, 0);
+    assert.strictEqual((await server.verifyOtp('jane@example.com', wrong)).body.data.attemptsRemaining, 1);
+
+    server.clock.advanceSeconds(30);
+    for (const response of [await server.resendOtp('jane@example.com'), await server.sendOtp('jane@example.com')]) {
+      assert.strictEqual(response.status, 429);
+      assert.strictEqual(response.body.code, 'RESEND_LIMIT_REACHED');
+    }
+
+    server.clock.advanceMinutes(10);
+    assert.strictEqual((await server.sendOtp('jane@example.com')).body.data.resendsRemaining, 1);
+  } finally {
+    await server.close();
+  }
+});
+
+test('non-string input is rejected with a 4xx', async () => {
+  const server = await createTestServer();
+  try {
+    for (const value of [12345, { value: 1 }, ['x'], true, null]) {
+      for (const field of ['email', 'identifier', 'otp', 'purpose', 'channel', 'locale', 'mode']) {
+        for (const path of ['/send', '/resend', '/verify']) {
+          const response = await server.post(path, { email: 'jane@example.com', otp: '123456', [field]: value });
+          assert.ok(response.status < 500, `${path} with ${field}=${JSON.stringify(value)} returned ${response.status}`);
+        }
+      }
+    }
+    const numeric = await server.post('/verify', { email: 'john@example.com', otp: 123456 });
+    assert.strictEqual(numeric.body.code, 'OTP_NOT_FOUND');
+  } finally {
+    await server.close();
+  }
+});
@@ -0,0 +1,34 @@
+import { test } from 'node:test';
+import assert from 'assert';
+import { createRateLimiter, createClientIpResolver } from '../rate-limit/index.js';
+import { createMemoryStore } from '../stores/index.js';
+
+test('a request rejected by one rule does not spend the budget of the others', async () => {
+  const limiter = createRateLimiter({
+    store: createMemoryStore(),
+    rules: [
+      { key: 'identifier', limit: 3 },
+      { key: 'ip', algorithm: 'token-bucket', capacity: 1, refillPerSecond: 0.001 }
+    ]
+  });
+  const now = Date.now();
+
+  assert.strictEqual((await limiter.consume({ ip: '203.0.113.1', identifier: 'jane@example.com' }, now)).allowed, true);
+  for (let i = 0; i < 5; i++) {
+    const blocked = await limiter.consume({ ip: '203.0.113.1', identifier: 'jane@example.com' }, now);
+    assert.strictEqual(blocked.rule, 'ip.1');
+  }
+  const other = await limiter.consume({ ip: '203.0.113.2', identifier: 'jane@example.com' }, now);
+  assert.strictEqual(other.allowed, true);
+  assert.strictEqual(other.remaining, 0);
+});
+
+test('forwarded client addresses are only trusted up to the configured hops', () => {
+  const req = (forwarded) => ({ socket: { remoteAddress: '10.0.0.1' }, headers: { 'x-forwarded-for': forwarded } });
+
+  assert.strictEqual(createClientIpResolver(false)(req('1.2.3.4')), '10.0.0.1');
+  assert.strictEqual(createClientIpResolver(true)(req('1.2.3.4, 198.51.100.7')), '198.51.100.7');
+  assert.strictEqual(createClientIpResolver(1)(req('1.2.3.4, 198.51.100.7')), '198.51.100.7');
+  assert.strictEqual(createClientIpResolver(2)(req('1.2.3.4, 198.51.100.7, 10.0.0.2')), '198.51.100.7');
+  assert.strictEqual(createClientIpResolver(['10.0.0.1', '10.0.0.2'])(req('1.2.3.4, 198.51.100.7, 10.0.0.2')), '198.51.100.7');
+});
@@ -0,0 +1,149 @@
+import { test } from 'node:test';
+import assert from 'assert';
+import { createTestServer } from '../testing/index.js';
+import { createMemoryStore } from '../stores/index.js';
+
+test('store failures on async routes return 500 INTERNAL_ERROR', async (t) => {
+  t.mock.method(console, 'error', () => {});
+  const inner = createMemoryStore();
+  let broken = false;
+  const failing = (method) => async (...args) => {
+    if (broken) throw new Error('Store unavailable');
+    return method(...args);
+  };
+  const store = { ...inner, get: failing(inner.get), scan: failing(inner.scan) };
+  const server = await createTestServer({
+    store,
+    enableCleanupRoute: true,
+    delivery: { mode: 'outbox' },
+    recoveryCodes: { identify: (req) => req.get('x-user') }
+  });
+  try {
+    broken = true;
+    for (const response of [
+      await server.get('/delivery/some-id'),
+      await server.post('/recovery-codes/status', {}, { 'x-user': 'jane@example.com' }),
+      await server.post('/cleanup', {})
+    ]) {
+      assert.strictEqual(response.status, 500);
+      assert.strictEqual(response.body.code, 'INTERNAL_ERROR');
+    }
+  } finally {
+    broken = false;
+    await server.close();
+  }
+});
+
+test('audit queries match identifiers however they are written', async () => {
+  const server = await createTestServer({ audit: { authorize: () => true } });
+  try {
+    await server.sendOtp('Jane@Example.com');
+    const { body } = await server.get('/audit?identifier=%20JANE@example.COM');
+    assert.strictEqual(body.data.count, 1);
+  } finally {
+    await server.close();
+  }
+});
+
+test('send failure metrics only label configured channels', async () => {
+  const server = await createTestServer({ metrics: true });
+  try {
+    for (let i = 0; i < 3; i++) {
+      await server.sendOtp('jane@example.com', { channel: `made-up-${i}` });
+    }
+    const lines = (await server.get('/metrics')).body.split('\n').filter((line) => line.startsWith('otp_send_failures_total'));
+    assert.deepStrictEqual(lines, ['otp_send_failures_total{reason="invalid_channel",channel="invalid"} 3']);
+  } finally {
+    await server.close();
+  }
+});
+
+test('the active codes gauge follows sends, verifications and expiry without scanning the store', async (t) => {
+  const store = createMemoryStore();
+  const scan = t.mock.method(store, 'scan');
+  const server = await createTestServer({ store, metrics: true });
+  const activeCodes = async () => (await server.get('/metrics')).body.split('\n').find((line) => line.startsWith('otp_active_codes '));
+  try {
+    await server.sendOtp('jane@example.com');
+    await server.sendOtp('john@example.com');
+    await server.sendOtp('john@example.com', { purpose: 'login' });
+    assert.strictEqual(await activeCodes(), 'otp_active_codes 3');
+
+    await server.verifyOtp('jane@example.com', server.transport.lastCode('jane@example.com'));
+    assert.strictEqual(await activeCodes(), 'otp_active_codes 2');
+
+    server.clock.advanceMinutes(11);
+    assert.strictEqual(await activeCodes(), 'otp_active_codes 0');
+    assert.strictEqual(scan.mock.callCount(), 0);
+  } finally {
+    await server.close();
+  }
+});
+
+test('magic links are confirmed with a POST and hand the token over in the fragment', async () => {
+  const server = await createTestServer({
+    magicLink: { url: 'https://api.example.com/magic-link', successUrl: 'https://app.example.com/welcome' }
+  });
+  try {
+    await server.sendOtp('jane@example.com', { mode: 'link' });
+    const token = new URL(server.transport.lastLink('jane@example.com')).searchParams.get('token');
+
+    const page = await server.get(`/magic-link?token=${encodeURIComponent(token)}`);
+    assert.strictEqual(page.status, 200);
+    assert.strictEqual(page.headers.get('referrer-policy'), 'no-referrer');
+    assert.ok(page.body.includes('<form method="post"'));
+    assert.ok(page.body.includes(`value="${token}"`));
+    assert.strictEqual((await server.get(`/magic-link?token=${encodeURIComponent(token)}`)).status, 200);
+
+    const confirmed = await fetch(`${server.url}/magic-link`, {
+      method: 'POST',
+      headers: { 'content-type': 'application/x-www-form-urlencoded' },
+      body: new URLSearchParams({ token }),
+      redirect: 'manual'
+    });
+    const location = new URL(confirmed.headers.get('location'));
+    assert.strictEqual(confirmed.status, 303);
+    assert.strictEqual(location.search, '');
+    assert.ok(new URLSearchParams(location.hash.slice(1)).get('verificationToken'));
+
+    const again = await server.post('/magic-link', { token });
+    assert.strictEqual(again.body.code, 'LINK_USED');
+
+    const injected = await server.get('/magic-link?token=%22%3E%3Cscript%3Ealert(1)%3C%2Fscript%3E');
+    assert.ok(!injected.body.includes('<script>'));
+  } finally {
+    await server.close();
+  }
+});
+
+test('a full memory store evicts codes but never lockouts', async () => {
+  const server = await createTestServer({
+    storeOptions: { maxEntries: 20 },
+    maxAttempts: 1,
+    rateLimit: { send: [], verify: [] }
+  });
+  try {
+    await server.sendOtp('jane@example.com');
+    const wrong = server.transport.lastCode('jane@example.com') === '000000' ? '111111' : '000000';
+    assert.strictEqual((await server.verifyOtp('jane@example.com', wrong)).body.code, 'LOCKED');
+
+    for (let i = 0; i < 40; i++) {
+      await server.sendOtp(`user${i}@example.com`);
+    }
+    assert.strictEqual((await server.sendOtp('jane@example.com')).body.code, 'LOCKED');
+  } finally {
+    await server.close();
+  }
+});
+
+test('a full memory store keeps the entry it just wrote', async () => {
+  const store = createMemoryStore({ maxEntries: 2, evictable: (key) => key.startsWith('otp:') });
+  await store.set('lock:a', 1);
+  await store.set('lock:b', 2);
+  await store.set('otp:c', 3);
+  assert.strictEqual(await store.get('otp:c'), 3);
+
+  await store.set('otp:d', 4);
+  assert.strictEqual(await store.get('otp:c'), null);
+  assert.strictEqual(await store.get('otp:d'), 4);
+});
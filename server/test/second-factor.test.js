@@ -0,0 +1,173 @@
+import { test } from 'node:test';
+import assert from 'assert';
+import { createTestServer } from '../testing/index.js';
+import { createOtpRoutes } from '../middleware/otp-middleware.js';
+import { generateTotp } from '../security/totp.js';
+
+const signedIn = { 'x-user': 'jane@example.com' };
+const identify = (req) => req.get('x-user');
+
+test('totp and recovery codes require an identify function', () => {
+  assert.throws(() => createOtpRoutes({ otpSecret: 'test-secret', totp: {} }), /totp\.identify is required/);
+  assert.throws(() => createOtpRoutes({ otpSecret: 'test-secret', recoveryCodes: {} }), /recoveryCodes\.identify is required/);
+});
+
+test('totp enrollment uses the signed-in user and locks out after repeated failures', async () => {
+  const server = await createTestServer({ totp: { identify } });
+  try {
+    const enrolled = await server.post('/totp/enroll', { email: 'victim@example.com' }, signedIn);
+    assert.strictEqual(enrolled.body.data.email, 'jane@example.com');
+    const { secret } = enrolled.body.data;
+    const current = () => generateTotp(secret, { now: server.clock.now() });
+    assert.strictEqual((await server.post('/totp/confirm', { otp: current() }, signedIn)).status, 200);
+
+    server.clock.advanceMinutes(1);
+    const wrong = current() === '000000' ? '111111' : '000000';
+    const results = [];
+    for (let i = 0; i < 6; i++) {
+      results.push((await server.post('/totp/verify', { email: 'jane@example.com', otp: wrong })).body.code);
+    }
+    assert.deepStrictEqual(results, ['TOTP_INVALID', 'TOTP_INVALID', 'TOTP_INVALID', 'TOTP_INVALID', 'LOCKED', 'LOCKED']);
+    assert.strictEqual((await server.post('/totp/verify', { email: 'jane@example.com', otp: current() })).body.code, 'LOCKED');
+
+    server.clock.advanceMinutes(16);
+    assert.strictEqual((await server.post('/totp/verify', { email: 'jane@example.com', otp: current() })).status, 200);
+  } finally {
+    await server.close();
+  }
+});
+
+test('totp confirmation locks out after repeated failures and a verify issues a token', async () => {
+  const server = await createTestServer({ maxAttempts: 3, totp: { identify } });
+  try {
+    let { secret } = (await server.post('/totp/enroll', {}, signedIn)).body.data;
+    const current = () => generateTotp(secret, { now: server.clock.now() });
+    const wrong = current() === '000000' ? '111111' : '000000';
+    const results = [];
+    for (let i = 0; i < 4; i++) {
+      results.push((await server.post('/totp/confirm', { otp: wrong }, signedIn)).body.code);
+    }
+    assert.deepStrictEqual(results, ['TOTP_INVALID', 'TOTP_INVALID', 'LOCKED', 'LOCKED']);
+    assert.strictEqual((await server.post('/totp/confirm', { otp: current() }, signedIn)).body.code, 'LOCKED');
+    assert.strictEqual((await server.post('/totp/enroll', {}, signedIn)).body.code, 'LOCKED');
+
+    server.clock.advanceMinutes(16);
+    ({ secret } = (await server.post('/totp/enroll', {}, signedIn)).body.data);
+    assert.strictEqual((await server.post('/totp/confirm', { otp: current() }, signedIn)).status, 200);
+
+    server.clock.advanceMinutes(1);
+    const verified = await server.post('/totp/verify', { email: 'jane@example.com', otp: current() });
+    assert.strictEqual(verified.status, 200);
+    assert.strictEqual(verified.body.data.method, 'totp');
+    assert.strictEqual(verified.body.data.purpose, 'two_factor');
+    assert.ok(verified.body.data.token);
+  } finally {
+    await server.close();
+  }
+});
+
+test('totp verification goes through the verify rate limiter', async () => {
+  const server = await createTestServer({
+    maxAttempts: 100,
+    totp: { identify },
+    rateLimit: { verify: [{ key: 'identifier', limit: 3 }] }
+  });
+  try {
+    const codes = [];
+    for (let i = 0; i < 5; i++) {
+      codes.push((await server.post('/totp/verify', { email: 'jane@example.com', otp: '000000' })).body.code);
+    }
+    assert.deepStrictEqual(codes.slice(3), ['RATE_LIMITED', 'RATE_LIMITED']);
+  } finally {
+    await server.close();
+  }
+});
+
+test('recovery codes are only checked when asked for and respect lockouts', async () => {
+  const server = await createTestServer({
+    otpLength: 10,
+    otpFormat: { alphabet: 'alphanumeric' },
+    maxAttempts: 2,
+    recoveryCodes: { identify }
+  });
+  try {
+    const generated = await server.post('/recovery-codes', { email: 'victim@example.com' }, signedIn);
+    assert.strictEqual(generated.body.data.email, 'jane@example.com');
+    const [first, second] = generated.body.data.codes;
+
+    const asOtp = await server.verifyOtp('jane@example.com', first.replace(/-/g, ''));
+    assert.notStrictEqual(asOtp.status, 200);
+
+    const used = await server.post('/verify', { email: 'jane@example.com', recoveryCode: first });
+    assert.strictEqual(used.status, 200);
+    assert.strictEqual(used.body.data.method, 'recovery');
+    assert.strictEqual((await server.post('/verify', { email: 'jane@example.com', recoveryCode: first })).body.code, 'RECOVERY_CODE_INVALID');
+
+    await server.sendOtp('jane@example.com');
+    const wrong = server.transport.lastCode('jane@example.com') === 'AAAAAAAAAA' ? 'BBBBBBBBBB' : 'AAAAAAAAAA';
+    await server.verifyOtp('jane@example.com', wrong);
+    await server.verifyOtp('jane@example.com', wrong);
+    const locked = await server.post('/verify', { email: 'jane@example.com', recoveryCode: second });
+    assert.strictEqual(locked.body.code, 'LOCKED');
+  } finally {
+    await server.close();
+  }
+});
+
+test('wrong recovery codes count toward the same lockout as wrong codes', async () => {
+  const server = await createTestServer({ maxAttempts: 3, recoveryCodes: { identify } });
+  try {
+    const [code] = (await server.post('/recovery-codes', {}, signedIn)).body.data.codes;
+    await server.sendOtp('jane@example.com');
+    const wrong = server.transport.lastCode('jane@example.com') === '000000' ? '111111' : '000000';
+
+    const guessed = await server.post('/verify', { email: 'jane@example.com', recoveryCode: 'AAAA-AAAA-AA' });
+    assert.strictEqual(guessed.body.code, 'RECOVERY_CODE_INVALID');
+    assert.strictEqual(guessed.body.data.attemptsRemaining, 2);
+    assert.strictEqual((await server.verifyOtp('jane@example.com', wrong)).body.data.attemptsRemaining, 1);
+    assert.strictEqual((await server.post('/verify', { email: 'jane@example.com', recoveryCode: 'AAAA-AAAA-AA' })).body.code, 'LOCKED');
+    assert.strictEqual((await server.post('/verify', { email: 'jane@example.com', recoveryCode: code })).body.code, 'LOCKED');
+
+    server.clock.advanceMinutes(16);
+    assert.strictEqual((await server.post('/verify', { email: 'jane@example.com', recoveryCode: code })).status, 200);
+  } finally {
+    await server.close();
+  }
+});
+
+test('totp and recovery codes emit the verification lifecycle events', async () => {
+  const server = await createTestServer({ maxAttempts: 2, totp: { identify }, recoveryCodes: { identify } });
+  const seen = [];
+  server.router.on('*', (event) => {
+    if (event.method) seen.push(`${event.type}:${event.method}:${event.reason || ''}`);
+  });
+  try {
+    const { secret } = (await server.post('/totp/enroll', {}, signedIn)).body.data;
+    const current = () => generateTotp(secret, { now: server.clock.now() });
+    await server.post('/totp/confirm', { otp: current() }, signedIn);
+    server.clock.advanceMinutes(1);
+    await server.post('/totp/verify', { email: 'jane@example.com', otp: current() });
+    const wrong = current() === '000000' ? '111111' : '000000';
+    await server.post('/totp/verify', { email: 'jane@example.com', otp: wrong });
+    await server.post('/totp/verify', { email: 'jane@example.com', otp: wrong });
+
+    const [code] = (await server.post('/recovery-codes', {}, signedIn)).body.data.codes;
+    await server.post('/verify', { email: 'jane@example.com', recoveryCode: code });
+    await server.post('/verify', { email: 'jane@example.com', recoveryCode: code });
+    await server.post('/verify', { email: 'jane@example.com', recoveryCode: code });
+
+    assert.deepStrictEqual(seen, [
+      'otp.verified:totp:',
+      'otp.verified:totp:',
+      'otp.verify_failed:totp:invalid_code',
+      'otp.locked:totp:',
+      'otp.verify_failed:totp:invalid_code',
+      'otp.verified:recovery:',
+      'otp.verify_failed:recovery:invalid_recovery_code',
+      'otp.locked:recovery:',
+      'otp.verify_failed:recovery:invalid_recovery_code'
+    ]);
+  } finally {
+    await server.close();
+  }
+});
@@ -0,0 +1,9 @@
+import { test } from 'node:test';
+import assert from 'assert';
+import { renderTemplate } from '../templates/render.js';
+
+test('values substituted into a template are not rendered again', () => {
+  const data = { name: '{{secret}}', raw: '{{{secret}}}', show: true, secret: '<b>leak</b>' };
+  const html = renderTemplate('{{name}} {{{raw}}} {{#show}}[{{name}}]{{/show}}{{^show}}hidden{{/show}}', data, { escape: true });
+  assert.strictEqual(html, '{{secret}} {{{secret}}} [{{secret}}]');
+});
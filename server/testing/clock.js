@@ -0,0 +1,31 @@
+const toTime = (value) => (value instanceof Date ? value.getTime() : value);
+
+export function createTestClock(start = Date.now()) {
+  let current = toTime(start);
+
+  const advance = (ms) => {
+    current += ms;
+    return current;
+  };
+
+  return {
+    now() {
+      return current;
+    },
+
+    advance,
+
+    advanceSeconds(seconds) {
+      return advance(seconds * 1000);
+    },
+
+    advanceMinutes(minutes) {
+      return advance(minutes * 60 * 1000);
+    },
+
+    set(time) {
+      current = toTime(time);
+      return current;
+    }
+  };
+}
@@ -0,0 +1,69 @@
+import assert from 'assert';
+import { createCaptureTransport } from '../transports/capture-transport.js';
+
+const defaultMatch = (value) => String(value ?? '').trim().toLowerCase();
+
+export function createFakeTransport(options = {}) {
+  const { match = defaultMatch } = options;
+  const capture = createCaptureTransport({ maxMessages: options.maxMessages ?? 1000 });
+  let failures = [];
+
+  const sentTo = (to, filter = {}) => capture.messages({ to, match }).filter((message) => {
+    return Object.entries(filter).every(([key, value]) => value === undefined || message[key] === value);
+  });
+
+  const describeSent = () => {
+    const recipients = capture.messages().map((message) => `${message.to} (${message.purpose})`);
+    return recipients.length ? recipients.join(', ') : 'nothing';
+  };
+
+  return {
+    async send(message) {
+      const failure = failures.shift();
+      if (failure) {
+        throw failure;
+      }
+      await capture.send(message);
+    },
+
+    failNext(error = new Error('Simulated delivery failure'), times = 1) {
+      failures = Array.from({ length: times }, () => error);
+    },
+
+    messages: capture.messages,
+    latest: (to) => capture.latest(to, match),
+    sentTo,
+
+    lastCode(to) {
+      const message = capture.latest(to, match);
+      assert.ok(message?.otp, `Expected an OTP to have been sent to ${to}, but sent ${describeSent()}`);
+      return message.otp;
+    },
+
+    lastLink(to) {
+      const message = capture.latest(to, match);
+      assert.ok(message?.link, `Expected a magic link to have been sent to ${to}, but sent ${describeSent()}`);
+      return message.link;
+    },
+
+    assertSent(to, { purpose, channel, count } = {}) {
+      const messages = sentTo(to, { purpose, channel });
+      if (count === undefined) {
+        assert.ok(messages.length > 0, `Expected an OTP to have been sent to ${to}${purpose ? ` for ${purpose}` : ''}, but sent ${describeSent()}`);
+      } else {
+        assert.strictEqual(messages.length, count, `Expected ${count} OTP message(s) to ${to}, but found ${messages.length}`);
+      }
+      return messages[0];
+    },
+
+    assertNotSent(to, { purpose, channel } = {}) {
+      const messages = sentTo(to, { purpose, channel });
+      assert.strictEqual(messages.length, 0, `Expected no OTP to be sent to ${to}, but found ${messages.length}`);
+    },
+
+    reset() {
+      failures = [];
+      return capture.clear();
+    }
+  };
+}
@@ -0,0 +1,3 @@
+export { createTestClock } from './clock.js';
+export { createFakeTransport } from './fake-transport.js';
+export { createTestServer } from './test-server.js';
@@ -0,0 +1,72 @@
+import express from 'express';
+import { createOtpRoutes } from '../middleware/otp-middleware.js';
+import { createTestClock } from './clock.js';
+import { createFakeTransport } from './fake-transport.js';
+
+const TEST_SECRET = 'otp-testing-secret-not-for-production-use';
+
+const listen = (app) => new Promise((resolve, reject) => {
+  const server = app.listen(0, '127.0.0.1', () => resolve(server));
+  server.on('error', reject);
+});
+
+const parseBody = (text) => {
+  try {
+    return text ? JSON.parse(text) : null;
+  } catch (error) {
+    return text;
+  }
+};
+
+export async function createTestServer(options = {}) {
+  let router;
+  const {
+    clock = createTestClock(),
+    transport = createFakeTransport({ match: (value) => router.normalizeIdentifier(value) }),
+    ...otpOptions
+  } = options;
+  const channelNames = ['email', ...Object.keys(otpOptions.channels || {})];
+  router = createOtpRoutes({
+    otpSecret: TEST_SECRET,
+    sweeper: { intervalMs: 0 },
+    ...otpOptions,
+    channels: Object.fromEntries(channelNames.map((name) => [name, transport])),
+    clock
+  });
+
+  const app = express();
+  app.use(express.json());
+  app.use(router);
+  const server = await listen(app);
+  const url = `http://127.0.0.1:${server.address().port}`;
+
+  const request = async (method, path, body, headers = {}) => {
+    const response = await fetch(url + path, {
+      method,
+      headers: { ...(body !== undefined && { 'content-type': 'application/json' }), ...headers },
+      body: body === undefined ? undefined : JSON.stringify(body),
+      redirect: 'manual'
+    });
+    return { status: response.status, headers: response.headers, body: parseBody(await response.text()) };
+  };
+
+  return {
+    url,
+    app,
+    router,
+    transport,
+    clock,
+    request,
+    get: (path, headers) => request('GET', path, undefined, headers),
+    post: (path, body, headers) => request('POST', path, body, headers),
+    sendOtp: (identifier, body = {}) => request('POST', '/send', { identifier, ...body }),
+    resendOtp: (identifier, body = {}) => request('POST', '/resend', { identifier, ...body }),
+    verifyOtp: (identifier, otp, body = {}) => request('POST', '/verify', { identifier, otp, ...body }),
+
+    async close() {
+      server.closeAllConnections?.();
+      await new Promise((resolve) => server.close(resolve));
+      await router.close();
+    }
+  };
+}
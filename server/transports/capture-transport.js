@@ -0,0 +1,36 @@
+import crypto from 'crypto';
+
+export function createCaptureTransport(options = {}) {
+  const { maxMessages = 50 } = options;
+  const captured = [];
+
+  const messages = ({ to, match = (value) => value, limit = captured.length } = {}) => {
+    const expected = to ? match(to) : null;
+    return captured
+      .filter((message) => !expected || match(message.to) === expected)
+      .slice(0, limit);
+  };
+
+  return {
+    async send(message) {
+      captured.unshift({ id: crypto.randomUUID(), capturedAt: Date.now(), ...message });
+      captured.length = Math.min(captured.length, maxMessages);
+    },
+
+    messages,
+
+    latest(to, match) {
+      return messages({ to, match, limit: 1 })[0] || null;
+    },
+
+    find(id) {
+      return captured.find((message) => message.id === id) || null;
+    },
+
+    clear() {
+      const cleared = captured.length;
+      captured.length = 0;
+      return cleared;
+    }
+  };
+}
@@ -0,0 +1,32 @@
+import { promises as fs } from 'fs';
+import path from 'path';
+
+const toRecord = (message) => ({
+  timestamp: new Date().toISOString(),
+  channel: message.channel,
+  to: message.to,
+  purpose: message.purpose,
+  subject: message.subject,
+  text: message.text
+});
+
+export function createConsoleTransport(options = {}) {
+  const logger = options.logger || console;
+
+  return {
+    async send(message) {
+      logger.log(`[otp:${message.channel}] to=${message.to} purpose=${message.purpose}\n${message.text}`);
+    }
+  };
+}
+
+export function createFileTransport(options = {}) {
+  const filePath = path.resolve(options.path || 'otp-messages.log');
+
+  return {
+    async send(message) {
+      await fs.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.appendFile(filePath, `${JSON.stringify(toRecord(message))}\n`);
+    }
+  };
+}
@@ -0,0 +1,53 @@
+import { createSmtpTransport } from './smtp-transport.js';
+import { createSmsTransport } from './sms-transport.js';
+import { createWebhookTransport, verifyWebhookSignature } from './webhook-transport.js';
+import { createConsoleTransport, createFileTransport } from './console-transport.js';
+import { createCaptureTransport } from './capture-transport.js';
+
+const TRANSPORT_FACTORIES = {
+  smtp: createSmtpTransport,
+  sms: createSmsTransport,
+  webhook: createWebhookTransport,
+  console: createConsoleTransport,
+  file: createFileTransport,
+  capture: createCaptureTransport
+};
+
+export const isTransport = (transport) => {
+  return Boolean(transport) && typeof transport.send === 'function';
+};
+
+export const createTransport = (definition = {}) => {
+  if (isTransport(definition)) {
+    return definition;
+  }
+
+  const { type = 'smtp', ...options } = definition;
+  const factory = TRANSPORT_FACTORIES[type];
+  if (!factory) {
+    throw new Error(`Unknown OTP transport "${type}". Use one of: ${Object.keys(TRANSPORT_FACTORIES).join(', ')}, or pass an object with a send() method.`);
+  }
+
+  return factory(options);
+};
+
+export const createChannels = (channels, emailConfig) => {
+  const definitions = { email: { type: 'smtp', ...emailConfig }, ...channels };
+  const created = {};
+
+  for (const [name, definition] of Object.entries(definitions)) {
+    created[name] = createTransport(definition);
+  }
+
+  return created;
+};
+
+export {
+  createSmtpTransport,
+  createSmsTransport,
+  createWebhookTransport,
+  createConsoleTransport,
+  createFileTransport,
+  createCaptureTransport,
+  verifyWebhookSignature
+};
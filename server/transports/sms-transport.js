@@ -0,0 +1,51 @@
+const defaultFormatMessage = (message) => {
+  if (message.link && !message.otp) {
+    return `Tap to verify: ${message.link} (expires in ${message.expiryMinutes} minutes)`;
+  }
+  return `Your verification code is ${message.otp}. It expires in ${message.expiryMinutes} minutes.`;
+};
+
+export function createSmsTransport(options = {}) {
+  if (!options.url) {
+    throw new Error('SMS transport requires a gateway url');
+  }
+
+  const formatMessage = options.formatMessage || defaultFormatMessage;
+  const buildBody = options.buildBody || ((message, text) => ({
+    to: message.to,
+    from: options.from,
+    message: text
+  }));
+
+  return {
+    async send(message) {
+      const headers = { ...options.headers };
+      const body = buildBody(message, formatMessage(message));
+      let payload;
+
+      if (options.bodyType === 'form') {
+        headers['Content-Type'] = 'application/x-www-form-urlencoded';
+        payload = new URLSearchParams(body).toString();
+      } else {
+        headers['Content-Type'] = 'application/json';
+        payload = JSON.stringify(body);
+      }
+
+      if (options.auth) {
+        const credentials = Buffer.from(`${options.auth.username}:${options.auth.password}`).toString('base64');
+        headers.Authorization = `Basic ${credentials}`;
+      }
+
+      const response = await fetch(options.url, {
+        method: options.method || 'POST',
+        headers,
+        body: payload,
+        signal: AbortSignal.timeout(options.timeoutMs || 10000)
+      });
+
+      if (!response.ok) {
+        throw new Error(`SMS gateway responded with ${response.status}`);
+      }
+    }
+  };
+}
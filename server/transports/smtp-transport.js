@@ -0,0 +1,37 @@
+import nodemailer from 'nodemailer';
+
+export function createSmtpTransport(options = {}) {
+  const user = options.user || process.env.EMAIL;
+  const auth = {
+    user,
+    pass: options.pass || process.env.PASSWORD
+  };
+
+  const transporter = nodemailer.createTransport(options.host
+    ? {
+        host: options.host,
+        port: options.port || (options.secure ? 465 : 587),
+        secure: Boolean(options.secure),
+        auth
+      }
+    : {
+        service: options.service || 'gmail',
+        auth
+      });
+
+  return {
+    async send(message) {
+      await transporter.sendMail({
+        from: options.from || user,
+        to: message.to,
+        subject: message.subject,
+        html: message.html,
+        text: message.text
+      });
+    },
+
+    async close() {
+      transporter.close();
+    }
+  };
+}
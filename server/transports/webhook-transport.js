@@ -0,0 +1,57 @@
+import crypto from 'crypto';
+import { safeCompare } from '../security/otp-hash.js';
+
+export const SIGNATURE_HEADER = 'X-OTP-Signature';
+export const TIMESTAMP_HEADER = 'X-OTP-Timestamp';
+
+export const signWebhookPayload = (secret, timestamp, payload) => {
+  const digest = crypto.createHmac('sha256', secret).update(`${timestamp}.${payload}`).digest('hex');
+  return `sha256=${digest}`;
+};
+
+export const verifyWebhookSignature = (secret, payload, timestamp, signature, toleranceMs = 5 * 60 * 1000) => {
+  if (!signature || !timestamp) return false;
+  if (Math.abs(Date.now() - Number(timestamp)) > toleranceMs) return false;
+
+  return safeCompare(signWebhookPayload(secret, timestamp, payload), signature);
+};
+
+export function createWebhookTransport(options = {}) {
+  if (!options.url || !options.secret) {
+    throw new Error('Webhook transport requires a url and a signing secret');
+  }
+
+  return {
+    async send(message) {
+      const timestamp = String(Date.now());
+      const payload = JSON.stringify({
+        to: message.to,
+        channel: message.channel,
+        purpose: message.purpose,
+        otp: message.otp,
+        link: message.link,
+        expiryMinutes: message.expiryMinutes,
+        subject: message.subject,
+        text: message.text,
+        html: message.html,
+        timestamp: Number(timestamp)
+      });
+
+      const response = await fetch(options.url, {
+        method: 'POST',
+        headers: {
+          ...options.headers,
+          'Content-Type': 'application/json',
+          [TIMESTAMP_HEADER]: timestamp,
+          [SIGNATURE_HEADER]: signWebhookPayload(options.secret, timestamp, payload)
+        },
+        body: payload,
+        signal: AbortSignal.timeout(options.timeoutMs || 10000)
+      });
+
+      if (!response.ok) {
+        throw new Error(`Webhook responded with ${response.status}`);
+      }
+    }
+  };
+}
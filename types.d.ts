@@ -11,6 +11,70 @@ export interface EmailConfig {
   host?: string;
   port?: number;
   secure?: boolean;
+  from?: string;
+}
+
+export interface OtpMessage {
+  channel: string;
+  to: string;
+  purpose: string;
+  otp: string | null;
+  link: string | null;
+  expiryMinutes: number;
+  locale: string;
+  subject: string;
+  html: string;
+  text: string;
+}
+
+export interface OtpTransport {
+  send(message: OtpMessage): Promise<void>;
+  close?(): Promise<void>;
+}
+
+export interface SmsTransportOptions {
+  url: string;
+  method?: string;
+  headers?: Record<string, string>;
+  from?: string;
+  auth?: { username: string; password: string };
+  bodyType?: 'json' | 'form';
+  timeoutMs?: number;
+  formatMessage?: (message: OtpMessage) => string;
+  buildBody?: (message: OtpMessage, text: string) => Record<string, any>;
+}
+
+export interface WebhookTransportOptions {
+  url: string;
+  secret: string;
+  headers?: Record<string, string>;
+  timeoutMs?: number;
+}
+
+export type ChannelConfig =
+  | ({ type?: 'smtp' } & Partial<EmailConfig>)
+  | ({ type: 'sms' } & SmsTransportOptions)
+  | ({ type: 'webhook' } & WebhookTransportOptions)
+  | { type: 'console'; logger?: { log(...args: any[]): void } }
+  | { type: 'file'; path?: string }
+  | { type: 'capture'; maxMessages?: number }
+  | OtpTransport;
+
+export interface CapturedMessage extends OtpMessage {
+  id: string;
+  capturedAt: number;
+}
+
+export interface CaptureTransport extends OtpTransport {
+  messages(filter?: { to?: string; match?: (value: string) => string; limit?: number }): CapturedMessage[];
+  latest(to: string, match?: (value: string) => string): CapturedMessage | null;
+  find(id: string): CapturedMessage | null;
+  clear(): number;
+}
+
+export interface DevOutboxConfig {
+  path?: string;
+  maxMessages?: number;
 }
 
 export interface ThemeConfig {
@@ -22,10 +86,63 @@ export interface ThemeConfig {
   fontSize?: string;
 }
 
+export type MessageCatalog = Record<string, string>;
+
+export type Translator = ((id: string, params?: Record<string, string | number>) => string) & { locale: string };
+
+export type IdentifierType = 'email' | 'phone';
+
+export interface IdentifierConfig {
+  types?: IdentifierType[];
+  defaultRegion?: string | null;
+  defaultChannels?: Partial<Record<IdentifierType, string | null>>;
+}
+
+export interface EmailPolicyConfig {
+  allowDomains?: string[];
+  denyDomains?: string[];
+  blockDisposable?: boolean;
+  disposableDomains?: string[];
+  foldPlusAddressing?: boolean;
+}
+
+export type EmailPolicyRejection = 'denied' | 'not_allowed' | 'disposable';
+
+export interface EmailPolicy {
+  check(email: string): EmailPolicyRejection | null;
+  isDisposable(email: string): boolean;
+  updateDisposableDomains(domains: string[], options?: { replace?: boolean }): number;
+}
+
+export interface PhoneRegion {
+  name: string;
+  callingCode: string;
+  trunkPrefix: string | null;
+  nationalLength: [number, number];
+}
+
+export interface ParsedPhoneNumber {
+  e164: string;
+  region: string | null;
+  callingCode: string | null;
+  nationalNumber: string;
+}
+
 export interface SendOtpProps {
   apiUrl: string;
+  mode?: IdentifierType;
+  purpose?: OtpPurpose;
+  defaultCountry?: string;
+  countries?: string[];
+  countryClassName?: string;
+  locale?: string;
+  messages?: MessageCatalog;
+  label?: string;
   onSuccess?: (data: any) => void;
   onError?: (error: string) => void;
+  deliveryStatusUrl?: string;
+  deliveryPollInterval?: number;
+  onDeliveryStatus?: (status: DeliveryStatus) => void;
   theme?: ThemeConfig;
   className?: string;
   inputClassName?: string;
@@ -39,11 +156,26 @@ export interface SendOtpProps {
 
 export interface VerifyOtpProps {
   apiUrl: string;
-  email: string;
+  resendApiUrl?: string;
+  email?: string;
+  phone?: string;
+  purpose?: OtpPurpose;
+  locale?: string;
+  messages?: MessageCatalog;
+  label?: string;
+  placeholder?: string;
+  buttonText?: string;
+  loadingText?: string;
+  resendText?: string;
+  resendingText?: string;
+  ariaLabel?: string;
   onSuccess?: (data: any) => void;
   onError?: (error: string) => void;
-  onResend?: () => void;
+  onResend?: (data: ApiResponse) => void;
+  resendCooldown?: number;
+  resendAvailableAt?: number;
   otpLength?: number;
+  otpFormat?: OtpFormat;
   expiryTime?: number;
   theme?: ThemeConfig;
   className?: string;
@@ -55,18 +187,533 @@ export interface VerifyOtpProps {
   allowPaste?: boolean;
 }
 
+export interface OtpStoreChange {
+  value?: any;
+  ttlMs?: number;
+  delete?: boolean;
+  [key: string]: any;
+}
+
+export interface OtpStore {
+  get(key: string): Promise<any | null>;
+  set(key: string, value: any, ttlMs?: number): Promise<void>;
+  update?<T extends OtpStoreChange>(key: string, updater: (current: any | null) => T | null | undefined): Promise<T | null>;
+  delete(key: string): Promise<void>;
+  expire(key: string, ttlMs: number): Promise<boolean>;
+  scan(prefix?: string): Promise<string[]>;
+  sweep?(): Promise<number | void>;
+  close?(): Promise<void>;
+}
+
+export interface MemoryStoreOptions {
+  maxEntries?: number;
+  sweepIntervalMs?: number;
+  evictable?: (key: string, value: any) => boolean;
+}
+
+export interface FileStoreOptions {
+  path?: string;
+  lockTimeoutMs?: number;
+  staleLockMs?: number;
+}
+
+export interface RedisStoreOptions {
+  url?: string;
+  host?: string;
+  port?: number;
+  username?: string;
+  password?: string;
+  db?: number;
+  tls?: boolean;
+  keyPrefix?: string;
+  client?: any;
+}
+
+export type RateLimitKey = 'ip' | 'identifier' | 'ip+identifier' | 'global';
+
+export interface RateLimitRule {
+  name?: string;
+  key?: RateLimitKey;
+  algorithm?: 'sliding-window' | 'token-bucket';
+  limit?: number;
+  windowMs?: number;
+  capacity?: number;
+  refillPerSecond?: number;
+}
+
+export type TrustProxy = boolean | number | string[] | ((address: string) => boolean);
+
+export interface RateLimitConfig {
+  trustProxy?: TrustProxy;
+  send?: RateLimitRule[];
+  verify?: RateLimitRule[];
+}
+
+export interface RateLimitMiddlewareOptions {
+  maxAttempts?: number;
+  windowMs?: number;
+  key?: RateLimitKey;
+  algorithm?: 'sliding-window' | 'token-bucket';
+  capacity?: number;
+  refillPerSecond?: number;
+  rules?: RateLimitRule[];
+  name?: string;
+  store?: OtpStoreType | OtpStore;
+  storeOptions?: MemoryStoreOptions | FileStoreOptions | RedisStoreOptions;
+  trustProxy?: TrustProxy;
+  identify?: (req: any) => string | undefined;
+  defaultRegion?: string | null;
+  foldPlusAddressing?: boolean;
+  clock?: Clock;
+  onLimit?: (req: any) => void;
+  locale?: string;
+  messages?: Record<string, MessageCatalog>;
+}
+
+export interface ResendConfig {
+  cooldownSeconds?: number;
+  maxResends?: number;
+  policy?: 'reuse' | 'rotate';
+  graceSeconds?: number;
+}
+
+export interface DeliveryConfig {
+  mode?: 'inline' | 'outbox';
+  maxAttempts?: number;
+  baseDelayMs?: number;
+  multiplier?: number;
+  maxDelayMs?: number;
+  jitter?: number;
+  concurrency?: number;
+  leaseMs?: number;
+  statusTtlSeconds?: number;
+  deadLetterTtlSeconds?: number;
+}
+
+export interface DeliveryStatus {
+  id: string;
+  status: 'queued' | 'sending' | 'retrying' | 'delivered' | 'failed';
+  channel: string;
+  purpose: string;
+  attempts: number;
+  maxAttempts: number;
+  queuedAt: number;
+  nextAttemptAt: number | null;
+  lastError: string | null;
+  deliveredAt?: number;
+  failedAt?: number;
+}
+
+export interface DeliveryOutbox {
+  status(id: string): Promise<DeliveryStatus | null>;
+  pending(): number;
+  recover(): Promise<number>;
+  deadLetters(): Promise<Array<DeliveryStatus & { to: string }>>;
+  removeDeadLetter(id: string): Promise<void>;
+  close(): Promise<void>;
+}
+
+export interface LockoutConfig {
+  durationMs?: number;
+  multiplier?: number;
+  maxDurationMs?: number;
+  resetAfterMs?: number;
+}
+
+export type OtpPurpose = 'default' | 'login' | 'password_reset' | 'two_factor' | 'email_change' | (string & {});
+
+export interface EmailTemplate {
+  subject?: string;
+  html?: string;
+  text?: string;
+}
+
+export interface BrandConfig {
+  appName?: string;
+  logoUrl?: string | null;
+  primaryColor?: string;
+  secondaryColor?: string;
+  footer?: string | null;
+}
+
+export interface RenderedEmail {
+  locale: string;
+  subject: string;
+  html: string;
+  text: string;
+}
+
+export interface TemplateRegistry {
+  register(purpose: string, locale: string, template: EmailTemplate): void;
+  resolve(purpose?: string, locale?: string): { locale: string; template: Required<Pick<EmailTemplate, 'subject' | 'html'>> & EmailTemplate };
+  render(purpose: string, data?: { locale?: string; template?: EmailTemplate; otp?: string | null; link?: string | null; expiryMinutes?: number; [key: string]: any }): RenderedEmail;
+  preview(purpose: string, data?: { locale?: string; mode?: 'code' | 'link' | 'both'; [key: string]: any }): RenderedEmail;
+}
+
+export type OtpAlphabet = 'numeric' | 'alphanumeric' | 'unambiguous';
+
+export interface OtpFormat {
+  alphabet?: OtpAlphabet | string;
+  groupSize?: number;
+  separator?: string;
+}
+
+export interface PurposeConfig {
+  otpLength?: number;
+  otpFormat?: OtpFormat;
+  expiryMinutes?: number;
+  template?: EmailTemplate;
+}
+
+export interface MagicLinkConfig {
+  url?: string;
+  path?: string;
+  successUrl?: string;
+  failureUrl?: string;
+  includeCode?: boolean;
+}
+
+export interface SendOtpOptions {
+  identifierType?: IdentifierType;
+  purpose?: OtpPurpose;
+  mode?: 'code' | 'link';
+  channel?: string;
+  to?: string;
+  locale?: string;
+  template?: EmailTemplate;
+}
+
+export interface VerifyOtpOptions {
+  identifierType?: IdentifierType;
+  purpose?: OtpPurpose;
+  locale?: string;
+  recoveryCode?: boolean;
+}
+
+export interface TotpConfig {
+  issuer?: string;
+  digits?: number;
+  period?: number;
+  algorithm?: 'SHA1' | 'SHA256' | 'SHA512';
+  window?: number;
+  enrollmentTtlMs?: number;
+  identify?: (req: any) => string | undefined;
+}
+
+export interface TotpEnrollmentData {
+  email: string;
+  secret: string;
+  uri: string;
+  qrCode: string;
+}
+
+export interface TotpEnrollmentProps {
+  email: string;
+  apiUrl?: string;
+  confirmApiUrl?: string;
+  onEnroll?: (data: ApiResponse) => void;
+  onSuccess?: (data: ApiResponse) => void;
+  onError?: (error: any) => void;
+  digits?: number;
+  autoStart?: boolean;
+  disabled?: boolean;
+  theme?: ThemeConfig;
+  className?: string;
+  inputClassName?: string;
+  buttonClassName?: string;
+  errorClassName?: string;
+  successClassName?: string;
+  locale?: string;
+  messages?: MessageCatalog;
+  startText?: string;
+  startingText?: string;
+  instructions?: string;
+  secretLabel?: string;
+  label?: string;
+  placeholder?: string;
+  buttonText?: string;
+  loadingText?: string;
+}
+
+export interface VerificationTokenKey {
+  id: string;
+  secret: string | Buffer;
+}
+
+export interface VerificationTokenConfig {
+  keys?: VerificationTokenKey[];
+  ttlSeconds?: number;
+  issuer?: string;
+}
+
+export interface VerificationClaims {
+  identifier: string;
+  identifierType: IdentifierType;
+  email: string | null;
+  purpose: string;
+  verifiedAt: number;
+  expiresAt: number;
+  tokenId: string;
+}
+
+export interface Clock {
+  now(): number;
+}
+
+export interface RequireVerifiedOptions {
+  purpose?: OtpPurpose | OtpPurpose[];
+  maxAge?: number;
+  clock?: Clock;
+  verificationToken?: VerificationTokenConfig;
+  otpSecret?: string;
+  getToken?: (req: any) => string | undefined;
+  locale?: string;
+  messages?: Record<string, MessageCatalog>;
+}
+
+export interface RecoveryCodesConfig {
+  count?: number;
+  length?: number;
+  identify?: (req: any) => string | undefined;
+}
+
+export interface RecoveryCodeStatus {
+  enabled: boolean;
+  total: number;
+  remaining: number;
+  generatedAt: number | null;
+}
+
+export interface RecoveryCodesProps {
+  email: string;
+  apiUrl?: string;
+  codes?: string[];
+  onGenerate?: (data: ApiResponse) => void;
+  onError?: (error: any) => void;
+  locale?: string;
+  messages?: MessageCatalog;
+  title?: string;
+  description?: string;
+  generateText?: string;
+  regenerateText?: string;
+  regenerateWarning?: string;
+  generatingText?: string;
+  downloadText?: string;
+  copyText?: string;
+  copiedText?: string;
+  fileName?: string;
+  disabled?: boolean;
+  theme?: ThemeConfig;
+  className?: string;
+  buttonClassName?: string;
+  errorClassName?: string;
+}
+
+export type OtpEventType =
+  | 'otp.sent'
+  | 'otp.send_failed'
+  | 'otp.verified'
+  | 'otp.verify_failed'
+  | 'otp.expired'
+  | 'otp.rate_limited'
+  | 'otp.locked'
+  | 'otp.delivery_retry';
+
+export interface OtpEvent {
+  type: OtpEventType;
+  timestamp: number;
+  identifier: string | null;
+  ip?: string;
+  userAgent?: string;
+  purpose?: string;
+  durationMs: number;
+  reason?: string;
+  method?: 'code' | 'magic_link' | 'recovery' | 'totp';
+  channel?: string;
+  [key: string]: any;
+}
+
+export type OtpEventHandler = (event: OtpEvent) => void | Promise<void>;
+
+export interface AuditEntry {
+  timestamp: string;
+  event: OtpEventType;
+  action: 'send' | 'verify';
+  outcome: 'success' | 'failure';
+  identifier: string | null;
+  identifierHash: string | null;
+  ip: string | null;
+  userAgent: string | null;
+  purpose: string | null;
+  method: string | null;
+  channel: string | null;
+  reason: string | null;
+}
+
+export interface AuditQuery {
+  identifier?: string;
+  from?: string | number;
+  to?: string | number;
+  outcome?: 'success' | 'failure';
+  action?: 'send' | 'verify';
+  purpose?: string;
+  limit?: number;
+}
+
+export interface AuditSink {
+  write(entry: AuditEntry): Promise<void>;
+  query?(filter: Omit<AuditQuery, 'identifier'> & { identifierHash?: string }): Promise<AuditEntry[]>;
+  close?(): Promise<void>;
+}
+
+export interface FileAuditSinkOptions {
+  path?: string;
+  maxBytes?: number;
+  maxFiles?: number;
+}
+
+export interface AuditConfig {
+  sink?: 'memory' | 'file' | AuditSink;
+  sinkOptions?: FileAuditSinkOptions | { maxEntries?: number };
+  path?: string;
+  maxQueryLimit?: number;
+  authorize?: (req: any) => boolean | Promise<boolean>;
+}
+
+export interface MetricsConfig {
+  path?: string;
+  authorize?: (req: any) => boolean | Promise<boolean>;
+}
+
+export interface OtpMetrics {
+  recordRateLimit(action: string): void;
+  render(): Promise<string>;
+}
+
+export type OtpStoreType = 'memory' | 'file' | 'redis';
+
 export interface OtpMiddlewareOptions {
   emailConfig: EmailConfig;
-  otpConfig?: OtpConfig;
+  store?: OtpStoreType | OtpStore;
+  storeOptions?: MemoryStoreOptions | FileStoreOptions | RedisStoreOptions;
+  otpLength?: number;
+  otpFormat?: OtpFormat;
+  expiryMinutes?: number;
+  maxAttempts?: number;
+  /** @deprecated Use `rateLimit: { send, verify }`. */
+  rateLimit?: boolean | RateLimitConfig | { maxAttempts?: number; windowMs?: number };
+  sweeper?: { intervalMs?: number };
+  resend?: ResendConfig;
+  delivery?: DeliveryConfig;
+  lockout?: LockoutConfig;
+  otpSecret?: string;
+  acceptPlaintextOtps?: boolean;
+  purposes?: Record<string, PurposeConfig>;
+  channels?: Record<string, ChannelConfig>;
+  defaultChannel?: string;
+  identifiers?: IdentifierConfig;
+  emailPolicy?: EmailPolicyConfig;
+  totp?: TotpConfig & { identify: (req: any) => string | undefined };
+  verificationToken?: VerificationTokenConfig;
+  magicLink?: MagicLinkConfig;
+  recoveryCodes?: RecoveryCodesConfig & { identify: (req: any) => string | undefined };
+  events?: Partial<Record<OtpEventType | '*', OtpEventHandler>>;
+  audit?: AuditConfig;
+  metrics?: boolean | MetricsConfig;
+  devOutbox?: boolean | DevOutboxConfig;
+  brand?: BrandConfig;
+  defaultLocale?: string;
+  locale?: string;
+  messages?: Record<string, MessageCatalog>;
+  templates?: Record<string, Record<string, EmailTemplate>>;
+  /** @deprecated Use top-level `otpLength`, `expiryMinutes` and `maxAttempts`. */
+  otpConfig?: OtpConfig & { length?: number };
+  /** @deprecated Use `rateLimit: { send, verify }`. */
   rateLimitConfig?: {
     maxAttempts?: number;
     windowMs?: number;
   };
   enableCleanupRoute?: boolean;
+  clock?: Clock;
 }
 
+export interface ResolvedOtpConfig {
+  readonly emailConfig: Partial<EmailConfig>;
+  readonly store: OtpStoreType | OtpStore;
+  readonly storeOptions: MemoryStoreOptions | FileStoreOptions | RedisStoreOptions;
+  readonly otpLength: number;
+  readonly otpFormat: Required<OtpFormat>;
+  readonly expiryMinutes: number;
+  readonly maxAttempts: number;
+  readonly acceptPlaintextOtps: boolean;
+  readonly otpSecret: string | null;
+  readonly defaultChannel: string;
+  readonly identifiers: Required<IdentifierConfig>;
+  readonly emailPolicy: Required<EmailPolicyConfig>;
+  readonly channels: Record<string, ChannelConfig>;
+  readonly purposes: Record<string, PurposeConfig>;
+  readonly defaultLocale: string;
+  readonly locale?: string;
+  readonly messages: Record<string, MessageCatalog>;
+  readonly templates: Record<string, Record<string, EmailTemplate>>;
+  readonly brand: BrandConfig;
+  readonly verificationToken: VerificationTokenConfig;
+  readonly magicLink: MagicLinkConfig;
+  readonly totp: TotpConfig & { enabled: boolean };
+  readonly recoveryCodes: RecoveryCodesConfig & { enabled: boolean };
+  readonly events: Partial<Record<OtpEventType | '*', OtpEventHandler>>;
+  readonly audit: AuditConfig | null;
+  readonly metrics: MetricsConfig | null;
+  readonly devOutbox: Required<DevOutboxConfig> | null;
+  readonly rateLimit: RateLimitConfig | null;
+  readonly resend: ResendConfig;
+  readonly delivery: Required<DeliveryConfig>;
+  readonly sweeper: { intervalMs: number };
+  readonly lockout: LockoutConfig;
+  readonly enableCleanupRoute: boolean;
+  readonly clock: Clock;
+}
+
+export type ErrorCode =
+  | 'INVALID_REQUEST'
+  | 'EMAIL_INVALID'
+  | 'EMAIL_NOT_ALLOWED'
+  | 'PHONE_INVALID'
+  | 'IDENTIFIER_TYPE_UNSUPPORTED'
+  | 'OTP_FORMAT_INVALID'
+  | 'PURPOSE_INVALID'
+  | 'CHANNEL_INVALID'
+  | 'MAGIC_LINK_DISABLED'
+  | 'RATE_LIMITED'
+  | 'RESEND_COOLDOWN'
+  | 'RESEND_LIMIT_REACHED'
+  | 'LOCKED'
+  | 'DELIVERY_FAILED'
+  | 'OTP_NOT_FOUND'
+  | 'OTP_EXPIRED'
+  | 'OTP_INVALID'
+  | 'RECOVERY_CODE_INVALID'
+  | 'RECOVERY_CODES_NOT_SET_UP'
+  | 'LINK_INVALID'
+  | 'LINK_EXPIRED'
+  | 'LINK_USED'
+  | 'TOTP_ALREADY_ENABLED'
+  | 'TOTP_NOT_ENABLED'
+  | 'TOTP_NO_PENDING'
+  | 'TOTP_INVALID'
+  | 'TOTP_REUSED'
+  | 'VERIFICATION_REQUIRED'
+  | 'VERIFICATION_TOKEN_INVALID'
+  | 'VERIFICATION_TOKEN_EXPIRED'
+  | 'VERIFICATION_WRONG_PURPOSE'
+  | 'VERIFICATION_TOO_OLD'
+  | 'FORBIDDEN'
+  | 'NOT_FOUND'
+  | 'INTERNAL_ERROR';
+
 export interface ApiResponse {
   success: boolean;
+  code?: ErrorCode;
   message: string;
   data?: any;
   error?: string;
@@ -79,14 +726,131 @@ export interface ValidationResult {
 
 export declare const SendOtp: React.FC<SendOtpProps>;
 export declare const VerifyOtp: React.FC<VerifyOtpProps>;
+export declare const TotpEnrollment: React.FC<TotpEnrollmentProps>;
+export declare const RecoveryCodes: React.FC<RecoveryCodesProps>;
 
-export declare function generateOTP(length?: number): string;
-export declare function validateEmail(email: string): ValidationResult;
-export declare function validateOTP(otp: string, expectedLength?: number): ValidationResult;
-export declare function formatTimeRemaining(expiryTime: number): string;
+export declare function generateOTP(length?: number, format?: OtpFormat, randomInt?: (max: number) => number): string;
+export declare function formatOTP(code: string, format?: OtpFormat): string;
+export declare function normalizeOTP(otp: string, format?: OtpFormat): string;
+export declare function resolveOtpFormat(format?: OtpFormat): { characters: string; groupSize: number; separator: string; numeric: boolean };
+export declare function validateEmail(email: string, t?: Translator): ValidationResult;
+export declare function validatePhone(phone: string, defaultRegion?: string | null, t?: Translator): ValidationResult & { value?: string };
+export declare function detectIdentifierType(identifier: string): IdentifierType;
+export declare function validateIdentifier(identifier: string, options?: { type?: IdentifierType; defaultRegion?: string | null; foldPlusAddressing?: boolean }, t?: Translator): ValidationResult & { type: IdentifierType; value?: string; address?: string };
+export declare function normalizeIdentifier(identifier: string, options?: { type?: IdentifierType; defaultRegion?: string | null; foldPlusAddressing?: boolean }): string;
+export declare function normalizeEmail(email: string, options?: { foldPlusAddressing?: boolean }): string;
+export declare function parsePhoneNumber(input: string, defaultRegion?: string | null): ParsedPhoneNumber | null;
+export declare const PHONE_REGIONS: Record<string, PhoneRegion>;
+export declare function validateOTP(otp: string, expectedLength?: number, t?: Translator, format?: OtpFormat): ValidationResult;
+export declare function formatTimeRemaining(expiryTime: number, expiredText?: string): string;
 export declare function createResponse(success: boolean, message: string, data?: any): ApiResponse;
+export declare function createErrorResponse(code: ErrorCode, message: string, data?: any): ApiResponse;
+export declare function getResponseStatus(result: ApiResponse): number;
 export declare function handleApiError(error: any): ApiResponse;
 
-export declare function createOtpRoutes(options: OtpMiddlewareOptions): any;
-export declare function otpMiddleware(options: OtpMiddlewareOptions): any;
-export declare function rateLimitMiddleware(options?: { maxAttempts?: number; windowMs?: number }): any;
+export declare const OTP_ALPHABETS: Record<OtpAlphabet, string>;
+export declare const ERROR_CODES: { readonly [K in ErrorCode]: K };
+export declare const ERROR_STATUS: Record<ErrorCode, number>;
+
+export interface OtpEventSource {
+  on(type: OtpEventType | '*', handler: OtpEventHandler): () => void;
+  off(type: OtpEventType | '*', handler: OtpEventHandler): void;
+  metrics: OtpMetrics | null;
+  templates: TemplateRegistry;
+  config: ResolvedOtpConfig;
+  emailPolicy: EmailPolicy;
+  outbox: DeliveryOutbox | null;
+  devOutbox: CaptureTransport | null;
+  sweep(): Promise<number>;
+  close(): Promise<void>;
+}
+
+export declare const DEFAULT_LOCALE: string;
+export declare const MESSAGES: Record<string, MessageCatalog>;
+export declare function createTranslator(locale?: string, overrides?: MessageCatalog): Translator;
+export declare function formatMessage(message: string, params?: Record<string, string | number>): string;
+export declare function parseAcceptLanguage(header?: string): string[];
+export declare function resolveLocale(candidates: string | string[] | null | undefined, available?: string[], fallback?: string): string;
+
+export declare function resolveConfig(options?: OtpMiddlewareOptions, env?: Record<string, string | undefined>): ResolvedOtpConfig;
+export declare function createOtpRoutes(options: OtpMiddlewareOptions): any & OtpEventSource;
+export declare function otpMiddleware(options: OtpMiddlewareOptions): any & OtpEventSource;
+export declare function createStore(store?: OtpStoreType | OtpStore, storeOptions?: MemoryStoreOptions | FileStoreOptions | RedisStoreOptions): OtpStore;
+export declare function createMemoryStore(options?: MemoryStoreOptions): OtpStore;
+export declare function createFileStore(options?: FileStoreOptions): OtpStore;
+export declare function createRedisStore(options?: RedisStoreOptions): OtpStore;
+export declare function createTemplateRegistry(options?: { templates?: Record<string, Record<string, EmailTemplate>>; purposes?: Record<string, PurposeConfig>; brand?: BrandConfig; defaultLocale?: string }): TemplateRegistry;
+export declare function createAuditSink(sink?: 'memory' | 'file' | AuditSink, sinkOptions?: FileAuditSinkOptions | { maxEntries?: number }): AuditSink;
+export declare function createMemoryAuditSink(options?: { maxEntries?: number }): AuditSink;
+export declare function createFileAuditSink(options?: FileAuditSinkOptions): AuditSink;
+export declare function createEmailPolicy(options?: EmailPolicyConfig): EmailPolicy;
+export declare const DISPOSABLE_DOMAINS: string[];
+export declare function maskIdentifier(identifier: string | null): string | null;
+export declare function createTransport(definition: ChannelConfig): OtpTransport;
+export declare function createSmtpTransport(options?: Partial<EmailConfig>): OtpTransport;
+export declare function createSmsTransport(options: SmsTransportOptions): OtpTransport;
+export declare function createWebhookTransport(options: WebhookTransportOptions): OtpTransport;
+export declare function createConsoleTransport(options?: { logger?: { log(...args: any[]): void } }): OtpTransport;
+export declare function createFileTransport(options?: { path?: string }): OtpTransport;
+export declare function createCaptureTransport(options?: { maxMessages?: number }): CaptureTransport;
+export declare function verifyWebhookSignature(secret: string, payload: string, timestamp: string, signature: string, toleranceMs?: number): boolean;
+export declare function generateTotpSecret(size?: number): string;
+export declare function generateTotp(secret: string, options?: { digits?: number; period?: number; algorithm?: string; now?: number }): string;
+export declare function createOtpauthUri(options: { secret: string; accountName: string; issuer?: string; digits?: number; period?: number; algorithm?: string }): string;
+export declare function requireVerified(options?: RequireVerifiedOptions): any;
+export declare function rateLimitMiddleware(options?: RateLimitMiddlewareOptions): any & { close(): Promise<void> };
+
+export interface TestClock extends Clock {
+  advance(ms: number): number;
+  advanceSeconds(seconds: number): number;
+  advanceMinutes(minutes: number): number;
+  set(time: number | Date): number;
+}
+
+export interface FakeTransport extends OtpTransport {
+  messages(filter?: { to?: string; match?: (value: string) => string; limit?: number }): CapturedMessage[];
+  latest(to: string): CapturedMessage | null;
+  sentTo(to: string, filter?: { purpose?: string; channel?: string }): CapturedMessage[];
+  lastCode(to: string): string;
+  lastLink(to: string): string;
+  assertSent(to: string, options?: { purpose?: string; channel?: string; count?: number }): CapturedMessage | undefined;
+  assertNotSent(to: string, options?: { purpose?: string; channel?: string }): void;
+  failNext(error?: Error, times?: number): void;
+  reset(): number;
+}
+
+export interface TestResponse {
+  status: number;
+  headers: Headers;
+  body: any;
+}
+
+export interface TestServer {
+  url: string;
+  app: any;
+  router: any;
+  transport: FakeTransport;
+  clock: TestClock;
+  request(method: string, path: string, body?: any, headers?: Record<string, string>): Promise<TestResponse>;
+  get(path: string, headers?: Record<string, string>): Promise<TestResponse>;
+  post(path: string, body?: any, headers?: Record<string, string>): Promise<TestResponse>;
+  sendOtp(identifier: string, body?: Record<string, any>): Promise<TestResponse>;
+  resendOtp(identifier: string, body?: Record<string, any>): Promise<TestResponse>;
+  verifyOtp(identifier: string, otp: string, body?: Record<string, any>): Promise<TestResponse>;
+  close(): Promise<void>;
+}
+
+export interface MockOtpApi {
+  adapter: (config: any) => Promise<any>;
+  requests: Array<{ endpoint: 'send' | 'resend' | 'verify' | 'delivery' | null; method: string; url: string; body: any }>;
+  install(instance?: any): () => void;
+  respondWith(endpoint: 'send' | 'resend' | 'verify' | 'delivery', response: ApiResponse | ((body: any, config: any) => ApiResponse | Promise<ApiResponse>)): void;
+  requestsTo(endpoint: 'send' | 'resend' | 'verify' | 'delivery'): MockOtpApi['requests'];
+  reset(): void;
+}
+
+export declare function createTestClock(start?: number | Date): TestClock;
+export declare function createFakeTransport(options?: { match?: (value: string) => string; maxMessages?: number }): FakeTransport;
+export declare function createTestServer(options?: Partial<OtpMiddlewareOptions> & { clock?: TestClock; transport?: FakeTransport }): Promise<TestServer>;
+export declare function createMockOtpApi(options?: { code?: string; maxAttempts?: number; delayMs?: number; deliveryStatus?: DeliveryStatus['status']; locale?: string }): MockOtpApi;
+export declare function getOtpComponentProps(baseUrl: string): { sendOtp: Partial<SendOtpProps>; verifyOtp: Partial<VerifyOtpProps> };